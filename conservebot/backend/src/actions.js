@@ -0,0 +1,47 @@
+/**
+ * Actuator actions and who is allowed to fire them.
+ *
+ * Control modes (per box):
+ * - auto: ConserveBot executes the engine's actions itself
+ * - advisory: the engine's actions are only suggested (shown in the assessment)
+ * - manual: no suggestions, operators drive the actuators by hand
+ *
+ * Operators can always trigger actions through `POST /api/boxes/:id/actions`,
+ * whatever the mode.
+ */
+
+export const CONTROL_MODES = /** @type {const} */ (["auto", "advisory", "manual"]);
+
+// Actions an operator can trigger by hand
+export const MANUAL_ACTIONS = {
+  DEHUMIDIFY: "Trigger dehumidification",
+  HUMIDIFY: "Add gentle humidification",
+  TRIGGER_AIRFLOW: "Increase airflow",
+  ADJUST_TEMP_DOWN: "Cool internal temperature",
+  ADJUST_TEMP_UP: "Warm internal temperature",
+  LOCK_ACCESS: "Lock access",
+};
+
+export const MAX_LOCK_MINUTES = 24 * 60;
+
+/**
+ * Build an action from a request body `{ type, reason, durationMin? }`.
+ * `durationMin` is required for LOCK_ACCESS. Returns `{ action }` or `{ error }`.
+ */
+export function buildManualAction({ type, reason, durationMin } = {}) {
+  if (!Object.hasOwn(MANUAL_ACTIONS, type)) {
+    return { error: `type must be one of ${Object.keys(MANUAL_ACTIONS).join(", ")}` };
+  }
+  if (typeof reason !== "string" || !reason.trim()) return { error: "reason is required" };
+
+  const action = { type, label: MANUAL_ACTIONS[type], reason: reason.trim() };
+  if (type === "LOCK_ACCESS") {
+    const minutes = Number(durationMin);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_LOCK_MINUTES) {
+      return { error: `durationMin must be a whole number between 1 and ${MAX_LOCK_MINUTES}` };
+    }
+    action.durationMin = minutes;
+    action.label = `Lock access for ${minutes} minutes`;
+  }
+  return { action };
+}
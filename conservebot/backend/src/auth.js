@@ -0,0 +1,162 @@
+import fs from "fs";
+import path from "path";
+import { createHash, randomBytes } from "crypto";
+
+import { nowIso } from "./utils.js";
+
+/**
+ * API keys with roles.
+ *
+ * - viewer: read everything
+ * - operator: change box config, trigger actions, acknowledge incidents, push readings
+ * - admin: manage boxes, keys, notification channels and retire profiles
+ *
+ * Keys are only stored as SHA-256 hashes in `<dataDir>/auth.json`. Clients
+ * send them as `Authorization: Bearer <key>` (or `X-API-Key`); browsers
+ * opening `/ws` pass `?token=<key>`.
+ */
+
+export const ROLES = ["viewer", "operator", "admin"];
+
+// Who log entries are attributed to when ConserveBot acts on its own
+export const SYSTEM_ACTOR = { id: "system", name: "ConserveBot" };
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+export function roleAtLeast(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// `lastUsedAt` changes on every request; it's written to disk at most this often
+const LAST_USED_SAVE_MS = 60_000;
+
+export class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class KeyStore {
+  constructor({ file }) {
+    this.file = file;
+    this.keys = []; // { id, name, role, hash, createdAt, lastUsedAt }
+    if (fs.existsSync(file)) this.keys = JSON.parse(fs.readFileSync(file, "utf8")).keys;
+    this.lastUsedSavedMs = 0;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ keys: this.keys }, null, 2));
+  }
+
+  /**
+   * Make sure at least one admin key exists. Uses `presetKey` if given,
+   * otherwise generates one. Returns the plain key when it was generated.
+   */
+  bootstrap(presetKey) {
+    if (this.keys.some((k) => k.role === "admin")) return null;
+    if (presetKey) {
+      this._add({ name: "bootstrap admin", role: "admin" }, presetKey);
+      return null;
+    }
+    return this.create({ name: "bootstrap admin", role: "admin" }).key;
+  }
+
+  _add({ name, role }, key) {
+    const record = { id: crypto.randomUUID(), name, role, hash: hashKey(key), createdAt: nowIso(), lastUsedAt: null };
+    this.keys.push(record);
+    this.save();
+    return record;
+  }
+
+  /**
+   * Create a key. The plain key is only ever returned here.
+   */
+  create({ name, role }) {
+    if (typeof name !== "string" || !name.trim()) throw new AuthError("name is required");
+    if (!ROLES.includes(role)) throw new AuthError(`role must be one of ${ROLES.join(", ")}`);
+    const key = `cb_${randomBytes(24).toString("base64url")}`;
+    const record = this._add({ name: name.trim(), role }, key);
+    return { key, ...this.describe(record) };
+  }
+
+  revoke(id) {
+    const record = this.keys.find((k) => k.id === id);
+    if (!record) throw new AuthError("Unknown key", 404);
+    const admins = this.keys.filter((k) => k.role === "admin");
+    if (record.role === "admin" && admins.length === 1) throw new AuthError("Cannot revoke the last admin key", 409);
+    this.keys = this.keys.filter((k) => k.id !== id);
+    this.save();
+  }
+
+  describe({ id, name, role, createdAt, lastUsedAt }) {
+    return { id, name, role, createdAt, lastUsedAt };
+  }
+
+  list() {
+    return this.keys.map((k) => this.describe(k));
+  }
+
+  /**
+   * The user behind a plain key, or null.
+   */
+  verify(key) {
+    if (!key) return null;
+    const hash = hashKey(key);
+    const record = this.keys.find((k) => k.hash === hash);
+    if (!record) return null;
+    const firstUse = record.lastUsedAt === null;
+    record.lastUsedAt = nowIso();
+    if (firstUse || Date.now() - this.lastUsedSavedMs >= LAST_USED_SAVE_MS) {
+      this.lastUsedSavedMs = Date.now();
+      this.save();
+    }
+    return { id: record.id, name: record.name, role: record.role };
+  }
+}
+
+/**
+ * Pull a key from `Authorization: Bearer`, `X-API-Key` or `?token=`.
+ */
+export function keyFromRequest(req) {
+  const header = req.headers.authorization ?? "";
+  if (header.startsWith("Bearer ")) return header.slice(7).trim();
+  if (req.headers["x-api-key"]) return String(req.headers["x-api-key"]);
+  const url = new URL(req.url, "http://localhost");
+  return url.searchParams.get("token");
+}
+
+/**
+ * Express middleware: attach `req.user` or answer 401.
+ */
+export function authenticate(keys) {
+  return (req, res, next) => {
+    const user = keys.verify(keyFromRequest(req));
+    if (!user) return res.status(401).json({ error: "Missing or invalid API key" });
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Express middleware: require at least `role`.
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !roleAtLeast(req.user.role, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Baseline for every API route: reads need viewer, writes need operator.
+ * Routes that need more add their own `requireRole`.
+ */
+export function defaultRole(req, res, next) {
+  return requireRole(req.method === "GET" || req.method === "HEAD" ? "viewer" : "operator")(req, res, next);
+}
@@ -0,0 +1,240 @@
+import fs from "fs";
+import path from "path";
+
+import { Store } from "./store.js";
+import { Simulator } from "./simulator.js";
+import { DecisionEngine } from "./engine.js";
+import { IncidentTracker } from "./incidents.js";
+import { RemediationController } from "./remediation.js";
+import { SensorHealth } from "./sensorHealth.js";
+import { DoseTracker } from "./dose.js";
+import { withPsychrometrics } from "./psychro.js";
+import { IngestSource, MqttSource, SimulatorSource } from "./sources.js";
+import { SystemClock } from "./clock.js";
+import { seededRandom } from "./utils.js";
+
+/**
+ * Boxes in the demo fleet on startup.
+ * Each one gets its own simulator, engine window, history and logs.
+ */
+export const DEFAULT_BOXES = [
+  { id: "box-1", name: "Safe box 1", location: "Storage room A", artifactType: "FOSSILS", demoMode: "normal" },
+  { id: "box-2", name: "Safe box 2", location: "Archive vault", artifactType: "ORGANIC", demoMode: "atRisk" },
+];
+
+/**
+ * One physical safe box: identity + everything needed to watch it.
+ * `source` is "simulator" (mock readings), "ingest" (hardware pushing readings over HTTP),
+ * "mqtt" (controller speaking MQTT through the bridge) or "replay" (a recording, see recordings.js).
+ * `controlMode` decides whether the engine's actions are executed (see actions.js).
+ * With a `seed`, the box's simulator draws from its own PRNG (seeded with the
+ * seed and box id), so boxes don't disturb each other's sequences.
+ */
+export class Box {
+  constructor(
+    { id, name, location = "", artifactType = "FOSSILS", demoMode = "normal", source = "simulator", controlMode = "auto" },
+    { dataDir, retention, mqtt = null, clock = new SystemClock(), seed = null, replay = null } = {},
+  ) {
+    this.id = id;
+    this.name = name || id;
+    this.location = location;
+
+    this.config = { artifactType, demoMode, source, controlMode };
+    this.mqtt = mqtt;
+    this.clock = clock;
+    this.random = seed === null ? Math.random : seededRandom(`${seed}:${id}`);
+    this.replay = replay;
+    this.ephemeral = false; // replay boxes: not saved, data deleted on removal
+    this.recorder = null; // Recorder while the box's ticks are being recorded
+
+    const dir = path.join(dataDir, "boxes", id);
+    this.dir = dir;
+    this.engine = new DecisionEngine();
+    this.store = new Store({ dir, retention, nowMs: clock.now() });
+    this.incidents = new IncidentTracker({ boxId: id, file: path.join(dir, "incidents.json") });
+    this.remediation = new RemediationController();
+    this.sensorHealth = new SensorHealth();
+    this.dose = new DoseTracker({ file: path.join(dir, "dose.json") });
+    this.scenario = null; // ScenarioPlayer while a scenario is loaded (simulated boxes only)
+    this._createSource();
+    this.sourceState = null; // last reported source state, for change detection
+
+    // Pre-bake history only the first time, so the dashboard looks full right away.
+    // It runs on a throwaway simulator with its own PRNG, so the live sequence of
+    // a seeded box is the same whether or not the history had to be generated.
+    if (this.simulator && this.store.isEmpty()) {
+      const historySimulator = new Simulator({
+        ...this.config,
+        random: seed === null ? Math.random : seededRandom(`${seed}:${id}:history`),
+        clock,
+      });
+      historySimulator.state = structuredClone(this.simulator.state); // same starting conditions as live
+      const { history24h, history7d } = historySimulator.generateHistory();
+      this.store.seedHistory({
+        history24h: history24h.map((r) => withPsychrometrics(r)),
+        history7d: history7d.map((r) => withPsychrometrics(r)),
+      });
+      // The week before the last 24h at 30-min resolution, then the last 24h by the minute
+      if (this.dose.isEmpty()) {
+        const firstMinute = history24h[0].timestamp;
+        for (const r of history7d) if (r.timestamp < firstMinute) this.dose.add(r);
+        for (const r of history24h) this.dose.add(r);
+        this.dose.save();
+      }
+    }
+  }
+
+  _createSource() {
+    if (this.config.source === "replay") {
+      this.simulator = null;
+      this.source = this.replay;
+    } else if (this.config.source === "ingest") {
+      this.simulator = null;
+      this.source = new IngestSource();
+    } else if (this.config.source === "mqtt") {
+      this.simulator = null;
+      this.source = new MqttSource({ boxId: this.id, bridge: this.mqtt });
+    } else {
+      this.simulator = new Simulator({ ...this.config, random: this.random, clock: this.clock });
+      this.source = new SimulatorSource(this.simulator);
+    }
+  }
+
+  /**
+   * Switch artifact type / demo mode / data source / control mode. The recorded history is kept.
+   */
+  configure({ artifactType, demoMode, source, controlMode }) {
+    if (artifactType) this.config.artifactType = artifactType;
+    if (demoMode) this.config.demoMode = demoMode;
+    if (controlMode) this.config.controlMode = controlMode;
+
+    if (source && source !== this.config.source) {
+      this.config.source = source;
+      this.scenario?.stop(this.clock.now());
+      this.scenario = null;
+      this._createSource();
+      return;
+    }
+    if (this.simulator) {
+      this.simulator.setArtifactType(this.config.artifactType);
+      this.simulator.setDemoMode(this.config.demoMode);
+    }
+  }
+
+  /**
+   * Persist in-memory state (partial history buckets, incident peaks, dose indices).
+   */
+  flush() {
+    this.recorder?.stop(this.clock.nowIso());
+    this.recorder = null;
+    this.store.flush();
+    this.incidents.save();
+    this.dose.save();
+  }
+
+  spec() {
+    return { id: this.id, name: this.name, location: this.location, ...this.config };
+  }
+
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      location: this.location,
+      config: { ...this.config },
+      source: this.source.status(),
+      riskScore: this.store.live?.assessment?.riskScore ?? null,
+      riskLevel: this.store.live?.assessment?.riskLevel ?? null,
+      openIncidents: this.incidents.list({ state: "open" }).length,
+      lastUpdate: this.store.live?.timestamp ?? null,
+    };
+  }
+}
+
+/**
+ * The fleet: boxes by id, in insertion order.
+ * The first box is the "default" one used by the legacy single-box routes.
+ *
+ * Box specs are saved to `<dataDir>/boxes.json`; each box's data lives in
+ * `<dataDir>/boxes/<id>/` and is kept on disk when a box is removed.
+ */
+export class BoxRegistry {
+  constructor({ dataDir, retention, mqtt = null, clock = new SystemClock(), seed = null } = {}) {
+    this.dataDir = dataDir;
+    this.retention = retention;
+    this.mqtt = mqtt;
+    this.clock = clock;
+    this.seed = seed;
+    this.file = path.join(dataDir, "boxes.json");
+    this.boxes = new Map();
+  }
+
+  /**
+   * Restore saved boxes, or register `defaults` on first run.
+   */
+  load(defaults = DEFAULT_BOXES) {
+    let specs = defaults;
+    if (fs.existsSync(this.file)) specs = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    for (const spec of specs) this._create(spec);
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const specs = this.list().filter((b) => !b.ephemeral).map((b) => b.spec());
+    fs.writeFileSync(this.file, JSON.stringify(specs, null, 2));
+  }
+
+  _create(spec, { dataDir = this.dataDir, replay = null } = {}) {
+    if (this.boxes.has(spec.id)) throw new Error(`Box ${spec.id} already exists`);
+    const box = new Box(spec, {
+      dataDir,
+      replay,
+      retention: this.retention,
+      mqtt: this.mqtt,
+      clock: this.clock,
+      seed: this.seed,
+    });
+    this.boxes.set(box.id, box);
+    return box;
+  }
+
+  add(spec) {
+    const box = this._create(spec);
+    this.save();
+    return box;
+  }
+
+  /**
+   * A box that replays a recording. It lives under `dataDir` (not the fleet's),
+   * isn't saved to boxes.json and its data is deleted when it's removed.
+   */
+  addReplay(spec, { dataDir, replay }) {
+    fs.rmSync(path.join(dataDir, "boxes", spec.id), { recursive: true, force: true });
+    const box = this._create({ ...spec, source: "replay" }, { dataDir, replay });
+    box.ephemeral = true;
+    return box;
+  }
+
+  get(id) {
+    return this.boxes.get(id) ?? null;
+  }
+
+  remove(id) {
+    const box = this.boxes.get(id);
+    if (!box) return false;
+    box.flush();
+    this.boxes.delete(id);
+    if (box.ephemeral) fs.rmSync(box.dir, { recursive: true, force: true });
+    else this.save();
+    return true;
+  }
+
+  list() {
+    return [...this.boxes.values()];
+  }
+
+  defaultBox() {
+    return this.list()[0] ?? null;
+  }
+}
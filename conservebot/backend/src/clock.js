@@ -0,0 +1,63 @@
+/**
+ * Where "now" comes from.
+ *
+ * - `SystemClock`: wall time (the default)
+ * - `VirtualClock`: starts at `startMs` and only moves when the main loop
+ *   advances it, `speed` simulated seconds per real second. Readings then
+ *   land on exact 1 s steps from the start, so with a seeded simulator a run
+ *   can be reproduced reading for reading.
+ */
+
+export class SystemClock {
+  constructor() {
+    this.kind = "system";
+    this.speed = 1;
+  }
+
+  now() {
+    return Date.now();
+  }
+
+  nowIso() {
+    return new Date(this.now()).toISOString();
+  }
+
+  describe() {
+    return { kind: this.kind, now: this.nowIso(), speed: this.speed };
+  }
+}
+
+// Fastest the main loop (see server.js) advances a virtual clock: 250 one-second steps per 100 ms loop
+export const MAX_SPEED = 2_500;
+
+export class VirtualClock {
+  constructor({ startMs = Date.now(), speed = 1 } = {}) {
+    this.kind = "virtual";
+    this.startMs = startMs;
+    this.nowMs = startMs;
+    this.speed = speed;
+  }
+
+  now() {
+    return this.nowMs;
+  }
+
+  nowIso() {
+    return new Date(this.nowMs).toISOString();
+  }
+
+  advance(ms) {
+    this.nowMs += ms;
+  }
+
+  /**
+   * 0 pauses simulated time.
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  describe() {
+    return { kind: this.kind, now: this.nowIso(), speed: this.speed, startedAt: new Date(this.startMs).toISOString() };
+  }
+}
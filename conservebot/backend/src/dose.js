@@ -0,0 +1,189 @@
+import fs from "fs";
+
+/**
+ * Cumulative preservation "dose": what the conditions so far have cost the
+ * collection, as opposed to the instantaneous `riskScore`.
+ *
+ * - TWPI (Time-Weighted Preservation Index, Image Permanence Institute):
+ *   the Preservation Index PI = e^(E/RT) / (5.9e12 · RH) in years for
+ *   chemical decay (E = 90.3 kJ/mol), averaged as TWPI = Σdt / Σ(dt/PI).
+ *   `lifeUsedPct` is Σ(dt/PI): the share of a "PI = 1 year" object's life
+ *   used up.
+ * - Mold index: time spent above the germination isopleths, as a fraction of
+ *   the germination time at those conditions (1 = germination expected).
+ *   Germination takes ~150 days at 20 °C / 75 % RH, ~3 days at 20 °C / 95 %,
+ *   about 3× longer every 10 °C cooler, and never below 65 % RH or 2 °C.
+ * - RH fluctuation: daily RH swing (max − min) and the number of swing cycles
+ *   (reversals of at least `CYCLE_HYSTERESIS_PCT`) per day, over the last
+ *   `FLUCTUATION_DAYS` days. Big, frequent swings cause mechanical damage
+ *   (cracking, delamination) in hygroscopic materials.
+ *
+ * Saved per box to `<box dir>/dose.json`.
+ */
+
+const ACTIVATION_J_PER_MOL = 90_300;
+const GAS_CONSTANT = 8.314;
+const PI_SCALE = 5.9e12;
+
+const MOLD_MIN_RH = 65;
+const MOLD_MIN_TEMP_C = 2;
+const MOLD_MAX_TEMP_C = 45;
+
+export const FLUCTUATION_DAYS = 30;
+const CYCLE_HYSTERESIS_PCT = 2;
+const MAX_STEP_MS = 30 * 60_000; // longer gaps (e.g. server downtime) only count this long
+const SAVE_EVERY_MS = 5 * 60_000;
+const YEAR_MS = 365.25 * 24 * 60 * 60_000;
+const DAY_MS = 24 * 60 * 60_000;
+
+// Status thresholds. TWPI is ~42 years at 20 °C / 50 % RH and halves roughly every 5 °C warmer.
+export const DOSE_THRESHOLDS = {
+  twpiYears: { warn: 40, danger: 20 },
+  moldIndex: { warn: 0.5, danger: 1 },
+  meanDailySwingPct: { warn: 10, danger: 20 },
+};
+
+/**
+ * Preservation Index in years at constant conditions.
+ */
+export function preservationIndex(temperatureC, humidityPct) {
+  const kelvin = temperatureC + 273.15;
+  return Math.exp(ACTIVATION_J_PER_MOL / (GAS_CONSTANT * kelvin)) / (PI_SCALE * humidityPct);
+}
+
+/**
+ * Days until mold germination at constant conditions (Infinity if it can't).
+ */
+export function moldGerminationDays(temperatureC, humidityPct) {
+  if (humidityPct < MOLD_MIN_RH || temperatureC < MOLD_MIN_TEMP_C || temperatureC > MOLD_MAX_TEMP_C) return Infinity;
+  return Math.exp(5 - 0.2 * (humidityPct - 75) - 0.11 * (temperatureC - 20));
+}
+
+function round(n, digits = 2) {
+  return Number(n.toFixed(digits));
+}
+
+// `direction` / `pivot`: where RH is heading and its extreme since the last reversal
+function emptyDay(date, rh, previous) {
+  return { date, min: rh, max: rh, cycles: 0, direction: previous?.direction ?? 0, pivot: previous?.pivot ?? rh };
+}
+
+export class DoseTracker {
+  constructor({ file = null } = {}) {
+    this.file = file;
+    this.state = {
+      since: null,
+      lastMs: null,
+      exposureMs: 0,
+      sumDtOverPiYears: 0, // Σ dt/PI with dt in years
+      moldIndex: 0,
+      moldHours: 0, // time spent where mold can germinate
+      days: [], // [{ date, min, max, cycles, direction, pivot }] oldest first
+    };
+    this.lastSavedMs = 0;
+    if (file && fs.existsSync(file)) this.state = { ...this.state, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+  }
+
+  isEmpty() {
+    return this.state.lastMs === null;
+  }
+
+  save() {
+    if (this.file) fs.writeFileSync(this.file, JSON.stringify(this.state));
+  }
+
+  /**
+   * Accumulate one reading. Skipped unless temperature and humidity are both
+   * present and not in `faulty` (see sensorHealth.js).
+   */
+  add(reading, faulty = []) {
+    const { temperatureC, humidityPct } = reading;
+    if (faulty.includes("temperature") || faulty.includes("humidity")) return;
+    if (typeof temperatureC !== "number" || typeof humidityPct !== "number" || humidityPct <= 0) return;
+    const ms = Date.parse(reading.timestamp);
+    const s = this.state;
+    if (s.lastMs !== null && ms <= s.lastMs) return;
+
+    if (s.lastMs !== null) {
+      const dt = Math.min(ms - s.lastMs, MAX_STEP_MS);
+      s.exposureMs += dt;
+      s.sumDtOverPiYears += dt / YEAR_MS / preservationIndex(temperatureC, humidityPct);
+
+      const germinationDays = moldGerminationDays(temperatureC, humidityPct);
+      if (Number.isFinite(germinationDays)) {
+        s.moldIndex += dt / DAY_MS / germinationDays;
+        s.moldHours += dt / (60 * 60_000);
+      }
+    }
+    s.since ??= reading.timestamp;
+    s.lastMs = ms;
+    this._addHumidity(reading.timestamp.slice(0, 10), humidityPct);
+
+    if (ms - this.lastSavedMs >= SAVE_EVERY_MS) {
+      this.lastSavedMs = ms;
+      this.save();
+    }
+  }
+
+  _addHumidity(date, rh) {
+    const days = this.state.days;
+    let day = days[days.length - 1];
+    if (!day || day.date !== date) {
+      day = emptyDay(date, rh, day);
+      days.push(day);
+      if (days.length > FLUCTUATION_DAYS) days.splice(0, days.length - FLUCTUATION_DAYS);
+    }
+    day.min = Math.min(day.min, rh);
+    day.max = Math.max(day.max, rh);
+
+    // A reversal of at least the hysteresis counts as half a swing cycle
+    if (day.direction === 0) {
+      if (Math.abs(rh - day.pivot) >= CYCLE_HYSTERESIS_PCT) {
+        day.direction = Math.sign(rh - day.pivot);
+        day.pivot = rh;
+      }
+    } else if ((rh - day.pivot) * day.direction > 0) {
+      day.pivot = rh; // still heading the same way: new extreme
+    } else if (Math.abs(rh - day.pivot) >= CYCLE_HYSTERESIS_PCT) {
+      day.cycles += 0.5;
+      day.direction = -day.direction;
+      day.pivot = rh;
+    }
+  }
+
+  summary() {
+    const s = this.state;
+    const twpiYears = s.sumDtOverPiYears > 0 ? s.exposureMs / YEAR_MS / s.sumDtOverPiYears : null;
+    const swings = s.days.map((d) => d.max - d.min);
+    const meanDailySwingPct = swings.length ? swings.reduce((a, b) => a + b, 0) / swings.length : null;
+    const status = (value, { warn, danger }, higherIsWorse) => {
+      if (value === null) return "unknown";
+      if (higherIsWorse ? value >= danger : value <= danger) return "danger";
+      if (higherIsWorse ? value >= warn : value <= warn) return "warn";
+      return "safe";
+    };
+
+    return {
+      since: s.since,
+      exposureHours: round(s.exposureMs / (60 * 60_000), 1),
+      twpi: {
+        years: twpiYears === null ? null : round(twpiYears, 1),
+        lifeUsedPct: round(s.sumDtOverPiYears * 100, 4),
+        status: status(twpiYears, DOSE_THRESHOLDS.twpiYears, false),
+      },
+      mold: {
+        index: round(s.moldIndex, 3),
+        hoursAtRisk: round(s.moldHours, 1),
+        status: status(s.moldIndex, DOSE_THRESHOLDS.moldIndex, true),
+      },
+      fluctuation: {
+        days: s.days.length,
+        meanDailySwingPct: meanDailySwingPct === null ? null : round(meanDailySwingPct, 1),
+        maxDailySwingPct: swings.length ? round(Math.max(...swings), 1) : null,
+        meanCyclesPerDay: s.days.length ? round(s.days.reduce((a, d) => a + d.cycles, 0) / s.days.length, 1) : null,
+        daily: s.days.map((d) => ({ date: d.date, swingPct: round(d.max - d.min, 1), cycles: d.cycles })),
+        status: status(meanDailySwingPct, DOSE_THRESHOLDS.meanDailySwingPct, true),
+      },
+    };
+  }
+}
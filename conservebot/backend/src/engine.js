@@ -1,4 +1,8 @@
 import { clamp, isBetweenInclusive, slope } from "./utils.js";
+import { forecast, forecastInsights } from "./forecast.js";
+import { describeFault } from "./sensorHealth.js";
+import { condensationStatus } from "./psychro.js";
+import { DEFAULT_RISK_MODEL } from "./standards.js";
 
 /**
  * ConserveBot “AI” (explainable rules + scoring).
@@ -6,7 +10,21 @@ import { clamp, isBetweenInclusive, slope } from "./utils.js";
  * Output:
  * - `riskScore` (0..100): higher = more likely damage if conditions persist
  * - `insights`: human-readable “what it’s thinking”
+ * - `forecast`: when temperature/humidity/moisture will cross warn/danger (see forecast.js)
  * - `actions`: simulated auto-remediation actions
+ * - `breakdown`: how the score was built and which rule produced each insight
+ *   and action (see `evaluate`)
+ *
+ * Condensation risk comes from the reading's dew-point margin (see psychro.js).
+ *
+ * Weights, amplifiers and the action gate come from the standards profile's
+ * `riskModel` (see standards.js).
+ *
+ * Metrics whose sensor looks faulty (see sensorHealth.js) get status "unknown"
+ * and are left out of the weighted risk score.
+ *
+ * Time only comes from reading timestamps (never the wall clock), so the same
+ * readings always give the same assessment — seeded runs replay exactly.
  */
 
 function rangeStatus(x, { safe, warn }) {
@@ -21,13 +39,44 @@ function maxStatus(x, { safeMax, warnMax }) {
   return "danger";
 }
 
+/**
+ * Status of one reading field against `standards` (null for fields without
+ * limits). Used to classify stored history, where no assessment is kept.
+ */
+export function metricStatus(field, value, standards) {
+  if (typeof value !== "number") return null;
+  switch (field) {
+    case "temperatureC":
+    case "humidityPct":
+      return rangeStatus(value, standards[field]);
+    case "moisturePct":
+    case "vibration":
+      return maxStatus(value, standards[field]);
+    case "opensPerHour":
+      return maxStatus(value, {
+        safeMax: standards.access.maxOpensPerHourSafe,
+        warnMax: standards.access.maxOpensPerHourWarn,
+      });
+    case "dewPointMarginC":
+      return condensationStatus(value);
+    default:
+      return null;
+  }
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
 function statusToColor(status) {
+  if (status === "unknown") return "gray";
   if (status === "safe") return "green";
   if (status === "warn") return "yellow";
   return "red";
 }
 
-function riskFromRange(x, { safe, warn }) {
+// `maxedDistance`: units past warn where the risk reaches 100
+function riskFromRange(x, { safe, warn }, maxedDistance) {
   // 0 in safe, 25..60 in warn band, 70..100 outside warn
   if (isBetweenInclusive(x, safe)) return 0;
   if (isBetweenInclusive(x, warn)) {
@@ -42,17 +91,17 @@ function riskFromRange(x, { safe, warn }) {
   // outside warn
   const [w0, w1] = warn;
   const d = x < w0 ? w0 - x : x > w1 ? x - w1 : 0;
-  const t = clamp(d / 5, 0, 1); // 5 units past warn ~ maxed
+  const t = clamp(d / maxedDistance, 0, 1);
   return 70 + 30 * t;
 }
 
-function riskFromMax(x, { safeMax, warnMax }) {
+function riskFromMax(x, { safeMax, warnMax }, maxedDistance) {
   if (x <= safeMax) return 0;
   if (x <= warnMax) {
     const t = clamp((x - safeMax) / Math.max(0.001, warnMax - safeMax), 0, 1);
     return 25 + 35 * t;
   }
-  const t = clamp((x - warnMax) / 3, 0, 1);
+  const t = clamp((x - warnMax) / maxedDistance, 0, 1);
   return 70 + 30 * t;
 }
 
@@ -63,22 +112,6 @@ function riskLevel(score) {
   return "CRITICAL";
 }
 
-/**
- * Predict “time to harm” style messages (simple heuristic).
- * Returns null if no prediction is appropriate.
- */
-function predictionForHumidity({ humidityPct, humidityStatus, humiditySlopePerMin }) {
-  if (humidityStatus === "danger" && humidityPct >= 60) {
-    // High humidity + rising = mold risk soon for many organics
-    const rising = humiditySlopePerMin > 0.05;
-    return rising ? "Humidity rising fast—risk of mold formation within ~6 hours." : "High humidity—mold risk increases over the next day.";
-  }
-  if (humidityStatus === "warn" && humiditySlopePerMin > 0.05) {
-    return "Humidity trending upward—keep an eye on mold/corrosion risk.";
-  }
-  return null;
-}
-
 export class DecisionEngine {
   constructor() {
     // Keep a small window of recent readings for trend detection
@@ -92,10 +125,29 @@ export class DecisionEngine {
     this.recent = this.recent.filter((p) => p.tMs >= cutoff);
   }
 
-  evaluate({ reading, standards }) {
-    const tempStatus = rangeStatus(reading.temperatureC, standards.temperatureC);
-    const humidityStatus = rangeStatus(reading.humidityPct, standards.humidityPct);
-    const moistureStatus = maxStatus(reading.moisturePct, standards.moisturePct);
+  /**
+   * `health` is `SensorHealth.check(reading)`; its faulty metrics are treated as unknown.
+   *
+   * `breakdown` explains the score, from 0 up to `riskScore`:
+   * - `metrics` – each metric's `risk` (0..100), its configured `weight`, the
+   *   `share` it gets after faulty metrics are dropped and its `contribution`
+   *   (risk × share); they add up to `baseScore`
+   * - `amplifiers` – the trend/door/lock/condensation rules that fired, with the
+   *   points they added (or took away)
+   * - `adjustment` – rounding and clamping to 0..100
+   * - `insights` – `{ rule, text }` for each line of `insights`
+   * - `actionGate` – the minimum score for actions and the actions it `held` back
+   * Each action also names its `rule`.
+   */
+  evaluate({ reading, standards, health = null }) {
+    const model = standards.riskModel ?? DEFAULT_RISK_MODEL;
+    const faulty = new Set(health?.faulty ?? []);
+    const known = (metric, status) => (faulty.has(metric) ? "unknown" : status);
+    const flagged = (status) => status === "warn" || status === "danger";
+
+    const tempStatus = known("temperature", rangeStatus(reading.temperatureC, standards.temperatureC));
+    const humidityStatus = known("humidity", rangeStatus(reading.humidityPct, standards.humidityPct));
+    const moistureStatus = known("moisture", maxStatus(reading.moisturePct, standards.moisturePct));
 
     const accessStatus = (() => {
       if (reading.opensPerHour <= standards.access.maxOpensPerHourSafe) return "safe";
@@ -104,75 +156,132 @@ export class DecisionEngine {
     })();
 
     const vibrationStatus = (() => {
+      if (faulty.has("vibration")) return "unknown";
       if (reading.vibration <= standards.vibration.safeMax) return "safe";
       if (reading.vibration <= standards.vibration.warnMax) return "warn";
       return "danger";
     })();
 
-    // Trend (humidity slope over last ~10 minutes)
-    const humidityPoints = this.recent.map((p) => ({ t: p.tMs, y: p.reading.humidityPct }));
-    const humiditySlopePerSec = slope(humidityPoints);
-    const humiditySlopePerMin = humiditySlopePerSec * 60;
+    const dewStatus = condensationStatus(reading.dewPointMarginC);
+
+    // Trends (slopes over the recent window)
+    const slopePerMin = (metric, field) => {
+      if (faulty.has(metric)) return 0;
+      const points = this.recent
+        .filter((p) => typeof p.reading[field] === "number")
+        .map((p) => ({ t: p.tMs, y: p.reading[field] }));
+      return slope(points) * 60;
+    };
+    const humiditySlopePerMin = slopePerMin("humidity", "humidityPct");
+    const temperatureSlopePerMin = slopePerMin("temperature", "temperatureC");
 
     // Base risk contributions
-    const riskTemp = riskFromRange(reading.temperatureC, standards.temperatureC);
-    const riskHumidity = riskFromRange(reading.humidityPct, standards.humidityPct);
-    const riskMoisture = riskFromMax(reading.moisturePct, standards.moisturePct);
-    const riskAccess = clamp(
-      (reading.opensPerHour / Math.max(1, standards.access.maxOpensPerHourWarn)) * 60,
-      0,
-      100,
-    );
-    const riskVibration = clamp((reading.vibration / Math.max(0.01, standards.vibration.warnMax)) * 60, 0, 100);
+    const risks = {
+      temperature: riskFromRange(reading.temperatureC, standards.temperatureC, model.maxedDistance.temperatureC),
+      humidity: riskFromRange(reading.humidityPct, standards.humidityPct, model.maxedDistance.humidityPct),
+      moisture: riskFromMax(reading.moisturePct, standards.moisturePct, model.maxedDistance.moisturePct),
+      access: clamp((reading.opensPerHour / Math.max(1, standards.access.maxOpensPerHourWarn)) * 60, 0, 100),
+      vibration: clamp((reading.vibration / Math.max(0.01, standards.vibration.warnMax)) * 60, 0, 100),
+    };
 
-    // Weighted total
-    let riskScore =
-      riskTemp * 0.22 +
-      riskHumidity * 0.28 +
-      riskMoisture * 0.22 +
-      riskAccess * 0.16 +
-      riskVibration * 0.12;
+    // Weighted total over the metrics we can trust (weights re-normalized)
+    const trusted = Object.keys(model.weights).filter((m) => !faulty.has(m));
+    const weightSum = trusted.reduce((sum, m) => sum + model.weights[m], 0);
+    const metricBreakdown = Object.entries(model.weights).map(([metric, weight]) => {
+      const share = faulty.has(metric) || weightSum <= 0 ? 0 : weight / weightSum;
+      return { metric, risk: round2(risks[metric]), weight, share: round2(share), contribution: risks[metric] * share, excluded: share === 0 };
+    });
+    const baseScore = metricBreakdown.reduce((sum, m) => sum + m.contribution, 0);
 
     // Trend amplifiers
-    if (humiditySlopePerMin > 0.08) riskScore += 8;
-    if (humiditySlopePerMin > 0.15) riskScore += 12;
-    if (reading.doorState === "open") riskScore += 4;
-    if (reading.accessLocked) riskScore -= 3; // locked reduces exposure risk a bit
+    const amplifiers = [];
+    const amplify = (rule, label, points) => amplifiers.push({ rule, label, points });
+    const { trend, amplifiers: points } = model;
+    if (humiditySlopePerMin > trend.humidityRisingPerMin) {
+      amplify("humidity-rising", `Humidity rising ${humiditySlopePerMin.toFixed(2)}%/min (> ${trend.humidityRisingPerMin})`, trend.risingPoints);
+    }
+    if (humiditySlopePerMin > trend.humidityFastPerMin) {
+      amplify("humidity-rising-fast", `Humidity rising fast (> ${trend.humidityFastPerMin}%/min)`, trend.fastPoints);
+    }
+    if (reading.doorState === "open") amplify("door-open", "Door open", points.doorOpen);
+    if (reading.accessLocked) amplify("access-locked", "Access locked", points.accessLocked); // locked reduces exposure risk a bit
+    if (dewStatus === "warn") amplify("condensation-warn", "Condensation risk WARN", points.condensationWarn);
+    if (dewStatus === "danger") amplify("condensation-danger", "Condensation risk DANGER", points.condensationDanger);
+
+    const rawScore = amplifiers.reduce((sum, a) => sum + a.points, baseScore);
+    const riskScore = clamp(Math.round(rawScore), 0, 100);
 
-    riskScore = clamp(Math.round(riskScore), 0, 100);
+    const statuses = {
+      temperature: { status: tempStatus, color: statusToColor(tempStatus) },
+      humidity: { status: humidityStatus, color: statusToColor(humidityStatus) },
+      moisture: { status: moistureStatus, color: statusToColor(moistureStatus) },
+      access: { status: accessStatus, color: statusToColor(accessStatus) },
+      vibration: { status: vibrationStatus, color: statusToColor(vibrationStatus) },
+      condensation: { status: dewStatus, color: statusToColor(dewStatus) },
+    };
 
-    const insights = [];
-    const prediction = predictionForHumidity({ humidityPct: reading.humidityPct, humidityStatus, humiditySlopePerMin });
-    if (prediction) insights.push(prediction);
+    // Time-to-threshold from the same recent window
+    const forecasts = forecast(
+      this.recent.map((p) => p.reading),
+      standards,
+      { nowMs: Date.parse(reading.timestamp), exclude: faulty },
+    );
 
-    if (tempStatus !== "safe") {
-      insights.push(
+    const insights = []; // { rule, text }
+    const insight = (rule, text) => insights.push({ rule, text });
+    for (const [metric, { fault }] of Object.entries(health?.metrics ?? {})) {
+      if (fault) insight("sensor-fault", `${describeFault(metric, fault)} Its readings are ignored until it recovers.`);
+    }
+    for (const text of forecastInsights(forecasts, statuses)) insight("forecast", text);
+
+    if (flagged(tempStatus)) {
+      insight(
+        "temperature-status",
         `Temperature is ${tempStatus.toUpperCase()} (${reading.temperatureC}°C). Target ${standards.temperatureC.safe[0]}–${standards.temperatureC.safe[1]}°C.`,
       );
     }
-    if (humidityStatus !== "safe") {
-      insights.push(
+    if (flagged(humidityStatus)) {
+      insight(
+        "humidity-status",
         `Humidity is ${humidityStatus.toUpperCase()} (${reading.humidityPct}%). Target ${standards.humidityPct.safe[0]}–${standards.humidityPct.safe[1]}%.`,
       );
     }
-    if (moistureStatus !== "safe") {
-      insights.push(
+    if (flagged(moistureStatus)) {
+      insight(
+        "moisture-status",
         `Moisture content is ${moistureStatus.toUpperCase()} (${reading.moisturePct}%). Goal <${standards.moisturePct.safeMax}%.`,
       );
     }
     if (accessStatus !== "safe") {
-      insights.push(
+      insight(
+        "access-status",
         `Repeated access detected (${reading.opensPerHour} opens/hour). Exposure risk increased.`,
       );
     }
-    if (vibrationStatus !== "safe") {
-      insights.push(
+    if (flagged(vibrationStatus)) {
+      insight(
+        "vibration-status",
         `Vibration is ${vibrationStatus.toUpperCase()} (level ${reading.vibration}). Movement can chip or crack fragile material.`,
       );
     }
 
+    if (flagged(dewStatus)) {
+      const surface = reading.surfaceTempC ?? reading.temperatureC;
+      const where =
+        reading.dewPointMarginC <= 0
+          ? `surfaces (${surface}°C) are at or below the dew point (${reading.dewPointC}°C), so water is likely condensing`
+          : `surfaces (${surface}°C) are only ${reading.dewPointMarginC}°C above the dew point (${reading.dewPointC}°C)`;
+      const causes = [];
+      if (reading.doorState === "open") causes.push("the door is open and room air is coming in");
+      if (temperatureSlopePerMin < -0.05) causes.push(`temperature is dropping ${Math.abs(temperatureSlopePerMin).toFixed(2)}°C/min`);
+      insight(
+        "condensation",
+        `Condensation risk ${dewStatus.toUpperCase()}: ${where}.${causes.length ? ` Cause: ${causes.join(" and ")}.` : ""}`,
+      );
+    }
+
     // Keep it friendly and short if everything is okay
-    if (!insights.length) insights.push("All conditions look stable. ConserveBot is just monitoring.");
+    if (!insights.length) insight("all-stable", "All conditions look stable. ConserveBot is just monitoring.");
 
     // Auto-remediation: pick actions when in danger (and sometimes warn)
     const actions = [];
@@ -181,17 +290,20 @@ export class DecisionEngine {
         type: "DEHUMIDIFY",
         label: "Trigger dehumidification",
         reason: `Humidity ${reading.humidityPct}% above target.`,
+        rule: "humidity-high",
       });
       actions.push({
         type: "TRIGGER_AIRFLOW",
         label: "Increase airflow",
         reason: "Airflow helps stabilize humidity and moisture.",
+        rule: "humidity-high",
       });
     } else if (humidityStatus === "warn" && reading.humidityPct < standards.humidityPct.safe[0]) {
       actions.push({
         type: "HUMIDIFY",
         label: "Add gentle humidification",
         reason: `Humidity ${reading.humidityPct}% below target.`,
+        rule: "humidity-low",
       });
     }
 
@@ -202,6 +314,17 @@ export class DecisionEngine {
         type: dir === "DOWN" ? "ADJUST_TEMP_DOWN" : "ADJUST_TEMP_UP",
         label: dir === "DOWN" ? "Cool internal temperature" : "Warm internal temperature",
         reason: `Temperature ${reading.temperatureC}°C outside ideal zone.`,
+        rule: "temperature-out-of-range",
+      });
+    }
+
+    // Drying the air lowers the dew point
+    if (dewStatus === "danger" && !actions.some((a) => a.type === "DEHUMIDIFY")) {
+      actions.push({
+        type: "DEHUMIDIFY",
+        label: "Trigger dehumidification",
+        reason: `Dew-point margin ${reading.dewPointMarginC}°C—condensation likely.`,
+        rule: "condensation-danger",
       });
     }
 
@@ -210,27 +333,41 @@ export class DecisionEngine {
         type: "LOCK_ACCESS_10_MIN",
         label: "Lock access for 10 minutes",
         reason: "Too many door opens—reduce exposure while conditions stabilize.",
+        rule: "access-danger",
       });
     }
 
     // Don’t over-act: if risk is low, skip actions even if a single metric is warn.
-    const finalActions = riskScore >= 45 ? actions : [];
+    const gateOpen = riskScore >= model.actionMinScore;
+    const finalActions = gateOpen ? actions : [];
 
     return {
       riskScore,
       riskLevel: riskLevel(riskScore),
-      statuses: {
-        temperature: { status: tempStatus, color: statusToColor(tempStatus) },
-        humidity: { status: humidityStatus, color: statusToColor(humidityStatus) },
-        moisture: { status: moistureStatus, color: statusToColor(moistureStatus) },
-        access: { status: accessStatus, color: statusToColor(accessStatus) },
-        vibration: { status: vibrationStatus, color: statusToColor(vibrationStatus) },
-      },
+      statuses,
       trends: {
         humiditySlopePerMin: Number(humiditySlopePerMin.toFixed(3)),
+        temperatureSlopePerMin: Number(temperatureSlopePerMin.toFixed(3)),
       },
-      insights,
+      forecast: forecasts,
+      faultyMetrics: [...faulty],
+      // Which standards profile version this was judged against
+      standardsVersion: { id: standards.id, version: standards.version },
+      insights: insights.map((i) => i.text),
       actions: finalActions,
+      breakdown: {
+        metrics: metricBreakdown.map((m) => ({ ...m, contribution: round2(m.contribution) })),
+        baseScore: round2(baseScore),
+        amplifiers,
+        adjustment: round2(riskScore - rawScore),
+        riskScore,
+        insights,
+        actionGate: {
+          minScore: model.actionMinScore,
+          open: gateOpen,
+          held: gateOpen ? [] : actions.map(({ type, label, rule }) => ({ type, label, rule })),
+        },
+      },
     };
   }
 }
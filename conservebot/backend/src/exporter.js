@@ -0,0 +1,213 @@
+import { ROLLUP_METRICS } from "./store.js";
+
+/**
+ * Streaming exports of one box's data for collection-management reports.
+ *
+ * Datasets:
+ * - `history` – readings from one storage tier (`raw`, `1m` or `30m`)
+ * - `assessments` – the per-minute assessment summaries (see Store.appendAssessment)
+ * - `logs` – alerts, remediation, config changes…
+ * - `incidents` – by start time
+ *
+ * Formats: `csv` (one header row, nested values as JSON), `ndjson` and `json`
+ * (one array). Rows are written as they are read, day by day, so exports of
+ * months of data don't build up in memory.
+ */
+
+export const EXPORT_DATASETS = ["history", "assessments", "logs", "incidents"];
+export const EXPORT_FORMATS = ["csv", "ndjson", "json"];
+export const EXPORT_TIERS = ["raw", "1m", "30m"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  ndjson: "application/x-ndjson",
+  json: "application/json",
+};
+
+const DAY_MS = 24 * 60 * 60_000;
+const CHUNK_CHARS = 64 * 1024; // rows are batched into writes of about this size
+
+const ASSESSMENT_COLUMNS = [
+  "timestamp",
+  "riskScore",
+  "riskLevel",
+  "statuses.temperature",
+  "statuses.humidity",
+  "statuses.moisture",
+  "statuses.access",
+  "statuses.vibration",
+  "statuses.condensation",
+  "faultyMetrics",
+  "actions",
+  "controlMode",
+  "standards.id",
+  "standards.version",
+];
+const LOG_COLUMNS = ["timestamp", "id", "kind", "message", "actor.name", "details"];
+const INCIDENT_COLUMNS = [
+  "id",
+  "metric",
+  "state",
+  "severity",
+  "peakSeverity",
+  "startedAt",
+  "resolvedAt",
+  "durationSec",
+  "startValue",
+  "peakValue",
+  "peakAt",
+  "standards.id",
+  "standards.version",
+  "acknowledged.by",
+  "acknowledged.at",
+  "actions",
+  "comments",
+];
+
+export class ExportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseTime(value, name) {
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new ExportError(`${name} must be an ISO timestamp or epoch milliseconds`);
+  return ms;
+}
+
+/**
+ * Check export query parameters (`format`, `from`, `to`, and for history
+ * `tier` and `metrics`). Defaults: CSV of the last 7 days, 1-minute tier,
+ * all metrics.
+ */
+export function parseExportQuery(dataset, query, { nowMs }) {
+  if (!EXPORT_DATASETS.includes(dataset)) {
+    throw new ExportError(`dataset must be one of ${EXPORT_DATASETS.join(", ")}`, 404);
+  }
+  const format = String(query.format ?? "csv");
+  if (!EXPORT_FORMATS.includes(format)) throw new ExportError(`format must be one of ${EXPORT_FORMATS.join(", ")}`);
+  const toMs = query.to !== undefined ? parseTime(query.to, "to") : nowMs;
+  const fromMs = query.from !== undefined ? parseTime(query.from, "from") : toMs - 7 * DAY_MS;
+  if (fromMs >= toMs) throw new ExportError("from must be before to");
+
+  const tier = String(query.tier ?? "1m");
+  if (!EXPORT_TIERS.includes(tier)) throw new ExportError(`tier must be one of ${EXPORT_TIERS.join(", ")}`);
+  let metrics = ROLLUP_METRICS;
+  if (query.metrics !== undefined) {
+    metrics = String(query.metrics)
+      .split(",")
+      .map((m) => m.trim())
+      .filter(Boolean);
+    const unknown = metrics.filter((m) => !ROLLUP_METRICS.includes(m));
+    if (!metrics.length || unknown.length) throw new ExportError(`Unknown metrics: ${unknown.join(", ") || "(none)"}`);
+  }
+  return { dataset, format, fromMs, toMs, tier, metrics };
+}
+
+/**
+ * CSV columns for a parsed export query.
+ */
+export function exportColumns({ dataset, tier, metrics }) {
+  if (dataset === "history") {
+    if (tier === "raw") return ["timestamp", ...metrics];
+    return ["timestamp", "count", ...metrics, ...metrics.map((m) => `min.${m}`), ...metrics.map((m) => `max.${m}`)];
+  }
+  if (dataset === "assessments") return ASSESSMENT_COLUMNS;
+  if (dataset === "logs") return LOG_COLUMNS;
+  return INCIDENT_COLUMNS;
+}
+
+// Keep only the requested metrics of a reading or rollup point
+function pickMetrics(point, metrics) {
+  const out = { timestamp: point.timestamp };
+  if (point.count !== undefined) {
+    out.count = point.count;
+    out.min = {};
+    out.max = {};
+  }
+  for (const m of metrics) {
+    if (point[m] === undefined) continue;
+    out[m] = point[m];
+    if (out.min) {
+      out.min[m] = point.min?.[m];
+      out.max[m] = point.max?.[m];
+    }
+  }
+  return out;
+}
+
+/**
+ * The records to export, oldest first.
+ */
+export function* exportRecords(box, { dataset, fromMs, toMs, tier, metrics }) {
+  if (dataset === "history") {
+    const points = tier === "raw" ? box.store.raw.iterate({ fromMs, toMs }) : box.store.readTier(tier, fromMs, toMs);
+    for (const p of points) yield pickMetrics(p, metrics);
+  } else if (dataset === "assessments") {
+    yield* box.store.assessmentLog.iterate({ fromMs, toMs });
+  } else if (dataset === "logs") {
+    for (const entry of box.store.logLog.iterate({ fromMs, toMs })) {
+      const { timestamp, id, kind, message, actor, boxId, ...details } = entry;
+      yield { timestamp, id, kind, message, actor, boxId, details };
+    }
+  } else {
+    const incidents = box.incidents
+      .list()
+      .filter((i) => {
+        const t = Date.parse(i.startedAt);
+        return t >= fromMs && t <= toMs;
+      })
+      .reverse();
+    yield* incidents;
+  }
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function csvRow(record, columns) {
+  return columns.map((c) => csvValue(c.split(".").reduce((v, key) => v?.[key], record))).join(",") + "\r\n";
+}
+
+/**
+ * Stream `records` to an HTTP response, waiting for the client to keep up.
+ * Stops early if the client goes away.
+ */
+export async function writeExport(res, records, { format, columns, filename }) {
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk) && !closed) {
+      await new Promise((resolve) => {
+        res.once("drain", resolve);
+        res.once("close", resolve);
+      });
+    }
+  };
+
+  let chunk = format === "csv" ? columns.join(",") + "\r\n" : format === "json" ? "[" : "";
+  let first = true;
+  for (const record of records) {
+    if (closed) return;
+    if (format === "csv") chunk += csvRow(record, columns);
+    else if (format === "ndjson") chunk += JSON.stringify(record) + "\n";
+    else chunk += (first ? "\n" : ",\n") + JSON.stringify(record);
+    first = false;
+    if (chunk.length >= CHUNK_CHARS) {
+      await write(chunk);
+      chunk = "";
+    }
+  }
+  if (format === "json") chunk += "\n]\n";
+  res.end(chunk);
+}
@@ -0,0 +1,191 @@
+import { mean } from "./utils.js";
+
+/**
+ * Time-to-threshold forecasts.
+ *
+ * Fits a straight line (least squares) to recent values of temperature,
+ * humidity and moisture and extrapolates when each one will cross its warn
+ * and danger bounds. The confidence interval comes from the slope's ~95%
+ * interval: the steepest plausible slope gives the earliest crossing, the
+ * flattest the latest (null when it may never get there).
+ *
+ * A line is only a fair guess for the next hours, so crossings beyond
+ * `horizonHours` aren't reported.
+ */
+
+// Metric → reading field
+export const FORECAST_METRICS = {
+  temperature: "temperatureC",
+  humidity: "humidityPct",
+  moisture: "moisturePct",
+};
+
+export const DEFAULT_HORIZON_HOURS = 48;
+const MIN_POINTS = 10;
+const MIN_SPAN_MS = 2 * 60_000;
+const HOUR_MS = 60 * 60_000;
+
+// Student t for a two-sided 95% interval; close enough for df >= 8.
+function tCritical(df) {
+  return 1.96 + 2.5 / df;
+}
+
+/**
+ * Least-squares line through `[{ t: ms, y }]`.
+ * Returns `{ slope, slopeSe, at(tMs), n, spanMs }` with slopes in units per ms, or null.
+ */
+export function fitLine(points) {
+  const n = points.length;
+  if (n < MIN_POINTS) return null;
+  const spanMs = points[n - 1].t - points[0].t;
+  if (spanMs < MIN_SPAN_MS) return null;
+
+  const tMean = mean(points.map((p) => p.t));
+  const yMean = mean(points.map((p) => p.y));
+  let sxx = 0;
+  let sxy = 0;
+  for (const p of points) {
+    sxx += (p.t - tMean) ** 2;
+    sxy += (p.t - tMean) * (p.y - yMean);
+  }
+  const slope = sxy / sxx;
+  const at = (tMs) => yMean + slope * (tMs - tMean);
+
+  let sse = 0;
+  for (const p of points) sse += (p.y - at(p.t)) ** 2;
+  const slopeSe = Math.sqrt(sse / (n - 2) / sxx);
+
+  return { slope, slopeSe, at, n, spanMs };
+}
+
+/**
+ * Bounds to watch for a metric, nearest first, in the direction it's heading.
+ */
+function boundsFor(metric, standards, direction) {
+  const field = FORECAST_METRICS[metric];
+  if (metric === "moisture") {
+    return direction > 0 ? { warn: standards[field].safeMax, danger: standards[field].warnMax } : null;
+  }
+  const { safe, warn } = standards[field];
+  return direction > 0 ? { warn: safe[1], danger: warn[1] } : { warn: safe[0], danger: warn[0] };
+}
+
+function round(x, digits = 2) {
+  return Number(x.toFixed(digits));
+}
+
+/**
+ * Forecast one metric from `[{ t, y }]`. `nowMs` is when "now" is.
+ */
+export function forecastMetric(metric, points, standards, { nowMs, horizonHours = DEFAULT_HORIZON_HOURS } = {}) {
+  const fit = fitLine(points);
+  if (!fit) return { metric, field: FORECAST_METRICS[metric], trend: "unknown", crossings: null };
+
+  const half = tCritical(fit.n - 2) * fit.slopeSe;
+  const lo = fit.slope - half;
+  const hi = fit.slope + half;
+  const value = fit.at(nowMs);
+  const base = {
+    metric,
+    field: FORECAST_METRICS[metric],
+    value: round(value),
+    slopePerHour: round(fit.slope * HOUR_MS, 3),
+    slopePerHourCi: [round(lo * HOUR_MS, 3), round(hi * HOUR_MS, 3)],
+    points: fit.n,
+    windowMin: Math.round(fit.spanMs / 60_000),
+  };
+
+  // No significant trend: the interval includes "flat".
+  if (lo <= 0 && hi >= 0) return { ...base, trend: "steady", crossings: null };
+
+  const direction = Math.sign(fit.slope);
+  const bounds = boundsFor(metric, standards, direction);
+  const trend = direction > 0 ? "rising" : "falling";
+  if (!bounds) return { ...base, trend, crossings: null };
+
+  const horizonMs = horizonHours * HOUR_MS;
+  const fastest = direction > 0 ? hi : -lo;
+  const slowest = direction > 0 ? lo : -hi;
+  const crossings = {};
+  for (const [level, bound] of Object.entries(bounds)) {
+    const distance = (bound - value) * direction;
+    if (distance <= 0) {
+      crossings[level] = { bound, inMin: 0, rangeMin: [0, 0], at: new Date(nowMs).toISOString() };
+      continue;
+    }
+    const etaMs = distance / Math.abs(fit.slope);
+    if (etaMs > horizonMs) {
+      crossings[level] = null;
+      continue;
+    }
+    const earliestMs = distance / fastest;
+    const latestMs = slowest > 0 ? distance / slowest : null;
+    crossings[level] = {
+      bound,
+      inMin: Math.round(etaMs / 60_000),
+      rangeMin: [Math.round(earliestMs / 60_000), latestMs === null || latestMs > horizonMs ? null : Math.round(latestMs / 60_000)],
+      at: new Date(nowMs + etaMs).toISOString(),
+    };
+  }
+  return { ...base, trend, crossings };
+}
+
+/**
+ * Forecast every metric from a list of readings (or reading-shaped history points).
+ * Metrics in `exclude` (e.g. faulty sensors) come back as "unknown".
+ */
+export function forecast(readings, standards, { nowMs, horizonHours, exclude = new Set() } = {}) {
+  const result = {};
+  for (const [metric, field] of Object.entries(FORECAST_METRICS)) {
+    if (exclude.has(metric)) {
+      result[metric] = { metric, field, trend: "unknown", crossings: null };
+      continue;
+    }
+    const points = readings
+      .filter((r) => typeof r[field] === "number")
+      .map((r) => ({ t: Date.parse(r.timestamp), y: r[field] }));
+    result[metric] = forecastMetric(metric, points, standards, { nowMs, horizonHours });
+  }
+  return result;
+}
+
+/**
+ * "~25 min", "~3.5 h", "~2 days"
+ */
+export function formatMinutes(min) {
+  if (min < 60) return `~${Math.max(1, Math.round(min))} min`;
+  if (min < 48 * 60) return `~${round(min / 60, 1)} h`;
+  return `~${Math.round(min / (24 * 60))} days`;
+}
+
+function formatRange([lo, hi]) {
+  return hi === null ? `${formatMinutes(lo)} or later` : `${formatMinutes(lo)} to ${formatMinutes(hi)}`;
+}
+
+const METRIC_LABELS = { temperature: "Temperature", humidity: "Humidity", moisture: "Moisture" };
+const UNITS = { temperature: "°C", humidity: "%", moisture: "%" };
+
+/**
+ * Insight lines for metrics predicted to get worse, quoting the computed times.
+ * `statuses` are the current assessment statuses, so a metric already in
+ * "warn" only mentions when it reaches "danger".
+ */
+export function forecastInsights(forecasts, statuses) {
+  const lines = [];
+  for (const [metric, f] of Object.entries(forecasts)) {
+    if (!f.crossings) continue;
+    const status = statuses[metric]?.status;
+    const target = status === "safe" ? "warn" : status === "warn" ? "danger" : null;
+    const crossing = target && f.crossings[target];
+    if (!crossing || crossing.inMin === 0) continue;
+    // In "warn" but heading back through the safe range: that's a recovery, not a warning.
+    if (target === "danger" && f.crossings.warn?.inMin !== 0) continue;
+
+    const what = target === "warn" ? "leave the safe range" : "reach DANGER";
+    const rate = `${f.slopePerHour > 0 ? "+" : ""}${round(f.slopePerHour, 1)}${UNITS[metric]}/h`;
+    lines.push(
+      `${METRIC_LABELS[metric]} ${f.trend} (${rate}): expected to ${what} (${crossing.bound}${UNITS[metric]}) in ${formatMinutes(crossing.inMin)} (95% range ${formatRange(crossing.rangeMin)}).`,
+    );
+  }
+  return lines;
+}
@@ -0,0 +1,246 @@
+import { ROLLUP_METRICS } from "./store.js";
+import { metricStatus } from "./engine.js";
+
+/**
+ * History queries: any time window, re-bucketed to a resolution, with
+ * per-bucket aggregates.
+ *
+ * Each query reads the finest stored tier that covers it:
+ * - `raw` (every reading) for resolutions under a minute over at most
+ *   `RAW_MAX_SPAN_MS`, while the raw data is still retained
+ * - `1m` buckets for resolutions under 30 minutes
+ * - `30m` buckets otherwise
+ *
+ * The resolution is rounded up to a whole number of the tier's buckets, so
+ * the response may be coarser than asked for. From raw data every aggregate
+ * is exact. From rollups `min`/`max` are still exact, `mean` is weighted by
+ * reading count, and percentiles and time-in-status are estimated from the
+ * bucket averages (`exact: false`).
+ *
+ * Points keep the rollup shape, so charts can use them like before: the mean
+ * sits on the metric key (`temperatureC`), the other aggregates are maps
+ * (`min.temperatureC`, `p95.temperatureC`, `timeInStatus.temperatureC`).
+ */
+
+// Plus any percentile "p1" … "p99"
+export const HISTORY_AGGREGATES = ["min", "max", "mean", "timeInStatus"];
+const DEFAULT_AGGREGATES = ["min", "max", "mean"];
+const DEFAULT_MAX_POINTS = 500;
+const MAX_POINTS = 5000;
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const UNIT_MS = { s: SECOND_MS, m: MINUTE_MS, h: HOUR_MS, d: DAY_MS };
+
+const TIERS = [
+  { id: "raw", bucketMs: SECOND_MS },
+  { id: "1m", bucketMs: MINUTE_MS },
+  { id: "30m", bucketMs: 30 * MINUTE_MS },
+];
+const RAW_MAX_SPAN_MS = 6 * HOUR_MS; // reading a whole day of 1 Hz data per request is too slow
+const RAW_MAX_GAP_MS = MINUTE_MS; // a raw reading stands for the time until the next one, up to this
+
+export class HistoryQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function round(n, digits = 2) {
+  return Number(n.toFixed(digits));
+}
+
+/**
+ * "30s" / "5m" / "1.5h" / "7d" / 60 (seconds) → ms. NaN when unreadable.
+ */
+function parseSpan(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) return NaN;
+  return Number(match[1]) * UNIT_MS[match[2] || "s"];
+}
+
+// ISO timestamp or epoch milliseconds
+function parseTime(value, name) {
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new HistoryQueryError(`${name} must be an ISO timestamp or epoch milliseconds`);
+  return ms;
+}
+
+function parseList(value, name, valid) {
+  const items = String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const unknown = items.filter((s) => !valid(s));
+  if (!items.length || unknown.length) throw new HistoryQueryError(`Unknown ${name}: ${unknown.join(", ") || "(none)"}`);
+  return [...new Set(items)];
+}
+
+function isPercentile(name) {
+  const match = /^p(\d{1,2})$/.exec(name);
+  return Boolean(match) && Number(match[1]) >= 1;
+}
+
+/**
+ * Check `/api/history` query parameters. Throws HistoryQueryError.
+ *
+ * `retention` is the store's (see store.js); `nowMs` anchors the defaults
+ * (`to` = now, `from` = `to` − `range`, `range` = 24h).
+ */
+export function parseHistoryQuery(query, { nowMs, retention }) {
+  const toMs = query.to !== undefined ? parseTime(query.to, "to") : nowMs;
+  let fromMs;
+  if (query.from !== undefined) {
+    fromMs = parseTime(query.from, "from");
+  } else {
+    const rangeMs = parseSpan(query.range ?? "24h");
+    if (!(rangeMs > 0)) throw new HistoryQueryError("range must be a duration like 90m, 24h or 7d");
+    fromMs = toMs - rangeMs;
+  }
+  if (fromMs >= toMs) throw new HistoryQueryError("from must be before to");
+  if (fromMs < nowMs - retention.halfHourDays * DAY_MS) {
+    fromMs = nowMs - retention.halfHourDays * DAY_MS; // nothing older is kept
+  }
+
+  let maxPoints = DEFAULT_MAX_POINTS;
+  if (query.maxPoints !== undefined) {
+    maxPoints = Number(query.maxPoints);
+    if (!Number.isInteger(maxPoints) || maxPoints < 1 || maxPoints > MAX_POINTS) {
+      throw new HistoryQueryError(`maxPoints must be an integer from 1 to ${MAX_POINTS}`);
+    }
+  }
+  let resolutionMs = null;
+  if (query.resolution !== undefined) {
+    resolutionMs = parseSpan(query.resolution);
+    if (!(resolutionMs >= SECOND_MS)) throw new HistoryQueryError("resolution must be a duration of at least 1s");
+  }
+
+  return {
+    fromMs,
+    toMs,
+    resolutionMs,
+    maxPoints,
+    metrics: query.metrics !== undefined ? parseList(query.metrics, "metrics", (m) => ROLLUP_METRICS.includes(m)) : ROLLUP_METRICS,
+    aggregates:
+      query.aggregates !== undefined
+        ? parseList(query.aggregates, "aggregates", (a) => HISTORY_AGGREGATES.includes(a) || isPercentile(a))
+        : DEFAULT_AGGREGATES,
+  };
+}
+
+/**
+ * The tier to read and the effective bucket width for a parsed query.
+ */
+export function planHistoryQuery({ fromMs, toMs, resolutionMs, maxPoints }, { nowMs, retention }) {
+  const spanMs = toMs - fromMs;
+  const wantedMs = Math.max(resolutionMs ?? 0, Math.ceil(spanMs / maxPoints));
+  const available = {
+    raw: wantedMs < MINUTE_MS && spanMs <= RAW_MAX_SPAN_MS && fromMs >= nowMs - retention.rawHours * HOUR_MS,
+    "1m": wantedMs < 30 * MINUTE_MS && fromMs >= nowMs - retention.minuteDays * DAY_MS,
+    "30m": true,
+  };
+  const tier = TIERS.find((t) => available[t.id]);
+  return { tier: tier.id, bucketMs: Math.ceil(wantedMs / tier.bucketMs) * tier.bucketMs };
+}
+
+// Weighted nearest-rank percentile over [value, weight] pairs sorted by value
+function percentile(sorted, totalWeight, q) {
+  const target = (q / 100) * totalWeight;
+  let seen = 0;
+  for (const [value, weight] of sorted) {
+    seen += weight;
+    if (seen >= target) return value;
+  }
+  return sorted[sorted.length - 1][0];
+}
+
+function emptyStats() {
+  return { weight: 0, sum: 0, min: Infinity, max: -Infinity, values: [], statusMs: { safe: 0, warn: 0, danger: 0 } };
+}
+
+/**
+ * Run a query against one box's store. `standards` classify values for
+ * `timeInStatus` (metrics without limits are left out of it).
+ */
+export function queryHistory(store, query, { nowMs, standards }) {
+  const { tier, bucketMs } = planHistoryQuery(query, { nowMs, retention: store.retention });
+  const { metrics, aggregates } = query;
+  const percentiles = aggregates.filter(isPercentile);
+  const wantsStatus = aggregates.includes("timeInStatus");
+  const keepValues = percentiles.length > 0;
+
+  // Rollup buckets are stamped with their start, so reach back to the one the range starts in
+  const sourceMs = TIERS.find((t) => t.id === tier).bucketMs;
+  const samples = store.readTier(tier, Math.floor(query.fromMs / sourceMs) * sourceMs, query.toMs);
+
+  const buckets = new Map(); // bucket start → { count, stats: { metric → stats } }
+  samples.forEach((sample, i) => {
+    const t = Date.parse(sample.timestamp);
+    const start = Math.floor(t / bucketMs) * bucketMs;
+    let bucket = buckets.get(start);
+    if (!bucket) {
+      bucket = { count: 0, stats: {} };
+      buckets.set(start, bucket);
+    }
+    const raw = tier === "raw";
+    const weight = raw ? 1 : sample.count;
+    const next = samples[i + 1];
+    const durationMs = raw ? (next ? Math.min(Date.parse(next.timestamp) - t, RAW_MAX_GAP_MS) : SECOND_MS) : sourceMs;
+    bucket.count += weight;
+
+    for (const m of metrics) {
+      const value = sample[m];
+      if (typeof value !== "number") continue; // sensor not reporting
+      const s = (bucket.stats[m] ??= emptyStats());
+      s.weight += weight;
+      s.sum += value * weight;
+      s.min = Math.min(s.min, raw ? value : sample.min?.[m] ?? value);
+      s.max = Math.max(s.max, raw ? value : sample.max?.[m] ?? value);
+      if (keepValues) s.values.push([value, weight]);
+      if (wantsStatus) {
+        const status = metricStatus(m, value, standards);
+        if (status) s.statusMs[status] += durationMs;
+        else s.statusMs = null;
+      }
+    }
+  });
+
+  const points = [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([start, bucket]) => {
+      const point = { timestamp: new Date(start).toISOString(), count: bucket.count };
+      for (const a of aggregates) if (a !== "mean") point[a] = {};
+      for (const [m, s] of Object.entries(bucket.stats)) {
+        if (aggregates.includes("mean")) point[m] = round(s.sum / s.weight);
+        if (point.min) point.min[m] = round(s.min);
+        if (point.max) point.max[m] = round(s.max);
+        if (keepValues) {
+          const sorted = s.values.sort((x, y) => x[0] - y[0]);
+          for (const p of percentiles) point[p][m] = round(percentile(sorted, s.weight, Number(p.slice(1))));
+        }
+        if (wantsStatus && s.statusMs) {
+          point.timeInStatus[m] = {
+            safe: round(s.statusMs.safe / SECOND_MS, 0),
+            warn: round(s.statusMs.warn / SECOND_MS, 0),
+            danger: round(s.statusMs.danger / SECOND_MS, 0),
+          };
+        }
+      }
+      return point;
+    });
+
+  return {
+    from: new Date(query.fromMs).toISOString(),
+    to: new Date(query.toMs).toISOString(),
+    tier,
+    resolutionSec: bucketMs / SECOND_MS,
+    exact: tier === "raw",
+    metrics,
+    aggregates,
+    standardsVersion: wantsStatus ? { id: standards.id, version: standards.version } : undefined,
+    points,
+  };
+}
@@ -0,0 +1,331 @@
+/**
+ * CSV import from standalone data loggers into a box's history.
+ *
+ * Options (all but `csv` optional):
+ * - `mapping` – reading field → CSV column (header name, case-insensitive, or
+ *   0-based index). `timestamp` may list two columns (`["Date", "Time"]`).
+ *   Without a mapping, columns named like the fields are used, so ConserveBot's
+ *   own CSV exports import as they are.
+ * - `units` – `C` / `F` / `K` for temperatures, `%` / `fraction` for humidity
+ * - `timezone` – IANA name (`Europe/Paris`) or offset (`+02:00`) for
+ *   timestamps without one; default UTC
+ * - `dateFormat` – `YMD` (default); dates like 03/04/2025 need `DMY` or `MDY`
+ * - `delimiter` (guessed from the header row), `decimal` (`.` or `,`),
+ *   `skipRows` (lines before the header)
+ *
+ * Every row is checked; rejected rows are reported with their line number and
+ * reason, the rest are imported.
+ */
+
+export const IMPORT_FIELDS = ["temperatureC", "humidityPct", "moisturePct", "opensPerHour", "vibration", "surfaceTempC"];
+export const DATE_FORMATS = ["YMD", "DMY", "MDY"];
+
+// Plausible sensor values after unit conversion; anything else is rejected
+const FIELD_LIMITS = {
+  temperatureC: [-50, 80],
+  surfaceTempC: [-50, 80],
+  humidityPct: [0, 100],
+  moisturePct: [0, 100],
+  opensPerHour: [0, 1000],
+  vibration: [0, 1],
+};
+const TEMPERATURE_UNITS = {
+  C: (v) => v,
+  F: (v) => ((v - 32) * 5) / 9,
+  K: (v) => v - 273.15,
+};
+const HUMIDITY_UNITS = {
+  "%": (v) => v,
+  fraction: (v) => v * 100,
+};
+const FIELD_UNITS = { temperatureC: TEMPERATURE_UNITS, surfaceTempC: TEMPERATURE_UNITS, humidityPct: HUMIDITY_UNITS };
+const MAX_REPORTED_REJECTIONS = 100;
+
+export class ImportError extends Error {
+  constructor(message, status = 400, details = undefined) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function round(n, digits = 2) {
+  return Number(n.toFixed(digits));
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, any line ending).
+ * Each row keeps its 1-based line number for the report.
+ */
+export function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = "";
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+  return rows.filter((r) => r.cells.some((c) => c.trim() !== ""));
+}
+
+function guessDelimiter(headerLine) {
+  const counts = [",", ";", "\t"].map((d) => [d, headerLine.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Offset of an IANA zone from UTC at `ms`, in ms
+function zoneOffsetMs(timeZone, ms) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * A function turning wall-clock time (as UTC ms) into real UTC ms for `timezone`.
+ */
+function zoneConverter(timezone = "UTC") {
+  const offset = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+  if (offset) {
+    const ms = (Number(offset[2]) * 60 + Number(offset[3])) * 60_000 * (offset[1] === "-" ? -1 : 1);
+    return (wallMs) => wallMs - ms;
+  }
+  if (timezone === "UTC" || timezone === "Z") return (wallMs) => wallMs;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch {
+    throw new ImportError(`Unknown timezone: ${timezone}`);
+  }
+  // Guess with the offset at the wall time, then correct once around DST changes
+  return (wallMs) => {
+    const guess = wallMs - zoneOffsetMs(timezone, wallMs);
+    return wallMs - zoneOffsetMs(timezone, guess);
+  };
+}
+
+const DATE_TIME = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[T ]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?\s*([AaPp][Mm])?)?$/;
+
+/**
+ * Timestamp cell → UTC ms (NaN when unreadable). Accepts epoch seconds or
+ * milliseconds, ISO timestamps with an offset, and local date/times read in
+ * `dateFormat` order and converted from the import's timezone.
+ */
+function parseTimestamp(text, { dateFormat, toUtc }) {
+  const value = text.trim();
+  if (/^\d{10}(\.\d+)?$/.test(value)) return Math.round(Number(value) * 1000);
+  if (/^\d{13}$/.test(value)) return Number(value);
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(value) && /^\d{4}-/.test(value)) return Date.parse(value);
+
+  const m = DATE_TIME.exec(value);
+  if (!m) return NaN;
+  let [year, month, day] = [m[1], m[2], m[3]].map(Number);
+  if (m[1].length !== 4) {
+    if (dateFormat === "YMD") return NaN; // 03/04/2025: needs DMY or MDY to be read
+    [day, month, year] = dateFormat === "MDY" ? [Number(m[2]), Number(m[1]), Number(m[3])] : [Number(m[1]), Number(m[2]), Number(m[3])];
+  }
+  if (year < 100) year += 2000;
+  let hour = Number(m[4] ?? 0);
+  if (m[8]) {
+    if (hour < 1 || hour > 12) return NaN;
+    hour = (hour % 12) + (m[8].toLowerCase() === "pm" ? 12 : 0);
+  }
+  const minute = Number(m[5] ?? 0);
+  const second = Number(m[6] ?? 0);
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) return NaN;
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute, second, Number((m[7] ?? "0").padEnd(3, "0")));
+  // Date.UTC rolls 31/02 over into March; reject instead
+  if (new Date(wallMs).getUTCDate() !== day) return NaN;
+  return toUtc(wallMs);
+}
+
+function checkOptions(options) {
+  const errors = [];
+  if (typeof options.csv !== "string" || !options.csv.trim()) errors.push("csv must be the file's text");
+  if (options.mapping !== undefined && (typeof options.mapping !== "object" || Array.isArray(options.mapping))) {
+    errors.push("mapping must be an object of field → column");
+  }
+  for (const field of Object.keys(options.mapping ?? {})) {
+    if (field !== "timestamp" && !IMPORT_FIELDS.includes(field)) errors.push(`mapping: unknown field ${field}`);
+  }
+  for (const [field, unit] of Object.entries(options.units ?? {})) {
+    const units = FIELD_UNITS[field];
+    if (!units) errors.push(`units: ${field} has no unit options`);
+    else if (!(unit in units)) errors.push(`units.${field} must be one of ${Object.keys(units).join(", ")}`);
+  }
+  if (options.dateFormat !== undefined && !DATE_FORMATS.includes(options.dateFormat)) {
+    errors.push(`dateFormat must be one of ${DATE_FORMATS.join(", ")}`);
+  }
+  if (options.decimal !== undefined && ![".", ","].includes(options.decimal)) errors.push('decimal must be "." or ","');
+  if (options.skipRows !== undefined && !(Number.isInteger(options.skipRows) && options.skipRows >= 0)) {
+    errors.push("skipRows must be a non-negative integer");
+  }
+  if (errors.length) throw new ImportError("Invalid import options", 400, errors);
+}
+
+/**
+ * Parse and validate a CSV import. Nothing is written; `existing(ms)` says
+ * whether the box already has data at that time, `oldestMs` is the oldest
+ * time the store still keeps.
+ *
+ * Returns `{ readings, report }`; readings are sorted and UTC.
+ */
+export function prepareImport(options, { nowMs, oldestMs, existing }) {
+  checkOptions(options);
+  const toUtc = zoneConverter(options.timezone);
+  const dateFormat = options.dateFormat ?? "YMD";
+  const decimal = options.decimal ?? ".";
+
+  const text = options.csv.replace(/^\uFEFF/, "");
+  const skipRows = options.skipRows ?? 0;
+  const headerLine = text.split(/\r?\n/)[skipRows] ?? "";
+  const delimiter = options.delimiter ?? guessDelimiter(headerLine);
+  if (decimal === "," && delimiter === ",") throw new ImportError('decimal "," needs a delimiter other than ","');
+  const rows = parseCsv(text, delimiter).filter((r) => r.line > skipRows);
+  if (!rows.length) throw new ImportError("The file has no header row");
+  const [header, ...body] = rows;
+  const headers = header.cells.map((h) => h.trim());
+
+  const columnIndex = (column) => {
+    if (Number.isInteger(column)) return column >= 0 && column < headers.length ? column : -1;
+    return headers.findIndex((h) => h.toLowerCase() === String(column).trim().toLowerCase());
+  };
+  const mapping = options.mapping ?? Object.fromEntries(["timestamp", ...IMPORT_FIELDS].filter((f) => columnIndex(f) >= 0).map((f) => [f, f]));
+  const timestampColumns = [mapping.timestamp ?? []].flat();
+  const missing = [...timestampColumns, ...IMPORT_FIELDS.map((f) => mapping[f]).filter((c) => c !== undefined)].filter(
+    (c) => columnIndex(c) < 0,
+  );
+  if (!timestampColumns.length) throw new ImportError("mapping.timestamp is required", 400, { headers });
+  if (missing.length) throw new ImportError(`Columns not found: ${missing.join(", ")}`, 400, { headers });
+  const fields = IMPORT_FIELDS.filter((f) => mapping[f] !== undefined);
+  if (!fields.length) throw new ImportError("Map at least one reading field", 400, { headers });
+
+  const stampAt = timestampColumns.map(columnIndex);
+  const fieldAt = Object.fromEntries(fields.map((f) => [f, columnIndex(mapping[f])]));
+  const convert = {};
+  for (const f of fields) {
+    const unit = options.units?.[f];
+    convert[f] = unit ? FIELD_UNITS[f][unit] : (v) => v;
+  }
+
+  const readings = [];
+  const rejections = [];
+  const byReason = {};
+  const reject = (line, reason, detail) => {
+    byReason[reason] = (byReason[reason] ?? 0) + 1;
+    if (rejections.length < MAX_REPORTED_REJECTIONS) rejections.push({ line, reason, ...(detail ? { detail } : {}) });
+  };
+  const seen = new Set();
+
+  for (const { line, cells } of body) {
+    const stamp = stampAt.map((i) => cells[i] ?? "").join(" ").trim();
+    const ms = parseTimestamp(stamp, { dateFormat, toUtc });
+    if (!Number.isFinite(ms)) {
+      reject(line, "unreadable timestamp", stamp);
+      continue;
+    }
+    if (ms > nowMs) {
+      reject(line, "timestamp in the future", stamp);
+      continue;
+    }
+    if (ms < oldestMs) {
+      reject(line, "older than the history retention", stamp);
+      continue;
+    }
+    if (seen.has(ms)) {
+      reject(line, "duplicate timestamp", stamp);
+      continue;
+    }
+    if (existing(ms)) {
+      reject(line, "box already has data at this time", stamp);
+      continue;
+    }
+
+    const reading = { timestamp: new Date(ms).toISOString() };
+    let problem = null;
+    for (const f of fields) {
+      const cell = (cells[fieldAt[f]] ?? "").trim();
+      if (cell === "") continue; // sensor not logging this row
+      const raw = Number(decimal === "," ? cell.replace(",", ".") : cell);
+      if (!Number.isFinite(raw)) {
+        problem = ["not a number", `${f}: ${cell}`];
+        break;
+      }
+      const value = round(convert[f](raw));
+      const [lo, hi] = FIELD_LIMITS[f];
+      if (value < lo || value > hi) {
+        problem = ["value out of range", `${f}: ${value} (allowed ${lo}..${hi})`];
+        break;
+      }
+      reading[f] = value;
+    }
+    if (problem) {
+      reject(line, ...problem);
+      continue;
+    }
+    if (Object.keys(reading).length === 1) {
+      reject(line, "no values");
+      continue;
+    }
+    seen.add(ms);
+    readings.push(reading);
+  }
+  readings.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+  return {
+    readings,
+    report: {
+      headers,
+      mapping,
+      delimiter,
+      timezone: options.timezone ?? "UTC",
+      rows: body.length,
+      accepted: readings.length,
+      rejected: body.length - readings.length,
+      from: readings[0]?.timestamp ?? null,
+      to: readings.at(-1)?.timestamp ?? null,
+      rejectedByReason: byReason,
+      rejections,
+    },
+  };
+}
@@ -0,0 +1,212 @@
+import fs from "fs";
+
+import { nowIso } from "./utils.js";
+
+/**
+ * Incidents: one record per threshold excursion instead of a stream of logs.
+ *
+ * A metric leaving "safe" opens an incident; while it stays out of range the
+ * incident tracks its worst severity, peak value and the remediation actions
+ * taken. It resolves once the metric has been back in "safe" for
+ * `resolveAfterMs` (so a value flapping on a boundary stays one incident).
+ */
+
+// assessment.statuses key → reading field
+export const INCIDENT_METRICS = {
+  temperature: "temperatureC",
+  humidity: "humidityPct",
+  moisture: "moisturePct",
+  access: "opensPerHour",
+  vibration: "vibration",
+};
+
+// Which metric an action is meant to fix
+const ACTION_METRICS = {
+  DEHUMIDIFY: ["humidity", "moisture"],
+  HUMIDIFY: ["humidity"],
+  TRIGGER_AIRFLOW: ["humidity", "moisture"],
+  ADJUST_TEMP_DOWN: ["temperature"],
+  ADJUST_TEMP_UP: ["temperature"],
+  LOCK_ACCESS_10_MIN: ["access"],
+  LOCK_ACCESS: ["access"],
+};
+
+export const RESOLVE_AFTER_MS = 60_000;
+const MAX_RESOLVED = 500;
+const SEVERITY_RANK = { warn: 1, danger: 2 };
+
+/**
+ * How far a value is outside the safe zone (0 when safe). Used for "peak".
+ */
+function excess(metric, value, standards) {
+  if (metric === "temperature" || metric === "humidity") {
+    const [lo, hi] = standards[INCIDENT_METRICS[metric]].safe;
+    return value < lo ? lo - value : value > hi ? value - hi : 0;
+  }
+  if (metric === "moisture") return value - standards.moisturePct.safeMax;
+  if (metric === "access") return value - standards.access.maxOpensPerHourSafe;
+  return value - standards.vibration.safeMax;
+}
+
+export class IncidentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class IncidentTracker {
+  constructor({ boxId, file, resolveAfterMs = RESOLVE_AFTER_MS }) {
+    this.boxId = boxId;
+    this.file = file;
+    this.resolveAfterMs = resolveAfterMs;
+    this.incidents = []; // oldest first
+    if (file && fs.existsSync(file)) this.incidents = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  save() {
+    if (!this.file) return;
+    const open = this.incidents.filter((i) => i.state !== "resolved");
+    const resolved = this.incidents.filter((i) => i.state === "resolved").slice(-MAX_RESOLVED);
+    this.incidents = [...resolved, ...open].sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt));
+    fs.writeFileSync(this.file, JSON.stringify(this.incidents, null, 2));
+  }
+
+  _openFor(metric) {
+    return this.incidents.find((i) => i.metric === metric && i.state !== "resolved") ?? null;
+  }
+
+  /**
+   * Feed one evaluated reading. Returns incident events
+   * (`{ event: "opened" | "updated" | "resolved", incident }`).
+   */
+  observe({ reading, assessment, standards }) {
+    const events = [];
+    const t = reading.timestamp;
+    const tMs = Date.parse(t);
+
+    for (const [metric, field] of Object.entries(INCIDENT_METRICS)) {
+      const status = assessment.statuses[metric]?.status;
+      const value = reading[field];
+      let incident = this._openFor(metric);
+      if (!status || status === "unknown") continue; // faulty sensor: no verdict either way
+
+      if (status === "warn" || status === "danger") {
+        if (!incident) {
+          incident = {
+            id: crypto.randomUUID(),
+            boxId: this.boxId,
+            metric,
+            field,
+            state: "open",
+            severity: status,
+            peakSeverity: status,
+            startedAt: t,
+            lastOutOfRangeAt: t,
+            resolvedAt: null,
+            durationSec: 0,
+            startValue: value,
+            peakValue: value,
+            peakAt: t,
+            lastValue: value,
+            standards: { id: standards.id, version: standards.version },
+            actions: [],
+            acknowledged: null,
+            comments: [],
+          };
+          this.incidents.push(incident);
+          events.push({ event: "opened", incident });
+          continue;
+        }
+
+        const changed = incident.severity !== status;
+        incident.severity = status;
+        if (SEVERITY_RANK[status] > SEVERITY_RANK[incident.peakSeverity]) incident.peakSeverity = status;
+        if (excess(metric, value, standards) > excess(metric, incident.peakValue, standards)) {
+          incident.peakValue = value;
+          incident.peakAt = t;
+        }
+        incident.lastValue = value;
+        incident.lastOutOfRangeAt = t;
+        incident.durationSec = Math.round((tMs - Date.parse(incident.startedAt)) / 1000);
+        if (changed) events.push({ event: "updated", incident });
+        continue;
+      }
+
+      // Back in "safe": resolve after it has held for a while
+      if (incident) {
+        incident.lastValue = value;
+        if (tMs - Date.parse(incident.lastOutOfRangeAt) >= this.resolveAfterMs) {
+          incident.state = "resolved";
+          incident.resolvedAt = t;
+          incident.durationSec = Math.round((Date.parse(incident.lastOutOfRangeAt) - Date.parse(incident.startedAt)) / 1000);
+          events.push({ event: "resolved", incident });
+        }
+      }
+    }
+
+    if (events.length) this.save();
+    return events;
+  }
+
+  /**
+   * Attach a remediation action to the open incidents it addresses.
+   * Repeats are counted rather than appended. Returns incidents that gained a new action type.
+   */
+  recordAction(action, { timestamp = nowIso(), by = "ConserveBot" } = {}) {
+    const changed = [];
+    for (const metric of ACTION_METRICS[action.type] ?? []) {
+      const incident = this._openFor(metric);
+      if (!incident) continue;
+      const existing = incident.actions.find((a) => a.type === action.type);
+      if (existing) {
+        existing.count += 1;
+        existing.lastAt = timestamp;
+        continue;
+      }
+      incident.actions.push({ type: action.type, label: action.label, by, firstAt: timestamp, lastAt: timestamp, count: 1 });
+      changed.push(incident);
+    }
+    if (changed.length) this.save();
+    return changed;
+  }
+
+  get(id) {
+    return this.incidents.find((i) => i.id === id) ?? null;
+  }
+
+  _require(id) {
+    const incident = this.get(id);
+    if (!incident) throw new IncidentError("Unknown incident", 404);
+    return incident;
+  }
+
+  acknowledge(id, { by, comment, timestamp = nowIso() } = {}) {
+    const incident = this._require(id);
+    if (incident.acknowledged) throw new IncidentError("Incident already acknowledged", 409);
+    incident.acknowledged = { by: by || "unknown", at: timestamp };
+    if (comment) incident.comments.push({ id: crypto.randomUUID(), by: by || "unknown", at: timestamp, text: String(comment) });
+    if (incident.state === "open") incident.state = "acknowledged";
+    this.save();
+    return incident;
+  }
+
+  comment(id, { by, text, timestamp = nowIso() } = {}) {
+    const incident = this._require(id);
+    if (!text || !String(text).trim()) throw new IncidentError("Comment text is required");
+    incident.comments.push({ id: crypto.randomUUID(), by: by || "unknown", at: timestamp, text: String(text) });
+    this.save();
+    return incident;
+  }
+
+  /**
+   * Newest first. `state` is "open" (open or acknowledged), "resolved" or omitted for all.
+   */
+  list({ state, metric } = {}) {
+    return this.incidents
+      .filter((i) => !metric || i.metric === metric)
+      .filter((i) => !state || (state === "open" ? i.state !== "resolved" : i.state === state))
+      .slice()
+      .reverse();
+  }
+}
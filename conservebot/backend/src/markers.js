@@ -0,0 +1,62 @@
+/**
+ * Chart markers: the moments worth pinning on a trend chart.
+ *
+ * - `door` – the door opened (from the store's event log)
+ * - `action` – a remediation action, automatic or manual (from the logs)
+ * - `incident` – an excursion started, with its metric and severity
+ *
+ * Each kind is capped at `MAX_PER_KIND` (the newest win), so a long window
+ * doesn't bury the chart.
+ */
+
+export const MARKER_KINDS = ["door", "action", "incident"];
+const ACTION_KINDS = ["AUTO_REMEDIATION", "MANUAL_ACTION"];
+const MAX_PER_KIND = 500;
+
+function newest(list) {
+  return list.length > MAX_PER_KIND ? list.slice(-MAX_PER_KIND) : list;
+}
+
+/**
+ * Markers of one box between `fromMs` and `toMs`, oldest first.
+ */
+export function queryMarkers(box, { fromMs, toMs }) {
+  const doors = [];
+  for (const e of box.store.eventLog.iterate({ fromMs, toMs })) {
+    if (e.type === "door" && e.doorState === "open") doors.push({ timestamp: e.timestamp, kind: "door", label: "Door opened" });
+  }
+
+  const actions = [];
+  for (const entry of box.store.logLog.iterate({ fromMs, toMs })) {
+    if (!ACTION_KINDS.includes(entry.kind)) continue;
+    actions.push({
+      timestamp: entry.timestamp,
+      kind: "action",
+      actionType: entry.actionType,
+      manual: entry.kind === "MANUAL_ACTION",
+      label: entry.label ?? entry.actionType,
+    });
+  }
+
+  const incidents = box.incidents
+    .list()
+    .filter((i) => {
+      const t = Date.parse(i.startedAt);
+      return t >= fromMs && t <= toMs;
+    })
+    .reverse()
+    .map((i) => ({
+      timestamp: i.startedAt,
+      kind: "incident",
+      incidentId: i.id,
+      metric: i.metric,
+      field: i.field,
+      severity: i.peakSeverity,
+      resolvedAt: i.resolvedAt,
+      label: `${i.metric} ${i.peakSeverity.toUpperCase()}`,
+    }));
+
+  return [...newest(doors), ...newest(actions), ...newest(incidents)].sort(
+    (a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp),
+  );
+}
@@ -0,0 +1,187 @@
+import net from "net";
+import mqtt from "mqtt";
+import { Aedes } from "aedes";
+
+import { nowIso } from "./utils.js";
+
+/**
+ * MQTT bridge between box controllers and ConserveBot.
+ *
+ * Topics (per box):
+ * - `conservebot/boxes/<id>/telemetry`     in:  one reading or an array of readings
+ * - `conservebot/boxes/<id>/commands`      out: `{ id, type, label, reason, issuedAt }`
+ * - `conservebot/boxes/<id>/commands/ack`  in:  `{ id, ok, error? }`
+ *
+ * Telemetry goes through the box's push source (same validation as
+ * `POST /api/readings`). Commands stay "sent" until acknowledged, and are
+ * marked "timeout" if no ack arrives within `ackTimeoutMs`.
+ */
+
+export const TOPIC_ROOT = "conservebot/boxes";
+export const ACK_TIMEOUT_MS = 10_000;
+const MAX_COMMANDS_PER_BOX = 100;
+
+export function telemetryTopic(boxId) {
+  return `${TOPIC_ROOT}/${boxId}/telemetry`;
+}
+
+export function commandTopic(boxId) {
+  return `${TOPIC_ROOT}/${boxId}/commands`;
+}
+
+export function ackTopic(boxId) {
+  return `${TOPIC_ROOT}/${boxId}/commands/ack`;
+}
+
+function isObject(x) {
+  return Boolean(x) && typeof x === "object" && !Array.isArray(x);
+}
+
+/**
+ * Start an in-process broker (handy for demos and local testing without Mosquitto).
+ * It has no authentication, so it only listens on `host` (loopback by default).
+ */
+export async function startEmbeddedBroker(port, host = "127.0.0.1") {
+  const broker = await Aedes.createBroker();
+  const server = net.createServer(broker.handle);
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  return { broker, server };
+}
+
+export class MqttBridge {
+  constructor({ url, ackTimeoutMs = ACK_TIMEOUT_MS, onEvent = () => {} }) {
+    this.url = url;
+    this.ackTimeoutMs = ackTimeoutMs;
+    this.onEvent = onEvent; // (boxId, logEntryFields) → log it
+    this.client = null;
+    this.boxes = null;
+    this.commands = new Map(); // boxId → [command], newest last
+  }
+
+  /**
+   * Connect and subscribe. `boxes` is the BoxRegistry used to route telemetry.
+   */
+  start(boxes) {
+    this.boxes = boxes;
+    this.client = mqtt.connect(this.url, { clientId: `conservebot-${crypto.randomUUID().slice(0, 8)}` });
+    this.client.on("connect", () => {
+      this.client.subscribe([`${TOPIC_ROOT}/+/telemetry`, `${TOPIC_ROOT}/+/commands/ack`]);
+    });
+    this.client.on("message", (topic, payload) => this._onMessage(topic, payload));
+    this.client.on("error", (err) => {
+      // eslint-disable-next-line no-console
+      console.error(`MQTT bridge error: ${err.message}`);
+    });
+  }
+
+  stop() {
+    this.client?.end(true);
+  }
+
+  get connected() {
+    return Boolean(this.client?.connected);
+  }
+
+  _onMessage(topic, payload) {
+    const [, , boxId, ...rest] = topic.split("/");
+    const box = this.boxes.get(boxId);
+    if (!box) return;
+
+    let body;
+    try {
+      body = JSON.parse(payload.toString());
+    } catch {
+      this.onEvent(box.id, { kind: "MQTT", message: `Ignored non-JSON message on ${topic}` });
+      return;
+    }
+
+    const kind = rest.join("/");
+    // Telemetry is a reading or an array of them; acks are objects
+    const expected = kind === "telemetry" ? isObject(body) || Array.isArray(body) : isObject(body);
+    if (!expected) {
+      this.onEvent(box.id, { kind: "MQTT", message: `Ignored malformed message on ${topic}` });
+      return;
+    }
+
+    // A misbehaving device must never take the backend down
+    try {
+      if (kind === "telemetry") this._onTelemetry(box, body);
+      else if (kind === "commands/ack") this._onAck(box, body);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error(`MQTT message on ${topic} failed: ${err.message}`);
+    }
+  }
+
+  _onTelemetry(box, body) {
+    if (box.source.kind !== "mqtt") return;
+    const { rejected } = box.source.push(Array.isArray(body) ? body : [body]);
+    if (rejected.length) {
+      const reasons = [...new Set(rejected.map((r) => r.reason))].join(", ");
+      this.onEvent(box.id, { kind: "MQTT", message: `Rejected ${rejected.length} telemetry reading(s): ${reasons}` });
+    }
+  }
+
+  _onAck(box, { id, ok = true, error }) {
+    const command = (this.commands.get(box.id) ?? []).find((c) => c.id === id);
+    if (!command || command.status !== "sent") return;
+    command.status = ok ? "acked" : "failed";
+    command.ackedAt = nowIso();
+    if (!ok) {
+      command.error = String(error ?? "unknown error");
+      this.onEvent(box.id, {
+        kind: "ACTUATOR",
+        actionType: command.type,
+        message: `Actuator reported failure for ${command.type}: ${command.error}`,
+      });
+    }
+  }
+
+  /**
+   * Publish an action as a command for the box's actuators.
+   */
+  publishCommand(boxId, action) {
+    const command = {
+      id: crypto.randomUUID(),
+      type: action.type,
+      label: action.label,
+      reason: action.reason,
+      ...(action.durationMin ? { durationMin: action.durationMin } : {}),
+      issuedAt: nowIso(),
+      status: this.connected ? "sent" : "failed",
+    };
+    if (this.connected) {
+      const { status, ...message } = command;
+      this.client.publish(commandTopic(boxId), JSON.stringify(message), { qos: 1 });
+    } else {
+      command.error = "MQTT bridge offline";
+    }
+
+    const list = this.commands.get(boxId) ?? [];
+    list.push(command);
+    if (list.length > MAX_COMMANDS_PER_BOX) list.splice(0, list.length - MAX_COMMANDS_PER_BOX);
+    this.commands.set(boxId, list);
+    return command;
+  }
+
+  /**
+   * Mark unacknowledged commands as timed out (call from the main loop).
+   */
+  sweep(nowMs = Date.now()) {
+    for (const [boxId, list] of this.commands) {
+      for (const command of list) {
+        if (command.status !== "sent" || nowMs - Date.parse(command.issuedAt) < this.ackTimeoutMs) continue;
+        command.status = "timeout";
+        this.onEvent(boxId, {
+          kind: "ACTUATOR",
+          actionType: command.type,
+          message: `No acknowledgement for ${command.type} within ${Math.round(this.ackTimeoutMs / 1000)}s.`,
+        });
+      }
+    }
+  }
+
+  getCommands(boxId, limit = 50) {
+    return (this.commands.get(boxId) ?? []).slice(-limit).reverse();
+  }
+}
@@ -0,0 +1,403 @@
+import fs from "fs";
+import nodemailer from "nodemailer";
+
+import { nowIso } from "./utils.js";
+
+/**
+ * Alert notifications (email, generic webhook, Slack-compatible webhook).
+ *
+ * Two kinds of alerts, both debounced so a value flapping on a threshold
+ * doesn't page anyone:
+ * - incident alerts: an incident still open after `debounceSec` (and again if
+ *   it gets worse); if nobody acknowledges it within `escalateAfterMin`, the
+ *   escalation channels are notified too
+ * - risk alerts: `riskLevel` HIGH (warn) or CRITICAL (danger) for `debounceSec`
+ *
+ * Actuators that stop working (see remediation.js) skip the debounce and go
+ * straight to the danger and escalation channels. Faulty sensors (see
+ * sensorHealth.js) raise a maintenance alert on the warn channels once the
+ * fault has lasted `debounceSec`.
+ *
+ * Each channel picks the boxes (`["*"]` = all) and severities it cares
+ * about; channels with `escalation: true` only receive escalations.
+ * Config lives in `<dataDir>/notifications.json`; the debounce, escalation
+ * and fault timers are kept in `stateFile` so a restart neither re-sends nor
+ * drops a pending alert.
+ */
+
+export const CHANNEL_TYPES = ["email", "webhook", "slack"];
+export const SEVERITIES = ["warn", "danger"];
+const SEVERITY_RANK = { warn: 1, danger: 2 };
+const MAX_DELIVERIES = 200;
+
+export const DEFAULT_NOTIFICATION_CONFIG = {
+  debounceSec: 60,
+  escalateAfterMin: 15,
+  smtp: { host: "localhost", port: 1025, secure: false, from: "conservebot@localhost" },
+  channels: [],
+};
+
+function riskSeverity(riskLevel) {
+  if (riskLevel === "CRITICAL") return "danger";
+  if (riskLevel === "HIGH") return "warn";
+  return null;
+}
+
+/**
+ * Validate a notification config. Returns a list of error strings.
+ */
+export function validateNotificationConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== "object") return ["config must be an object"];
+  if (!(config.debounceSec >= 0)) errors.push("debounceSec must be a number >= 0");
+  if (!(config.escalateAfterMin > 0)) errors.push("escalateAfterMin must be a number > 0");
+  if (!Array.isArray(config.channels)) return [...errors, "channels must be an array"];
+
+  const ids = new Set();
+  config.channels.forEach((c, i) => {
+    const at = `channels[${i}]`;
+    if (typeof c?.id !== "string" || !c.id) errors.push(`${at}.id is required`);
+    else if (ids.has(c.id)) errors.push(`${at}.id "${c.id}" is duplicated`);
+    ids.add(c?.id);
+    if (!CHANNEL_TYPES.includes(c?.type)) errors.push(`${at}.type must be one of ${CHANNEL_TYPES.join(", ")}`);
+    if (c?.type === "email" && !(Array.isArray(c.to) && c.to.length)) errors.push(`${at}.to must list recipients`);
+    if ((c?.type === "webhook" || c?.type === "slack") && !/^https?:\/\//.test(c.url ?? "")) {
+      errors.push(`${at}.url must be an http(s) URL`);
+    }
+    if (!Array.isArray(c?.boxes) || !c.boxes.length) errors.push(`${at}.boxes must list box ids or "*"`);
+    if (!Array.isArray(c?.severities) || !c.severities.every((s) => SEVERITIES.includes(s))) {
+      errors.push(`${at}.severities must be a subset of ${SEVERITIES.join(", ")}`);
+    }
+  });
+  return errors;
+}
+
+function formatText(alert) {
+  const where = alert.box.location ? ` (${alert.box.location})` : "";
+  return `[ConserveBot] ${alert.title} — ${alert.box.name}${where}\n${alert.text}`;
+}
+
+// Only what an alert needs from a box; live Box objects don't serialise
+function boxRef(box) {
+  return { id: box.id, name: box.name, location: box.location };
+}
+
+export class Notifier {
+  /**
+   * `findIncident(boxId, incidentId)` re-attaches restored incident timers to
+   * the live incident objects; timers whose incident is gone are dropped.
+   */
+  constructor({ file = null, stateFile = null, fetchImpl = fetch, findIncident = null } = {}) {
+    this.file = file;
+    this.stateFile = stateFile;
+    this.fetch = fetchImpl;
+    this.config = structuredClone(DEFAULT_NOTIFICATION_CONFIG);
+    this.mailer = null;
+    this.deliveries = []; // newest last
+    this.incidents = new Map(); // incidentId → { box, incident, openedMs, notifiedSeverity, notifiedAtMs, escalated }
+    this.risk = new Map(); // boxId → { severity, sinceMs, notifiedSeverity }
+    this.faults = new Map(); // "boxId:metric" → { box, metric, fault, sinceMs, notified }
+    this.onDelivery = () => {};
+
+    if (file && fs.existsSync(file)) {
+      this.config = { ...this.config, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+    }
+    if (stateFile && fs.existsSync(stateFile)) this._loadState(JSON.parse(fs.readFileSync(stateFile, "utf8")), findIncident);
+  }
+
+  _loadState({ incidents = [], risk = [], faults = [] }, findIncident) {
+    for (const t of incidents) {
+      const incident = findIncident ? findIncident(t.box.id, t.incident.id) : t.incident;
+      if (incident) this.incidents.set(incident.id, { ...t, incident });
+    }
+    for (const [boxId, state] of risk) this.risk.set(boxId, state);
+    for (const t of faults) this.faults.set(`${t.box.id}:${t.metric}`, t);
+  }
+
+  _saveState() {
+    if (!this.stateFile) return;
+    const state = {
+      incidents: [...this.incidents.values()].map((t) => ({ ...t, box: boxRef(t.box) })),
+      risk: [...this.risk],
+      faults: [...this.faults.values()].map((t) => ({ ...t, box: boxRef(t.box) })),
+    };
+    fs.writeFileSync(this.stateFile, JSON.stringify(state));
+  }
+
+  /**
+   * Drop every timer for a removed box.
+   */
+  forgetBox(boxId) {
+    for (const [id, t] of this.incidents) if (t.box.id === boxId) this.incidents.delete(id);
+    for (const [key, t] of this.faults) if (t.box.id === boxId) this.faults.delete(key);
+    this.risk.delete(boxId);
+    this._saveState();
+  }
+
+  setConfig(config) {
+    const next = { ...DEFAULT_NOTIFICATION_CONFIG, ...config };
+    const errors = validateNotificationConfig(next);
+    if (errors.length) return errors;
+    this.config = next;
+    this.mailer = null; // SMTP settings may have changed
+    if (this.file) fs.writeFileSync(this.file, JSON.stringify(this.config, null, 2));
+    return [];
+  }
+
+  _channels(box, severity, { escalation = false } = {}) {
+    return this.config.channels.filter(
+      (c) =>
+        Boolean(c.escalation) === escalation &&
+        (c.boxes.includes("*") || c.boxes.includes(box.id)) &&
+        c.severities.includes(severity),
+    );
+  }
+
+  // --- Inputs ---
+
+  onIncidentEvent(box, event, incident, nowMs = Date.now()) {
+    if (event === "opened") {
+      this.incidents.set(incident.id, {
+        box,
+        incident,
+        openedMs: nowMs,
+        notifiedSeverity: null,
+        notifiedAtMs: null,
+        escalated: false,
+      });
+      this._saveState();
+    }
+  }
+
+  observeRisk(box, assessment, nowMs = Date.now()) {
+    const severity = riskSeverity(assessment.riskLevel);
+    let state = this.risk.get(box.id);
+    if (!state) {
+      state = { severity, sinceMs: nowMs, notifiedSeverity: null };
+      this.risk.set(box.id, state);
+      this._saveState();
+    } else if (state.severity !== severity) {
+      state.severity = severity;
+      state.sinceMs = nowMs;
+      this._saveState();
+    }
+
+    const settled = nowMs - state.sinceMs >= this.config.debounceSec * 1000;
+    if (!settled) return;
+
+    if (severity && SEVERITY_RANK[severity] > (SEVERITY_RANK[state.notifiedSeverity] ?? 0)) {
+      state.notifiedSeverity = severity;
+      this._saveState();
+      this._send(this._channels(box, severity), {
+        event: "risk",
+        severity,
+        box,
+        title: `Risk ${assessment.riskLevel} (${assessment.riskScore}/100)`,
+        text: assessment.insights.join("\n"),
+        riskScore: assessment.riskScore,
+      });
+    } else if (!severity && state.notifiedSeverity) {
+      const previous = state.notifiedSeverity;
+      state.notifiedSeverity = null;
+      this._saveState();
+      this._send(this._channels(box, previous), {
+        event: "risk_recovered",
+        severity: previous,
+        box,
+        title: `Risk back to ${assessment.riskLevel} (${assessment.riskScore}/100)`,
+        text: "Conditions have recovered.",
+        riskScore: assessment.riskScore,
+      });
+    }
+  }
+
+  onActuatorIneffective(box, verdict) {
+    const channels = [...this._channels(box, "danger"), ...this._channels(box, "danger", { escalation: true })];
+    this._send(channels, {
+      event: "actuator_ineffective",
+      severity: "danger",
+      box,
+      title: `Actuator ineffective: ${verdict.type}`,
+      text: `${verdict.type} did not move ${verdict.field} (${verdict.startValue} → ${verdict.value}) after ${verdict.failures} tries. Auto-remediation is holding it; please check the hardware.`,
+    });
+  }
+
+  onSensorFault(box, { metric, fault }, nowMs = Date.now()) {
+    const key = `${box.id}:${metric}`;
+    const tracked = this.faults.get(key);
+    if (fault) {
+      if (tracked) tracked.fault = fault;
+      else {
+        this.faults.set(key, { box, metric, fault, sinceMs: nowMs, notified: false });
+        this._saveState();
+      }
+      return;
+    }
+    if (!tracked) return;
+    this.faults.delete(key);
+    this._saveState();
+    if (tracked.notified) {
+      this._send(this._channels(box, "warn"), {
+        event: "maintenance_resolved",
+        severity: "warn",
+        box,
+        title: `Sensor recovered: ${metric}`,
+        text: `The ${metric} sensor is reporting believable values again.`,
+      });
+    }
+  }
+
+  /**
+   * Debounce + escalation timers for incidents and sensor faults (call once per loop).
+   */
+  sweep(nowMs = Date.now()) {
+    const debounceMs = this.config.debounceSec * 1000;
+    const escalateMs = this.config.escalateAfterMin * 60_000;
+    let changed = false;
+
+    for (const t of this.faults.values()) {
+      if (t.notified || nowMs - t.sinceMs < debounceMs) continue;
+      t.notified = true;
+      changed = true;
+      this._send(this._channels(t.box, "warn"), {
+        event: "maintenance",
+        severity: "warn",
+        box: t.box,
+        title: `Maintenance: ${t.metric} sensor faulty`,
+        text: `${t.fault.kind}: ${t.fault.detail}. Its readings are left out of the risk score until it recovers.`,
+      });
+    }
+
+    for (const [id, t] of this.incidents) {
+      const { box, incident } = t;
+
+      if (incident.state === "resolved") {
+        if (t.notifiedSeverity) {
+          const channels = this._channels(box, t.notifiedSeverity);
+          if (t.escalated) channels.push(...this._channels(box, t.notifiedSeverity, { escalation: true }));
+          this._send(channels, this._incidentAlert("incident_resolved", t.notifiedSeverity, box, incident));
+        }
+        this.incidents.delete(id);
+        changed = true;
+        continue;
+      }
+
+      if (nowMs - t.openedMs < debounceMs) continue;
+
+      const severity = incident.peakSeverity;
+      if (SEVERITY_RANK[severity] > (SEVERITY_RANK[t.notifiedSeverity] ?? 0)) {
+        t.notifiedSeverity = severity;
+        t.notifiedAtMs = nowMs;
+        changed = true;
+        this._send(this._channels(box, severity), this._incidentAlert("incident", severity, box, incident));
+        continue;
+      }
+
+      if (t.notifiedSeverity && !t.escalated && !incident.acknowledged && nowMs - t.notifiedAtMs >= escalateMs) {
+        t.escalated = true;
+        changed = true;
+        this._send(
+          this._channels(box, t.notifiedSeverity, { escalation: true }),
+          this._incidentAlert("incident_escalated", t.notifiedSeverity, box, incident),
+        );
+      }
+    }
+    if (changed) this._saveState();
+  }
+
+  _incidentAlert(event, severity, box, incident) {
+    const titles = {
+      incident: `${incident.metric} ${severity.toUpperCase()}`,
+      incident_escalated: `UNACKNOWLEDGED: ${incident.metric} ${severity.toUpperCase()}`,
+      incident_resolved: `Resolved: ${incident.metric}`,
+    };
+    const lines = [
+      `Started ${incident.startedAt}, now ${incident.lastValue} (peak ${incident.peakValue} at ${incident.peakAt}).`,
+    ];
+    if (incident.actions.length) lines.push(`Actions: ${incident.actions.map((a) => `${a.type}×${a.count}`).join(", ")}.`);
+    if (event === "incident_escalated") {
+      lines.push(`Nobody acknowledged this within ${this.config.escalateAfterMin} minutes.`);
+    }
+    return { event, severity, box, title: titles[event], text: lines.join("\n"), incident };
+  }
+
+  // --- Delivery ---
+
+  /**
+   * Send a test message to one channel.
+   */
+  test(channelId, box) {
+    const channel = this.config.channels.find((c) => c.id === channelId);
+    if (!channel) return false;
+    this._send([channel], { event: "test", severity: "warn", box, title: "Test notification", text: "If you can read this, the channel works." });
+    return true;
+  }
+
+  _send(channels, alert) {
+    for (const channel of channels) {
+      const delivery = {
+        id: crypto.randomUUID(),
+        at: nowIso(),
+        channelId: channel.id,
+        type: channel.type,
+        event: alert.event,
+        severity: alert.severity,
+        boxId: alert.box.id,
+        title: alert.title,
+        ok: null,
+        error: null,
+      };
+      this.deliveries.push(delivery);
+      if (this.deliveries.length > MAX_DELIVERIES) this.deliveries.splice(0, this.deliveries.length - MAX_DELIVERIES);
+
+      this._deliver(channel, alert)
+        .then(() => {
+          delivery.ok = true;
+        })
+        .catch((err) => {
+          delivery.ok = false;
+          delivery.error = err.message;
+        })
+        .finally(() => this.onDelivery(alert.box, delivery));
+    }
+  }
+
+  async _deliver(channel, alert) {
+    const box = boxRef(alert.box);
+    if (channel.type === "email") {
+      this.mailer ??= nodemailer.createTransport(this.config.smtp);
+      await this.mailer.sendMail({
+        from: this.config.smtp.from,
+        to: channel.to.join(", "),
+        subject: `[ConserveBot] ${alert.severity.toUpperCase()}: ${alert.title} — ${box.name}`,
+        text: formatText(alert),
+      });
+      return;
+    }
+
+    const body =
+      channel.type === "slack"
+        ? { text: formatText(alert) }
+        : {
+            event: alert.event,
+            severity: alert.severity,
+            title: alert.title,
+            text: alert.text,
+            box,
+            incident: alert.incident,
+            riskScore: alert.riskScore,
+            sentAt: nowIso(),
+          };
+    const res = await this.fetch(channel.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(10_000),
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  }
+
+  getDeliveries(limit = 50) {
+    return this.deliveries.slice(-limit).reverse();
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Psychrometrics: what temperature + relative humidity mean for condensation.
+ *
+ * - dew point (Magnus formula, good to ~0.35 °C between -45 and 60 °C)
+ * - absolute humidity (g of water per m³ of air)
+ * - dew-point margin: how far the box's surfaces are above the dew point.
+ *   Water condenses on any surface colder than the dew point, so a small
+ *   margin is what actually threatens objects.
+ *
+ * Surfaces use `surfaceTempC` when the box reports it, otherwise the air
+ * temperature (which overestimates the margin when surfaces lag behind).
+ */
+
+const MAGNUS_A = 17.62;
+const MAGNUS_B = 243.12; // °C
+
+// Dew-point margin (°C) at or below which condensation is a warn / danger
+export const CONDENSATION_MARGINS = { warn: 3, danger: 1 };
+
+export const DERIVED_FIELDS = ["dewPointC", "absHumidityGm3", "dewPointMarginC"];
+
+function round(n, digits = 2) {
+  return Number(n.toFixed(digits));
+}
+
+export function dewPointC(temperatureC, humidityPct) {
+  const gamma = Math.log(humidityPct / 100) + (MAGNUS_A * temperatureC) / (MAGNUS_B + temperatureC);
+  return (MAGNUS_B * gamma) / (MAGNUS_A - gamma);
+}
+
+export function absoluteHumidityGm3(temperatureC, humidityPct) {
+  const saturationHPa = 6.112 * Math.exp((MAGNUS_A * temperatureC) / (MAGNUS_B + temperatureC));
+  return (saturationHPa * humidityPct * 2.1674) / (273.15 + temperatureC);
+}
+
+/**
+ * Derived fields for a reading (null where an input is missing).
+ */
+export function psychrometrics({ temperatureC, humidityPct, surfaceTempC }) {
+  if (typeof temperatureC !== "number" || typeof humidityPct !== "number" || humidityPct <= 0) {
+    return { dewPointC: null, absHumidityGm3: null, dewPointMarginC: null };
+  }
+  const dewPoint = dewPointC(temperatureC, humidityPct);
+  const surface = typeof surfaceTempC === "number" ? surfaceTempC : temperatureC;
+  return {
+    dewPointC: round(dewPoint),
+    absHumidityGm3: round(absoluteHumidityGm3(temperatureC, humidityPct)),
+    dewPointMarginC: round(surface - dewPoint),
+  };
+}
+
+/**
+ * The reading plus its derived fields. `faulty` lists metrics whose sensors
+ * can't be trusted (see sensorHealth.js); derived fields are null if either
+ * temperature or humidity is among them.
+ */
+export function withPsychrometrics(reading, faulty = []) {
+  const trusted = !faulty.includes("temperature") && !faulty.includes("humidity");
+  return { ...reading, ...psychrometrics(trusted ? reading : { ...reading, temperatureC: null }) };
+}
+
+export function condensationStatus(marginC) {
+  if (typeof marginC !== "number") return "unknown";
+  if (marginC <= CONDENSATION_MARGINS.danger) return "danger";
+  if (marginC <= CONDENSATION_MARGINS.warn) return "warn";
+  return "safe";
+}
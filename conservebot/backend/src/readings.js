@@ -0,0 +1,51 @@
+/**
+ * Schema for one sensor reading — the shape `Simulator.tick()` produces and
+ * what real hardware must send to `POST /api/readings`.
+ *
+ * Measurements marked `optional` may be null or left out when a sensor has
+ * nothing to report; sensor health (sensorHealth.js) then flags them as missing.
+ */
+
+function isNumberIn(min, max) {
+  return (v) => typeof v === "number" && Number.isFinite(v) && v >= min && v <= max;
+}
+
+export const READING_FIELDS = {
+  temperatureC: { check: isNumberIn(-40, 80), hint: "number between -40 and 80", optional: true },
+  surfaceTempC: { check: isNumberIn(-40, 80), hint: "number between -40 and 80", optional: true },
+  humidityPct: { check: isNumberIn(0, 100), hint: "number between 0 and 100", optional: true },
+  moisturePct: { check: isNumberIn(0, 100), hint: "number between 0 and 100", optional: true },
+  doorState: { check: (v) => v === "open" || v === "closed", hint: '"open" or "closed"' },
+  opensPerHour: { check: (v) => Number.isInteger(v) && v >= 0, hint: "integer >= 0" },
+  vibration: { check: isNumberIn(0, 1), hint: "number between 0 and 1", optional: true },
+  accessLocked: { check: (v) => typeof v === "boolean", hint: "boolean" },
+};
+
+// Readings this far ahead of the server clock are rejected as bad clocks.
+const MAX_CLOCK_SKEW_MS = 5 * 60_000;
+
+/**
+ * Validate a raw reading.
+ * Returns `{ reading }` (normalized, unknown keys dropped) or `{ errors }`.
+ */
+export function validateReading(input, nowMs = Date.now()) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { errors: ["reading must be an object"] };
+  }
+
+  const errors = [];
+  const ms = typeof input.timestamp === "string" ? Date.parse(input.timestamp) : NaN;
+  if (Number.isNaN(ms)) errors.push("timestamp: ISO 8601 string");
+  else if (ms > nowMs + MAX_CLOCK_SKEW_MS) errors.push("timestamp: in the future");
+
+  for (const [field, { check, hint, optional }] of Object.entries(READING_FIELDS)) {
+    if (optional && input[field] == null) continue;
+    if (!(field in input)) errors.push(`${field}: missing`);
+    else if (!check(input[field])) errors.push(`${field}: ${hint}`);
+  }
+  if (errors.length) return { errors };
+
+  const reading = { timestamp: new Date(ms).toISOString() };
+  for (const field of Object.keys(READING_FIELDS)) reading[field] = input[field] ?? null;
+  return { reading };
+}
@@ -0,0 +1,248 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Tick recordings: the exact sequence of ticks of one box, for reviewing
+ * incidents and replaying real data through the engine.
+ *
+ * Saved as `<dataDir>/recordings/<id>.ndjson`, one record per line:
+ * - `{ type: "header", version, id, name, boxId, boxName, startedAt, config }`
+ * - `{ type: "window", readings }` – the engine's trend window when recording started
+ * - `{ type: "standards", standards }` – first, and again whenever the profile version changes
+ * - `{ type: "tick", timestamp, reading, assessment, executed }` – `executed` are the
+ *   action log entries of that tick
+ * - `{ type: "footer", stoppedAt, ticks }` – missing if the backend stopped mid-recording
+ *
+ * A `ReplaySource` feeds a recording back through the main loop as if it were
+ * live, at `speed`× the recorded pace.
+ */
+
+export const RECORDING_VERSION = 1;
+export const REPLAY_SPEEDS = [1, 10, 100];
+const MAX_MISMATCHES = 50;
+
+export class RecordingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseLines(text) {
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // A torn last line after a crash is expected; skip it.
+    }
+  }
+  return out;
+}
+
+/**
+ * Appends one box's ticks to a recording file.
+ */
+export class Recorder {
+  constructor(file, header, window = []) {
+    this.file = file;
+    this.header = header;
+    this.ticks = 0;
+    this.standardsKey = null;
+    this._append([header, { type: "window", readings: window }]);
+  }
+
+  _append(records) {
+    fs.appendFileSync(this.file, records.map((r) => JSON.stringify(r)).join("\n") + "\n");
+  }
+
+  write(tick, executed = []) {
+    const records = [];
+    const key = `${tick.standards.id}@${tick.standards.version}`;
+    if (key !== this.standardsKey) {
+      this.standardsKey = key;
+      records.push({ type: "standards", standards: tick.standards });
+    }
+    records.push({ type: "tick", timestamp: tick.timestamp, reading: tick.reading, assessment: tick.assessment, executed });
+    this._append(records);
+    this.ticks += 1;
+  }
+
+  stop(stoppedAt) {
+    this._append([{ type: "footer", stoppedAt, ticks: this.ticks }]);
+  }
+
+  status() {
+    return { id: this.header.id, name: this.header.name, startedAt: this.header.startedAt, ticks: this.ticks };
+  }
+}
+
+export class RecordingLibrary {
+  constructor({ dir }) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  file(id) {
+    if (!/^[A-Za-z0-9_-]{1,128}$/.test(id)) return null;
+    const file = path.join(this.dir, `${id}.ndjson`);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  /**
+   * Start recording `box`; the caller keeps the returned Recorder on the box.
+   */
+  start(box, { name, nowMs }) {
+    const stamp = new Date(nowMs).toISOString().replace(/[-:]/g, "").slice(0, 15);
+    let id = `${box.id}-${stamp}`;
+    for (let n = 2; fs.existsSync(path.join(this.dir, `${id}.ndjson`)); n++) id = `${box.id}-${stamp}-${n}`;
+    const header = {
+      type: "header",
+      version: RECORDING_VERSION,
+      id,
+      name: name || `${box.name} ${new Date(nowMs).toISOString().slice(0, 16).replace("T", " ")}`,
+      boxId: box.id,
+      boxName: box.name,
+      startedAt: new Date(nowMs).toISOString(),
+      config: { ...box.config },
+    };
+    const window = box.engine.recent.map((p) => p.reading);
+    return new Recorder(path.join(this.dir, `${id}.ndjson`), header, window);
+  }
+
+  /**
+   * Header, footer and size, without reading the whole file.
+   */
+  describe(id) {
+    const file = this.file(id);
+    if (!file) return null;
+    const { size } = fs.statSync(file);
+    const fd = fs.openSync(file, "r");
+    try {
+      const headChunk = Buffer.alloc(Math.min(size, 16 * 1024));
+      fs.readSync(fd, headChunk, 0, headChunk.length, 0);
+      const header = parseLines(headChunk.toString("utf8").split("\n")[0])[0];
+      const tailLength = Math.min(size, 4 * 1024);
+      const tailChunk = Buffer.alloc(tailLength);
+      fs.readSync(fd, tailChunk, 0, tailLength, size - tailLength);
+      const footer = parseLines(tailChunk.toString("utf8").split("\n").slice(-2).join("\n")).find((r) => r.type === "footer");
+      if (header?.type !== "header") return null;
+      const { type, ...meta } = header;
+      return { ...meta, stoppedAt: footer?.stoppedAt ?? null, ticks: footer?.ticks ?? null, bytes: size };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  list() {
+    return fs
+      .readdirSync(this.dir)
+      .filter((f) => f.endsWith(".ndjson"))
+      .map((f) => this.describe(f.slice(0, -".ndjson".length)))
+      .filter(Boolean)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  /**
+   * All records of a recording.
+   */
+  load(id) {
+    const file = this.file(id);
+    if (!file) throw new RecordingError("Unknown recording", 404);
+    const records = parseLines(fs.readFileSync(file, "utf8"));
+    const header = records[0];
+    if (header?.type !== "header" || header.version !== RECORDING_VERSION) {
+      throw new RecordingError(`Not a version ${RECORDING_VERSION} recording`, 422);
+    }
+    return { header, records };
+  }
+
+  remove(id) {
+    const file = this.file(id);
+    if (!file) throw new RecordingError("Unknown recording", 404);
+    fs.rmSync(file);
+  }
+}
+
+/**
+ * Plays a recording back as a box's data source. The readings go through the
+ * same sensor-health / engine / incident / remediation path as live ones and
+ * are judged against the recorded standards; each new assessment is compared
+ * with the recorded one. `window` should be fed to the engine first, so trends
+ * match from the first tick (sensor health and remediation still start fresh).
+ */
+export class ReplaySource {
+  constructor({ header, records }, { speed = 1 } = {}) {
+    this.kind = "replay";
+    this.recordingId = header.id;
+    this.speed = speed;
+    this.ticks = [];
+    this.window = [];
+    let standards = null;
+    for (const r of records) {
+      if (r.type === "window") this.window = r.readings;
+      if (r.type === "standards") standards = r.standards;
+      if (r.type === "tick") this.ticks.push({ ms: Date.parse(r.timestamp), standards, ...r });
+    }
+    this.byTimestamp = new Map(this.ticks.map((t) => [t.timestamp, t]));
+    this.next = 0;
+    this.startMs = null; // clock time of the first poll
+    this.lastReadingAt = null;
+    this.comparison = { compared: 0, matched: 0, mismatches: [] };
+  }
+
+  poll(nowMs) {
+    if (!this.ticks.length) return [];
+    this.startMs ??= nowMs;
+    const replayedMs = this.ticks[0].ms + (nowMs - this.startMs) * this.speed;
+    const due = [];
+    while (this.next < this.ticks.length && this.ticks[this.next].ms <= replayedMs) {
+      due.push(structuredClone(this.ticks[this.next].reading));
+      this.next += 1;
+    }
+    if (due.length) this.lastReadingAt = due.at(-1).timestamp;
+    return due;
+  }
+
+  /**
+   * Standards that were in effect when `reading` was recorded.
+   */
+  standardsAt(reading) {
+    return this.byTimestamp.get(reading.timestamp)?.standards ?? null;
+  }
+
+  /**
+   * Compare a fresh assessment with the recorded one (risk score and actions).
+   */
+  compare(reading, assessment) {
+    const recorded = this.byTimestamp.get(reading.timestamp)?.assessment;
+    if (!recorded) return;
+    const actionTypes = (a) => a.actions.map((x) => x.type).join(",");
+    this.comparison.compared += 1;
+    if (recorded.riskScore === assessment.riskScore && actionTypes(recorded) === actionTypes(assessment)) {
+      this.comparison.matched += 1;
+    } else if (this.comparison.mismatches.length < MAX_MISMATCHES) {
+      this.comparison.mismatches.push({
+        timestamp: reading.timestamp,
+        recorded: { riskScore: recorded.riskScore, actions: actionTypes(recorded) },
+        replayed: { riskScore: assessment.riskScore, actions: actionTypes(assessment) },
+      });
+    }
+  }
+
+  applyAction() {
+    // Recorded data can't be changed; the action is still logged.
+  }
+
+  status() {
+    return {
+      kind: this.kind,
+      state: this.next >= this.ticks.length ? "finished" : "replaying",
+      lastReadingAt: this.lastReadingAt,
+      recordingId: this.recordingId,
+      speed: this.speed,
+      progress: { replayed: this.next, total: this.ticks.length },
+    };
+  }
+}
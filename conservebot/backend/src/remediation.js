@@ -0,0 +1,204 @@
+import { SENSOR_METRICS } from "./sensorHealth.js";
+
+/**
+ * Closed-loop remediation: decides which of the engine's suggested actions
+ * actually run, and checks afterwards that they worked.
+ *
+ * Per action type:
+ * - in flight: after a run the action waits `verifyAfterSec`, then is judged by
+ *   whether its target field moved at least `minChange` in the right direction
+ * - cooldown: it then rests for `cooldownSec` before it may run again
+ * - duty cycle: each run counts as `runSec` of actuator time; at most `maxDuty`
+ *   of the last hour may be spent running
+ * - ineffective: after `maxFailures` failed checks in a row the action is not
+ *   repeated for `holdAfterIneffectiveMin` (or until an operator runs it by hand)
+ *   and is escalated so someone checks the hardware
+ */
+
+const HUMIDITY = { verifyAfterSec: 180, cooldownSec: 60, runSec: 60, maxDuty: 0.2, minChange: 0.3 };
+const TEMPERATURE = { verifyAfterSec: 300, cooldownSec: 60, runSec: 120, maxDuty: 0.5, minChange: 0.1 };
+// Locks aren't verified: opens/hour only falls as the hour rolls over.
+const LOCK = { field: null, direction: 0, verifyAfterSec: 0, cooldownSec: 600, runSec: 600, maxDuty: 1, minChange: 0 };
+
+export const ACTION_POLICIES = {
+  DEHUMIDIFY: { field: "humidityPct", direction: -1, ...HUMIDITY },
+  TRIGGER_AIRFLOW: { field: "humidityPct", direction: -1, ...HUMIDITY },
+  HUMIDIFY: { field: "humidityPct", direction: 1, ...HUMIDITY },
+  ADJUST_TEMP_DOWN: { field: "temperatureC", direction: -1, ...TEMPERATURE },
+  ADJUST_TEMP_UP: { field: "temperatureC", direction: 1, ...TEMPERATURE },
+  LOCK_ACCESS_10_MIN: LOCK,
+  LOCK_ACCESS: LOCK,
+};
+
+export const MAX_FAILURES = 2;
+export const HOLD_AFTER_INEFFECTIVE_MIN = 30;
+const DUTY_WINDOW_MS = 60 * 60_000;
+
+function iso(ms) {
+  return ms === null ? null : new Date(ms).toISOString();
+}
+
+export class RemediationController {
+  constructor({
+    policies = ACTION_POLICIES,
+    maxFailures = MAX_FAILURES,
+    holdAfterIneffectiveMin = HOLD_AFTER_INEFFECTIVE_MIN,
+  } = {}) {
+    this.policies = policies;
+    this.maxFailures = maxFailures;
+    this.holdMs = holdAfterIneffectiveMin * 60_000;
+    this.actions = new Map(); // type → { runs, inFlight, restUntilMs, failures, ineffectiveUntilMs, lastResult }
+  }
+
+  _state(type) {
+    if (!this.actions.has(type)) {
+      this.actions.set(type, {
+        runs: [], // start times (ms) within the duty window
+        inFlight: null, // { field, direction, startValue, startedAtMs, verifyAtMs, manual }
+        restUntilMs: 0,
+        failures: 0,
+        ineffectiveUntilMs: 0,
+        lastResult: null,
+      });
+    }
+    return this.actions.get(type);
+  }
+
+  _duty(state, policy, nowMs) {
+    state.runs = state.runs.filter((t) => nowMs - t < DUTY_WINDOW_MS);
+    return (state.runs.length * policy.runSec * 1000) / DUTY_WINDOW_MS;
+  }
+
+  /**
+   * Why `type` can't run right now, or null if it can.
+   */
+  _blocked(type, nowMs) {
+    const policy = this.policies[type];
+    if (!policy) return null;
+    const state = this._state(type);
+    if (nowMs < state.ineffectiveUntilMs) return "ineffective";
+    if (state.inFlight) return "in_flight";
+    if (nowMs < state.restUntilMs) return "cooldown";
+    if (this._duty(state, policy, nowMs) + (policy.runSec * 1000) / DUTY_WINDOW_MS > policy.maxDuty) return "duty_cycle";
+    return null;
+  }
+
+  /**
+   * Split the engine's suggested actions into those that may run now and
+   * those held back (`{ type, reason }`).
+   */
+  select(actions, nowMs) {
+    const run = [];
+    const held = [];
+    for (const action of actions) {
+      const reason = this._blocked(action.type, nowMs);
+      if (reason) held.push({ type: action.type, reason });
+      else run.push(action);
+    }
+    return { run, held };
+  }
+
+  /**
+   * Record that an action ran. Manual runs aren't subject to the checks above,
+   * but are verified too; running an action by hand lifts an "ineffective" hold.
+   */
+  started(action, reading, nowMs, { manual = false } = {}) {
+    const policy = this.policies[action.type];
+    if (!policy) return;
+    const state = this._state(action.type);
+    state.runs.push(nowMs);
+    if (manual) {
+      state.ineffectiveUntilMs = 0;
+      state.failures = 0;
+    }
+    const startValue = policy.field ? reading?.[policy.field] : undefined;
+    if (typeof startValue !== "number") {
+      state.inFlight = null;
+      state.restUntilMs = nowMs + policy.cooldownSec * 1000;
+      return;
+    }
+    state.inFlight = {
+      field: policy.field,
+      direction: policy.direction,
+      startValue,
+      startedAtMs: nowMs,
+      verifyAtMs: nowMs + policy.verifyAfterSec * 1000,
+      manual,
+    };
+  }
+
+  /**
+   * Judge in-flight actions whose window has passed against `reading`.
+   * Returns verdicts `{ type, field, effective, startValue, value, change, failures, escalate, manual }`;
+   * `escalate` is set when an action has just been put on hold as ineffective.
+   * `health` is `SensorHealth.check(reading)`; a faulty sensor postpones the check.
+   */
+  verify(reading, nowMs, health = null) {
+    const faultyFields = new Set((health?.faulty ?? []).map((metric) => SENSOR_METRICS[metric]));
+    const verdicts = [];
+    for (const [type, state] of this.actions) {
+      const flight = state.inFlight;
+      if (!flight || nowMs < flight.verifyAtMs) continue;
+      const policy = this.policies[type];
+
+      const value = reading[flight.field];
+      // Sensor not reporting or not trusted; check on a later reading
+      if (typeof value !== "number" || faultyFields.has(flight.field)) continue;
+      const change = Number((value - flight.startValue).toFixed(2));
+      const effective = change * flight.direction >= policy.minChange;
+      state.inFlight = null;
+      state.restUntilMs = nowMs + policy.cooldownSec * 1000;
+      state.failures = effective ? 0 : state.failures + 1;
+
+      const escalate = !effective && state.failures >= this.maxFailures;
+      if (escalate) {
+        state.ineffectiveUntilMs = nowMs + this.holdMs;
+        state.failures = 0;
+      }
+      state.lastResult = { at: iso(nowMs), effective, startValue: flight.startValue, value, change };
+      verdicts.push({
+        type,
+        field: flight.field,
+        effective,
+        startValue: flight.startValue,
+        value,
+        change,
+        failures: escalate ? this.maxFailures : state.failures,
+        escalate,
+        manual: flight.manual,
+      });
+    }
+    return verdicts;
+  }
+
+  /**
+   * Controller state per action type that has run, for `/api/status`.
+   */
+  status(nowMs = Date.now()) {
+    const actions = {};
+    for (const [type, state] of this.actions) {
+      const policy = this.policies[type];
+      actions[type] = {
+        state: this._blocked(type, nowMs) ?? "ready",
+        duty: Number(this._duty(state, policy, nowMs).toFixed(2)),
+        maxDuty: policy.maxDuty,
+        runsLastHour: state.runs.length,
+        lastRunAt: iso(state.runs.at(-1) ?? null),
+        inFlight: state.inFlight
+          ? {
+              field: state.inFlight.field,
+              startValue: state.inFlight.startValue,
+              startedAt: iso(state.inFlight.startedAtMs),
+              verifyAt: iso(state.inFlight.verifyAtMs),
+              manual: state.inFlight.manual,
+            }
+          : null,
+        cooldownUntil: state.restUntilMs > nowMs ? iso(state.restUntilMs) : null,
+        ineffectiveUntil: state.ineffectiveUntilMs > nowMs ? iso(state.ineffectiveUntilMs) : null,
+        failures: state.failures,
+        lastResult: state.lastResult,
+      };
+    }
+    return { actions };
+  }
+}
@@ -0,0 +1,525 @@
+import fs from "fs";
+import path from "path";
+
+import { queryHistory } from "./history.js";
+import { CONDENSATION_MARGINS } from "./psychro.js";
+
+/**
+ * Compliance reports: proof for lenders and auditors that a box kept its
+ * objects within spec over a period.
+ *
+ * A report covers one box and period and holds:
+ * - the share of time each metric spent safe / warn / danger against the
+ *   box's standards profile (estimated from the stored history, see history.js)
+ * - the excursions (incidents) in the period, with durations and peaks
+ * - the remediation actions taken (from the logs)
+ * - daily (or hourly, for short periods) min/mean/max per metric for the charts
+ *
+ * `renderReportHtml` turns it into a standalone HTML page (inline CSS and SVG,
+ * nothing to fetch) that prints cleanly to PDF. `MonthlyReports` writes one
+ * report per box for every finished calendar month (UTC) to
+ * `<dataDir>/reports/<boxId>/<YYYY-MM>.html` (and `.json`).
+ */
+
+export const REPORT_FORMATS = ["html", "json"];
+
+// Metrics with limits, in report order
+export const REPORT_METRICS = [
+  { key: "temperature", field: "temperatureC", label: "Temperature", unit: "°C" },
+  { key: "humidity", field: "humidityPct", label: "Relative humidity", unit: "%" },
+  { key: "moisture", field: "moisturePct", label: "Moisture content", unit: "%" },
+  { key: "access", field: "opensPerHour", label: "Door opens", unit: "/h" },
+  { key: "vibration", field: "vibration", label: "Vibration", unit: "" },
+  { key: "condensation", field: "dewPointMarginC", label: "Dew-point margin", unit: "°C" },
+];
+
+const ACTION_KINDS = ["AUTO_REMEDIATION", "MANUAL_ACTION", "ACTUATOR_INEFFECTIVE"];
+const MAX_LISTED_ACTIONS = 200; // the HTML lists this many; the counts cover all
+
+const HOUR_MS = 60 * 60_000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_SPAN_MS = 366 * DAY_MS;
+
+export class ReportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function round(n, digits = 2) {
+  return Number(n.toFixed(digits));
+}
+
+function parseTime(value, name) {
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (!Number.isFinite(ms)) throw new ReportError(`${name} must be an ISO timestamp or epoch milliseconds`);
+  return ms;
+}
+
+/**
+ * "2026-09" → [start, end) of that UTC month in ms. Null when unreadable.
+ */
+export function monthRange(month) {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(month));
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) return null;
+  const year = Number(match[1]);
+  const index = Number(match[2]) - 1;
+  return [Date.UTC(year, index, 1), Date.UTC(year, index + 1, 1)];
+}
+
+function monthKey(ms) {
+  return new Date(ms).toISOString().slice(0, 7);
+}
+
+/**
+ * Check `/api/reports` query parameters: `month=YYYY-MM`, or `from` / `to`
+ * (default: the last 30 days), and `format`. Throws ReportError.
+ */
+export function parseReportQuery(query, { nowMs }) {
+  const format = String(query.format ?? "html");
+  if (!REPORT_FORMATS.includes(format)) throw new ReportError(`format must be one of ${REPORT_FORMATS.join(", ")}`);
+
+  let fromMs;
+  let toMs;
+  if (query.month !== undefined) {
+    const range = monthRange(query.month);
+    if (!range) throw new ReportError("month must look like 2026-09");
+    [fromMs, toMs] = range;
+  } else {
+    toMs = query.to !== undefined ? parseTime(query.to, "to") : nowMs;
+    fromMs = query.from !== undefined ? parseTime(query.from, "from") : toMs - 30 * DAY_MS;
+  }
+  if (fromMs >= nowMs) throw new ReportError("The period has not started yet");
+  toMs = Math.min(toMs, nowMs);
+  if (fromMs >= toMs) throw new ReportError("from must be before to");
+  if (toMs - fromMs > MAX_SPAN_MS) throw new ReportError("A report covers at most 366 days");
+  return { fromMs, toMs, format };
+}
+
+function emptyTotals() {
+  return { safe: 0, warn: 0, danger: 0 };
+}
+
+/**
+ * Time in status, extremes and chart series per metric from the stored history.
+ */
+function metricSummaries(box, { fromMs, toMs, nowMs, standards }) {
+  const resolutionMs = toMs - fromMs > 2 * DAY_MS ? DAY_MS : HOUR_MS;
+  const history = queryHistory(
+    box.store,
+    {
+      fromMs,
+      toMs: toMs - 1, // the period ends just before `toMs` (e.g. the next month)
+      resolutionMs,
+      maxPoints: 5000,
+      metrics: REPORT_METRICS.map((m) => m.field),
+      aggregates: ["mean", "min", "max", "timeInStatus"],
+    },
+    { nowMs, standards },
+  );
+
+  const metrics = REPORT_METRICS.map(({ key, field, label, unit }) => {
+    const seconds = emptyTotals();
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let count = 0;
+    const series = [];
+    for (const p of history.points) {
+      if (typeof p[field] !== "number") continue;
+      series.push({ timestamp: p.timestamp, mean: p[field], min: p.min[field], max: p.max[field] });
+      min = Math.min(min, p.min[field]);
+      max = Math.max(max, p.max[field]);
+      sum += p[field] * p.count;
+      count += p.count;
+      const status = p.timeInStatus[field];
+      if (status) for (const s of Object.keys(seconds)) seconds[s] += status[s];
+    }
+    const total = seconds.safe + seconds.warn + seconds.danger;
+    const percent = emptyTotals();
+    if (total) for (const s of Object.keys(percent)) percent[s] = round((seconds[s] / total) * 100, 1);
+    return {
+      key,
+      field,
+      label,
+      unit,
+      coveragePct: round(Math.min(100, ((total * 1000) / (toMs - fromMs)) * 100), 1),
+      seconds,
+      percent,
+      min: count ? round(min) : null,
+      mean: count ? round(sum / count) : null,
+      max: count ? round(max) : null,
+      series,
+    };
+  });
+  return { metrics, tier: history.tier, resolutionSec: history.resolutionSec, exact: history.exact };
+}
+
+function excursions(box, { fromMs, toMs, nowMs }) {
+  return box.incidents
+    .list()
+    .filter((i) => {
+      const endMs = i.resolvedAt ? Date.parse(i.resolvedAt) : nowMs;
+      return Date.parse(i.startedAt) <= toMs && endMs >= fromMs;
+    })
+    .reverse()
+    .map((i) => ({
+      id: i.id,
+      metric: i.metric,
+      field: i.field,
+      state: i.state,
+      peakSeverity: i.peakSeverity,
+      startedAt: i.startedAt,
+      resolvedAt: i.resolvedAt,
+      durationSec: i.durationSec,
+      startValue: i.startValue,
+      peakValue: i.peakValue,
+      peakAt: i.peakAt,
+      standards: i.standards,
+      acknowledged: i.acknowledged,
+      actions: i.actions.map((a) => ({ type: a.type, by: a.by, count: a.count })),
+    }));
+}
+
+function remediation(box, { fromMs, toMs }) {
+  const byType = new Map();
+  const entries = [];
+  let total = 0;
+  for (const entry of box.store.logLog.iterate({ fromMs, toMs })) {
+    if (!ACTION_KINDS.includes(entry.kind)) continue;
+    total += 1;
+    const type = entry.actionType ?? "UNKNOWN";
+    if (!byType.has(type)) byType.set(type, { type, label: entry.label ?? type, auto: 0, manual: 0, ineffective: 0 });
+    const summary = byType.get(type);
+    if (entry.kind === "AUTO_REMEDIATION") summary.auto += 1;
+    else if (entry.kind === "MANUAL_ACTION") summary.manual += 1;
+    else summary.ineffective += 1;
+    if (entry.label) summary.label = entry.label;
+    if (entries.length < MAX_LISTED_ACTIONS) {
+      entries.push({
+        timestamp: entry.timestamp,
+        kind: entry.kind,
+        actionType: type,
+        label: entry.label ?? null,
+        reason: entry.reason ?? entry.message ?? null,
+        by: entry.actor?.name ?? null,
+      });
+    }
+  }
+  return { total, byType: [...byType.values()], entries, truncated: total > entries.length };
+}
+
+/**
+ * Build a compliance report for `box` between `fromMs` and `toMs`, judged
+ * against `standards` (the box's profile, usually its latest version).
+ */
+export function buildReport(box, { fromMs, toMs, nowMs, standards }) {
+  const summaries = metricSummaries(box, { fromMs, toMs, nowMs, standards });
+  return {
+    box: { id: box.id, name: box.name, location: box.location, artifactType: box.config.artifactType },
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    generatedAt: new Date(nowMs).toISOString(),
+    standards,
+    method: { tier: summaries.tier, resolutionSec: summaries.resolutionSec, exact: summaries.exact },
+    metrics: summaries.metrics,
+    excursions: excursions(box, { fromMs, toMs, nowMs }),
+    remediation: remediation(box, { fromMs, toMs }),
+  };
+}
+
+// --- HTML ---
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function formatTime(iso) {
+  return iso ? iso.slice(0, 16).replace("T", " ") : "—";
+}
+
+function formatDuration(sec) {
+  if (sec < 60) return `${sec} s`;
+  if (sec < 3600) return `${Math.round(sec / 60)} min`;
+  if (sec < 86400) return `${round(sec / 3600, 1)} h`;
+  return `${round(sec / 86400, 1)} d`;
+}
+
+/**
+ * [safe, warn] limits of a metric as value ranges, for chart bands.
+ */
+function metricLimits(field, standards) {
+  if (field === "temperatureC" || field === "humidityPct") return { safe: standards[field].safe, warn: standards[field].warn };
+  if (field === "dewPointMarginC") {
+    return { safe: [CONDENSATION_MARGINS.warn, Infinity], warn: [CONDENSATION_MARGINS.danger, Infinity] };
+  }
+  if (field === "opensPerHour") {
+    return { safe: [0, standards.access.maxOpensPerHourSafe], warn: [0, standards.access.maxOpensPerHourWarn] };
+  }
+  return { safe: [0, standards[field].safeMax], warn: [0, standards[field].warnMax] };
+}
+
+function describeLimits(field, standards, unit) {
+  const { safe, warn } = metricLimits(field, standards);
+  if (field === "dewPointMarginC") return `safe > ${safe[0]}${unit}, warn > ${warn[0]}${unit}`;
+  if (field === "temperatureC" || field === "humidityPct") {
+    return `safe ${safe[0]}–${safe[1]}${unit}, warn ${warn[0]}–${warn[1]}${unit}`;
+  }
+  return `safe ≤ ${safe[1]}${unit}, warn ≤ ${warn[1]}${unit}`;
+}
+
+function statusBar({ percent }) {
+  let x = 0;
+  const parts = ["safe", "warn", "danger"].map((s) => {
+    const rect = `<rect class="${s}" x="${x}" y="0" width="${percent[s]}" height="10"/>`;
+    x += percent[s];
+    return rect;
+  });
+  return `<svg class="bar" viewBox="0 0 100 10" preserveAspectRatio="none">${parts.join("")}</svg>`;
+}
+
+const CHART = { width: 640, height: 150, padLeft: 44, padRight: 8, padTop: 8, padBottom: 20 };
+
+/**
+ * Min/max band and mean line over the safe/warn zones.
+ */
+function trendChart(metric, { fromMs, toMs, standards }) {
+  const { series, field, unit } = metric;
+  if (!series.length) return `<p class="muted">No data in this period.</p>`;
+  const limits = metricLimits(field, standards);
+  const finite = [...limits.safe, ...limits.warn].filter(Number.isFinite);
+  let lo = Math.min(...series.map((p) => p.min), ...finite);
+  let hi = Math.max(...series.map((p) => p.max), ...finite);
+  if (hi === lo) hi = lo + 1;
+  const margin = (hi - lo) * 0.05;
+  lo -= margin;
+  hi += margin;
+
+  const { width, height, padLeft, padRight, padTop, padBottom } = CHART;
+  const x = (ms) => padLeft + ((ms - fromMs) / (toMs - fromMs)) * (width - padLeft - padRight);
+  const y = (v) => padTop + (1 - (Math.min(Math.max(v, lo), hi) - lo) / (hi - lo)) * (height - padTop - padBottom);
+  const band = ([a, b], cls) => {
+    const top = y(Math.min(b, hi));
+    return `<rect class="${cls}" x="${padLeft}" y="${top}" width="${width - padLeft - padRight}" height="${y(Math.max(a, lo)) - top}"/>`;
+  };
+  const pt = (p, key) => `${round(x(Date.parse(p.timestamp)), 1)},${round(y(p[key]), 1)}`;
+  const range = [...series.map((p) => pt(p, "max")), ...series.map((p) => pt(p, "min")).reverse()].join(" ");
+  const line = series.map((p) => pt(p, "mean")).join(" ");
+  const ticks = [lo + margin, hi - margin]
+    .map((v) => `<text x="${padLeft - 4}" y="${round(y(v), 1) + 3}" text-anchor="end">${round(v, 1)}${escapeHtml(unit)}</text>`)
+    .join("");
+  const dates = [fromMs, toMs]
+    .map((ms, i) => `<text x="${x(ms)}" y="${height - 6}" text-anchor="${i ? "end" : "start"}">${formatTime(new Date(ms).toISOString()).slice(0, 10)}</text>`)
+    .join("");
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}">
+${band(limits.warn, "zone-warn")}${band(limits.safe, "zone-safe")}
+<polygon class="range" points="${range}"/><polyline class="mean" points="${line}"/>
+${ticks}${dates}</svg>`;
+}
+
+const STYLE = `
+body { font: 13px/1.45 system-ui, -apple-system, "Segoe UI", sans-serif; color: #1d2330; margin: 24px auto; max-width: 900px; padding: 0 16px; }
+h1 { font-size: 22px; margin: 0 0 4px; } h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 1px solid #d5d9e0; padding-bottom: 4px; }
+h3 { font-size: 13px; margin: 16px 0 4px; }
+table { border-collapse: collapse; width: 100%; } th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #eceef2; vertical-align: top; }
+th { font-weight: 600; background: #f5f6f8; } td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.muted { color: #6b7280; } .meta td { border: 0; padding: 1px 12px 1px 0; }
+.bar { width: 160px; height: 10px; } .bar .safe { fill: #2e9d5b; } .bar .warn { fill: #e0b324; } .bar .danger { fill: #d0453a; }
+.chart { width: 100%; height: auto; } .chart text { font-size: 10px; fill: #6b7280; }
+.zone-safe { fill: #e2f2e8; } .zone-warn { fill: #fbf0cc; }
+.range { fill: #4a6fa5; opacity: 0.18; } .mean { fill: none; stroke: #2b4c7e; stroke-width: 1.5; }
+.sev-warn { color: #9a7400; font-weight: 600; } .sev-danger { color: #b3261e; font-weight: 600; }
+.metric { break-inside: avoid; }
+@page { size: A4; margin: 15mm; }
+@media print { body { margin: 0; max-width: none; padding: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+`;
+
+/**
+ * A report as a standalone, printable HTML document.
+ */
+export function renderReportHtml(report) {
+  const { box, standards, metrics, remediation: actions } = report;
+  const period = { fromMs: Date.parse(report.from), toMs: Date.parse(report.to), standards };
+  const title = `Environmental compliance report — ${box.name}`;
+
+  const summaryRows = metrics
+    .map(
+      (m) => `<tr>
+<td>${escapeHtml(m.label)}<div class="muted">${escapeHtml(describeLimits(m.field, standards, m.unit))}</div></td>
+<td class="num">${m.percent.safe}%</td><td class="num">${m.percent.warn}%</td><td class="num">${m.percent.danger}%</td>
+<td>${statusBar(m)}</td>
+<td class="num">${m.min ?? "—"}</td><td class="num">${m.mean ?? "—"}</td><td class="num">${m.max ?? "—"}</td>
+<td class="num">${m.coveragePct}%</td></tr>`,
+    )
+    .join("\n");
+
+  const charts = metrics
+    .map((m) => `<div class="metric"><h3>${escapeHtml(m.label)}${m.unit ? ` (${escapeHtml(m.unit)})` : ""}</h3>${trendChart(m, period)}</div>`)
+    .join("\n");
+
+  const excursionRows = report.excursions.length
+    ? report.excursions
+        .map(
+          (e) => `<tr>
+<td>${escapeHtml(e.metric)}</td><td class="sev-${e.peakSeverity}">${e.peakSeverity.toUpperCase()}</td>
+<td>${formatTime(e.startedAt)}</td><td>${e.resolvedAt ? formatTime(e.resolvedAt) : "ongoing"}</td>
+<td class="num">${formatDuration(e.durationSec)}</td><td class="num">${escapeHtml(e.peakValue)}</td><td>${formatTime(e.peakAt)}</td>
+<td>${escapeHtml(e.actions.map((a) => `${a.type}${a.count > 1 ? ` ×${a.count}` : ""}`).join(", ") || "—")}</td>
+<td>${e.acknowledged ? `${escapeHtml(e.acknowledged.by)}, ${formatTime(e.acknowledged.at)}` : "—"}</td></tr>`,
+        )
+        .join("\n")
+    : `<tr><td colspan="9" class="muted">No excursions in this period.</td></tr>`;
+
+  const actionSummary = actions.byType.length
+    ? actions.byType
+        .map(
+          (a) => `<tr><td>${escapeHtml(a.label)}<div class="muted">${escapeHtml(a.type)}</div></td>
+<td class="num">${a.auto}</td><td class="num">${a.manual}</td><td class="num">${a.ineffective}</td></tr>`,
+        )
+        .join("\n")
+    : `<tr><td colspan="4" class="muted">No remediation actions in this period.</td></tr>`;
+
+  const actionRows = actions.entries
+    .map(
+      (a) => `<tr><td>${formatTime(a.timestamp)}</td><td>${escapeHtml(a.kind)}</td><td>${escapeHtml(a.label ?? a.actionType)}</td>
+<td>${escapeHtml(a.reason ?? "")}</td><td>${escapeHtml(a.by ?? "")}</td></tr>`,
+    )
+    .join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table class="meta">
+<tr><td class="muted">Box</td><td>${escapeHtml(box.name)} (${escapeHtml(box.id)})${box.location ? ` — ${escapeHtml(box.location)}` : ""}</td></tr>
+<tr><td class="muted">Period</td><td>${formatTime(report.from)} to ${formatTime(report.to)} UTC</td></tr>
+<tr><td class="muted">Standards</td><td>${escapeHtml(standards.label)} (${escapeHtml(standards.id)} v${standards.version})</td></tr>
+<tr><td class="muted">Generated</td><td>${formatTime(report.generatedAt)} UTC by ConserveBot</td></tr>
+</table>
+
+<h2>Time within specification</h2>
+<table>
+<tr><th>Metric</th><th>Safe</th><th>Warn</th><th>Danger</th><th></th><th>Min</th><th>Mean</th><th>Max</th><th>Data</th></tr>
+${summaryRows}
+</table>
+<p class="muted">Shares of the time with data, classified against the standards above. "Data" is how much of the period the sensors covered.
+${report.method.exact ? "" : `Computed from ${report.method.tier} history buckets, so short excursions inside a bucket may not show.`}</p>
+
+<h2>Trends</h2>
+<p class="muted">${report.method.resolutionSec >= 86400 ? "Daily" : "Hourly"} mean (line) and min–max range; shaded zones are safe (green) and warn (yellow).</p>
+${charts}
+
+<h2>Excursions (${report.excursions.length})</h2>
+<table>
+<tr><th>Metric</th><th>Peak severity</th><th>Started</th><th>Resolved</th><th>Duration</th><th>Peak</th><th>Peak at</th><th>Actions</th><th>Acknowledged</th></tr>
+${excursionRows}
+</table>
+
+<h2>Remediation (${actions.total})</h2>
+<table>
+<tr><th>Action</th><th>Automatic</th><th>Manual</th><th>Ineffective</th></tr>
+${actionSummary}
+</table>
+${
+  actionRows
+    ? `<h3>Log${actions.truncated ? ` (first ${actions.entries.length} of ${actions.total})` : ""}</h3>
+<table>
+<tr><th>Time</th><th>Kind</th><th>Action</th><th>Reason</th><th>By</th></tr>
+${actionRows}
+</table>`
+    : ""
+}
+</body>
+</html>
+`;
+}
+
+// --- Monthly archive ---
+
+/**
+ * Saved monthly reports. `sweep(boxes, nowMs)` (called from the main loop)
+ * generates the last finished month's report for every box that lacks one;
+ * `generate(box, { fromMs, toMs, nowMs })` builds it (so the caller picks the
+ * standards) and `onGenerated(box, entry)` is told about each new file.
+ */
+// Box ids are also directory names here, so nothing else gets near the filesystem
+const BOX_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+export class MonthlyReports {
+  constructor({ dir, generate }) {
+    this.dir = dir;
+    this.generate = generate;
+    this.checkedMonth = null; // last finished month already swept
+    this.onGenerated = () => {};
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _file(boxId, month, format) {
+    return path.join(this.dir, boxId, `${month}.${format}`);
+  }
+
+  /**
+   * Path of a saved report, or null.
+   */
+  file(boxId, month, format = "html") {
+    if (!BOX_ID_RE.test(boxId) || !monthRange(month) || !REPORT_FORMATS.includes(format)) return null;
+    const file = this._file(boxId, month, format);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  /**
+   * Saved reports, newest month first (optionally for one box).
+   */
+  list({ boxId } = {}) {
+    const boxIds = boxId ? [boxId] : fs.readdirSync(this.dir);
+    return boxIds
+      .flatMap((id) => {
+        const dir = path.join(this.dir, id);
+        if (!BOX_ID_RE.test(id) || !fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return [];
+        return fs
+          .readdirSync(dir)
+          .map((f) => /^(\d{4}-\d{2})\.html$/.exec(f)?.[1])
+          .filter(Boolean)
+          .map((month) => {
+            const { generatedAt, from, to } = JSON.parse(fs.readFileSync(path.join(dir, `${month}.json`), "utf8"));
+            return { boxId: id, month, from, to, generatedAt };
+          });
+      })
+      .sort((a, b) => b.month.localeCompare(a.month) || a.boxId.localeCompare(b.boxId));
+  }
+
+  save(report, month) {
+    fs.mkdirSync(path.join(this.dir, report.box.id), { recursive: true });
+    fs.writeFileSync(this._file(report.box.id, month, "json"), JSON.stringify(report, null, 2));
+    fs.writeFileSync(this._file(report.box.id, month, "html"), renderReportHtml(report));
+  }
+
+  sweep(boxes, nowMs) {
+    const now = new Date(nowMs);
+    const fromMs = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1);
+    const toMs = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    const month = monthKey(fromMs);
+    if (month === this.checkedMonth) return;
+    this.checkedMonth = month;
+
+    for (const box of boxes) {
+      if (box.ephemeral || this.file(box.id, month)) continue;
+      const report = this.generate(box, { fromMs, toMs, nowMs });
+      // Nothing recorded that month (e.g. the box didn't exist yet)
+      if (!report.metrics.some((m) => m.series.length) && !report.excursions.length) continue;
+      this.save(report, month);
+      this.onGenerated(box, { boxId: box.id, month });
+    }
+  }
+}
@@ -0,0 +1,437 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+
+import { MANUAL_ACTIONS } from "./actions.js";
+import { SENSOR_FAULTS, supportsFault } from "./simulator.js";
+
+/**
+ * Scripted simulation scenarios: a timeline of events played back on a
+ * simulated box, for training and testing. Written as JSON or YAML.
+ *
+ * ```json
+ * {
+ *   "id": "hvac-failure",
+ *   "name": "HVAC failure",
+ *   "description": "…",
+ *   "durationSec": 1800,
+ *   "loop": false,
+ *   "events": [
+ *     { "at": "5m", "type": "drift", "metric": "humidity", "ratePerMin": 0.3, "duration": "20m" },
+ *     { "at": "8m", "type": "actuatorFailure", "action": "DEHUMIDIFY", "duration": "15m" }
+ *   ]
+ * }
+ * ```
+ *
+ * Times (`at`, `duration`) are seconds or strings like "90s", "+5m", "1.5h",
+ * measured from the start of the scenario. Event types:
+ * - `drift` – `metric` (temperature, humidity, moisture) changes by `ratePerMin`
+ * - `set` – `metric` jumps to `value` (instant; big steps look like a sensor jump to sensorHealth.js)
+ * - `door` – the door is held `state` ("open" / "closed")
+ * - `vibration` – vibration stays at least `level` (0–1), e.g. an earthquake burst
+ * - `actuatorFailure` – the box ignores `action` (e.g. DEHUMIDIFY)
+ * - `sensorFault` – a sensor fault (`metric`, `kind`, see simulator.js)
+ * - `note` – just logs its `label` (instant)
+ *
+ * Events with a duration last until the scenario ends when `duration` is left out.
+ * The scenario ends after `durationSec`, or when the last timed event is over
+ * (never if an event runs open-ended); `loop` starts it again.
+ */
+
+export const SCENARIO_EVENTS = ["drift", "set", "door", "vibration", "actuatorFailure", "sensorFault", "note"];
+const INSTANT_EVENTS = new Set(["set", "note"]);
+const MAX_EVENTS = 500;
+
+// Metric → simulator state field
+const SCENARIO_METRICS = {
+  temperature: "temperatureC",
+  humidity: "humidityPct",
+  moisture: "moisturePct",
+  vibration: "vibration",
+};
+const DRIFT_METRICS = ["temperature", "humidity", "moisture"];
+
+const UNIT_MS = { s: 1000, m: 60_000, h: 60 * 60_000 };
+
+export class ScenarioError extends Error {
+  constructor(message, status = 400, details = undefined) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * "90s" / "+5m" / "1.5h" / 30 (seconds) → ms. NaN when unreadable.
+ */
+export function parseDuration(value) {
+  if (typeof value === "number") return value >= 0 ? value * 1000 : NaN;
+  const match = /^\+?\s*(\d+(?:\.\d+)?)\s*([smh]?)$/.exec(String(value ?? "").trim());
+  if (!match) return NaN;
+  return Number(match[1]) * UNIT_MS[match[2] || "s"];
+}
+
+function isNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+function oneOf(list) {
+  return list.join(", ");
+}
+
+function checkEvent(event, i, errors) {
+  const where = `events[${i}]`;
+  if (!event || typeof event !== "object") {
+    errors.push(`${where} must be an object`);
+    return null;
+  }
+  const { type } = event;
+  if (!SCENARIO_EVENTS.includes(type)) errors.push(`${where}.type must be one of ${oneOf(SCENARIO_EVENTS)}`);
+
+  const atMs = parseDuration(event.at ?? 0);
+  if (Number.isNaN(atMs)) errors.push(`${where}.at must be seconds or a time like "5m"`);
+  let durationMs = Infinity;
+  if (event.duration !== undefined && !INSTANT_EVENTS.has(type)) {
+    durationMs = parseDuration(event.duration);
+    if (!(durationMs > 0)) errors.push(`${where}.duration must be > 0`);
+  }
+
+  if (type === "drift") {
+    if (!DRIFT_METRICS.includes(event.metric)) errors.push(`${where}.metric must be one of ${oneOf(DRIFT_METRICS)}`);
+    if (!isNum(event.ratePerMin)) errors.push(`${where}.ratePerMin must be a number`);
+  } else if (type === "set") {
+    if (!DRIFT_METRICS.includes(event.metric)) errors.push(`${where}.metric must be one of ${oneOf(DRIFT_METRICS)}`);
+    if (!isNum(event.value)) errors.push(`${where}.value must be a number`);
+  } else if (type === "door") {
+    if (!["open", "closed"].includes(event.state)) errors.push(`${where}.state must be "open" or "closed"`);
+  } else if (type === "vibration") {
+    if (!isNum(event.level) || event.level < 0 || event.level > 1) errors.push(`${where}.level must be between 0 and 1`);
+  } else if (type === "actuatorFailure") {
+    if (!Object.hasOwn(MANUAL_ACTIONS, event.action)) errors.push(`${where}.action must be one of ${oneOf(Object.keys(MANUAL_ACTIONS))}`);
+  } else if (type === "sensorFault") {
+    if (!Object.hasOwn(SCENARIO_METRICS, event.metric)) errors.push(`${where}.metric must be one of ${oneOf(Object.keys(SCENARIO_METRICS))}`);
+    if (!SENSOR_FAULTS.includes(event.kind)) errors.push(`${where}.kind must be one of ${oneOf(SENSOR_FAULTS)}`);
+    else if (Object.hasOwn(SCENARIO_METRICS, event.metric) && !supportsFault(SCENARIO_METRICS[event.metric], event.kind)) {
+      errors.push(`${where}.kind ${event.kind} isn't available for the ${event.metric} sensor`);
+    }
+  } else if (type === "note") {
+    if (typeof event.label !== "string" || !event.label.trim()) errors.push(`${where}.label is required for notes`);
+  }
+  if (event.label !== undefined && typeof event.label !== "string") errors.push(`${where}.label must be a string`);
+
+  return { ...event, atMs, durationMs: INSTANT_EVENTS.has(type) ? 0 : durationMs };
+}
+
+/**
+ * Validate a scenario body. Returns `{ scenario, errors }`; `scenario` has
+ * events sorted by time with `atMs` / `durationMs`, and `durationMs` overall.
+ */
+export function validateScenario(body) {
+  const errors = [];
+  if (!body || typeof body !== "object") return { scenario: null, errors: ["scenario must be an object"] };
+  if (typeof body.id !== "string" || !/^[a-z0-9-]{1,64}$/.test(body.id)) errors.push("id must be 1–64 characters a-z, 0-9 or -");
+  if (typeof body.name !== "string" || !body.name.trim()) errors.push("name is required");
+  if (body.description !== undefined && typeof body.description !== "string") errors.push("description must be a string");
+  if (body.loop !== undefined && typeof body.loop !== "boolean") errors.push("loop must be true or false");
+  if (body.durationSec !== undefined && !(isNum(body.durationSec) && body.durationSec > 0)) errors.push("durationSec must be > 0");
+  if (!Array.isArray(body.events) || !body.events.length) errors.push("events must be a non-empty list");
+  else if (body.events.length > MAX_EVENTS) errors.push(`at most ${MAX_EVENTS} events`);
+  if (errors.length) return { scenario: null, errors };
+
+  const events = body.events.map((e, i) => checkEvent(e, i, errors));
+  if (errors.length) return { scenario: null, errors };
+  events.sort((a, b) => a.atMs - b.atMs);
+
+  const durationMs =
+    body.durationSec !== undefined ? body.durationSec * 1000 : Math.max(...events.map((e) => e.atMs + e.durationMs));
+  return {
+    scenario: {
+      id: body.id,
+      name: body.name,
+      description: body.description ?? "",
+      loop: body.loop ?? false,
+      durationMs,
+      events,
+    },
+    errors: [],
+  };
+}
+
+function fmtDuration(ms) {
+  if (!Number.isFinite(ms)) return "until the scenario ends";
+  if (ms < 60_000) return `for ${Math.round(ms / 1000)}s`;
+  return `for ${Number((ms / 60_000).toFixed(1))} min`;
+}
+
+/**
+ * One-line description of an event, for logs.
+ */
+export function describeEvent(event) {
+  if (event.label) return event.label;
+  const lasting = fmtDuration(event.durationMs);
+  switch (event.type) {
+    case "drift":
+      return `${event.metric} drifting ${event.ratePerMin > 0 ? "+" : ""}${event.ratePerMin}/min ${lasting}`;
+    case "set":
+      return `${event.metric} set to ${event.value}`;
+    case "door":
+      return `door held ${event.state} ${lasting}`;
+    case "vibration":
+      return `vibration burst (level ${event.level}) ${lasting}`;
+    case "actuatorFailure":
+      return `${event.action} stops responding ${lasting}`;
+    case "sensorFault":
+      return `${event.kind} fault on the ${event.metric} sensor ${lasting}`;
+    default:
+      return event.type;
+  }
+}
+
+const SCENARIO_FILE = /\.(json|ya?ml)$/;
+
+/**
+ * Parse a scenario written as JSON (`.json`) or YAML (`.yaml` / `.yml`).
+ * Throws a ScenarioError when it doesn't parse.
+ */
+export function parseScenarioText(text, format = "json") {
+  try {
+    return format === "json" ? JSON.parse(text) : YAML.parse(text);
+  } catch (err) {
+    throw new ScenarioError(`Scenario is not valid ${format === "json" ? "JSON" : "YAML"}`, 400, [err.message]);
+  }
+}
+
+/**
+ * Built-in example scenarios (read-only) plus uploaded ones, saved to `<dir>/<id>.json`.
+ * Files that don't parse or validate are skipped and listed in `invalid`.
+ */
+export class ScenarioLibrary {
+  constructor({ dir, builtInDir }) {
+    this.dir = dir;
+    this.builtIn = new Map();
+    this.uploaded = new Map();
+    this.invalid = []; // { file, errors }
+    this._read(builtInDir, this.builtIn);
+    this._read(dir, this.uploaded);
+  }
+
+  _read(dir, into) {
+    if (!dir || !fs.existsSync(dir)) return;
+    for (const file of fs.readdirSync(dir).filter((f) => SCENARIO_FILE.test(f)).sort()) {
+      let body;
+      try {
+        body = parseScenarioText(fs.readFileSync(path.join(dir, file), "utf8"), file.endsWith(".json") ? "json" : "yaml");
+      } catch (err) {
+        this.invalid.push({ file, errors: [err.message, ...err.details] });
+        continue;
+      }
+      const { scenario, errors } = validateScenario(body);
+      if (errors.length) {
+        this.invalid.push({ file, errors });
+        continue;
+      }
+      into.set(scenario.id, { scenario, body, file: path.join(dir, file) });
+    }
+  }
+
+  _entry(id) {
+    return this.uploaded.get(id) ?? this.builtIn.get(id) ?? null;
+  }
+
+  get(id) {
+    return this._entry(id)?.scenario ?? null;
+  }
+
+  /**
+   * The scenario as written (for download / editing).
+   */
+  source(id) {
+    return this._entry(id)?.body ?? null;
+  }
+
+  describe(id) {
+    const entry = this._entry(id);
+    if (!entry) return null;
+    const { scenario } = entry;
+    return {
+      id,
+      name: scenario.name,
+      description: scenario.description,
+      builtIn: this.builtIn.has(id) && !this.uploaded.has(id),
+      loop: scenario.loop,
+      durationSec: Number.isFinite(scenario.durationMs) ? scenario.durationMs / 1000 : null,
+      events: scenario.events.length,
+    };
+  }
+
+  list() {
+    return [...new Set([...this.builtIn.keys(), ...this.uploaded.keys()])].map((id) => this.describe(id));
+  }
+
+  /**
+   * Validate and store an uploaded scenario (replacing an earlier upload with the same id).
+   */
+  save(body) {
+    const { scenario, errors } = validateScenario(body);
+    if (errors.length) throw new ScenarioError("Invalid scenario", 400, errors);
+    if (this.builtIn.has(scenario.id)) throw new ScenarioError("A built-in scenario has this id", 409);
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = path.join(this.dir, `${scenario.id}.json`);
+    const previous = this.uploaded.get(scenario.id)?.file;
+    if (previous && previous !== file) fs.rmSync(previous, { force: true }); // e.g. a hand-placed .yaml
+    fs.writeFileSync(file, JSON.stringify(body, null, 2));
+    this.uploaded.set(scenario.id, { scenario, body, file });
+    return scenario;
+  }
+
+  remove(id) {
+    if (this.builtIn.has(id)) throw new ScenarioError("Built-in scenarios can't be deleted", 409);
+    const entry = this.uploaded.get(id);
+    if (!entry) throw new ScenarioError("Unknown scenario", 404);
+    this.uploaded.delete(id);
+    fs.rmSync(entry.file, { force: true });
+  }
+}
+
+/**
+ * Plays a scenario on one box's simulator. `advance(nowMs)` is called every
+ * tick, before the simulator produces its reading, and returns what happened:
+ * `[{ phase: "start" | "end", event }]` and `{ phase: "finished" }` / `{ phase: "looped" }`.
+ */
+export class ScenarioPlayer {
+  constructor(simulator, scenario, nowMs = Date.now()) {
+    this.simulator = simulator;
+    this.scenario = scenario;
+    this.state = "running"; // running | paused | finished | stopped
+    this.startedAt = new Date(nowMs).toISOString();
+    this.runs = 1;
+    this._reset(nowMs);
+  }
+
+  _reset(nowMs) {
+    this.elapsedBeforeMs = 0; // scenario time accumulated before the last resume
+    this.resumedMs = nowMs;
+    this.progress = this.scenario.events.map(() => ({ started: false, ended: false }));
+    this.faultFields = new Set();
+  }
+
+  elapsedMs(nowMs) {
+    return this.elapsedBeforeMs + (this.state === "running" ? nowMs - this.resumedMs : 0);
+  }
+
+  advance(nowMs) {
+    if (this.state !== "running") return [];
+    const t = this.elapsedMs(nowMs);
+    const happened = [];
+
+    this.scenario.events.forEach((event, i) => {
+      const p = this.progress[i];
+      if (!p.started && t >= event.atMs) {
+        p.started = true;
+        this._fire(event, nowMs);
+        happened.push({ phase: "start", event });
+        if (event.durationMs === 0) p.ended = true;
+      }
+      if (p.started && !p.ended && t >= event.atMs + event.durationMs) {
+        p.ended = true;
+        happened.push({ phase: "end", event });
+      }
+    });
+    this.simulator.setScenarioEffects(this._effects());
+
+    if (t >= this.scenario.durationMs) {
+      this._clear();
+      if (this.scenario.loop) {
+        this.runs += 1;
+        this._reset(nowMs);
+        happened.push({ phase: "looped" });
+      } else {
+        this.elapsedBeforeMs = t;
+        this.state = "finished";
+        happened.push({ phase: "finished" });
+      }
+    }
+    return happened;
+  }
+
+  _fire(event, nowMs) {
+    if (event.type === "set") {
+      this.simulator.setValue(SCENARIO_METRICS[event.metric], event.value);
+    } else if (event.type === "sensorFault") {
+      const field = SCENARIO_METRICS[event.metric];
+      const durationSec = Number.isFinite(event.durationMs) ? event.durationMs / 1000 : 0;
+      this.simulator.injectFault(field, event.kind, { durationSec, nowMs });
+      this.faultFields.add(field);
+    }
+  }
+
+  /**
+   * What the active events currently do to the simulator (see `Simulator.setScenarioEffects`).
+   */
+  _effects() {
+    const effects = { driftPerMin: {}, door: null, vibration: null, failedActions: [] };
+    this.scenario.events.forEach((event, i) => {
+      const p = this.progress[i];
+      if (!p.started || p.ended) return;
+      if (event.type === "drift") {
+        const field = SCENARIO_METRICS[event.metric];
+        effects.driftPerMin[field] = (effects.driftPerMin[field] ?? 0) + event.ratePerMin;
+      } else if (event.type === "door") {
+        effects.door = event.state;
+      } else if (event.type === "vibration") {
+        effects.vibration = Math.max(effects.vibration ?? 0, event.level);
+      } else if (event.type === "actuatorFailure") {
+        effects.failedActions.push(event.action);
+      }
+    });
+    return effects;
+  }
+
+  // Undo everything the scenario is doing to the simulator
+  _clear() {
+    this.simulator.setScenarioEffects(null);
+    for (const field of this.faultFields) this.simulator.clearFaults(field);
+    this.faultFields.clear();
+  }
+
+  pause(nowMs = Date.now()) {
+    if (this.state !== "running") throw new ScenarioError(`Scenario is ${this.state}`, 409);
+    this.elapsedBeforeMs = this.elapsedMs(nowMs);
+    this.state = "paused";
+    this.simulator.setScenarioEffects(null);
+  }
+
+  resume(nowMs = Date.now()) {
+    if (this.state !== "paused") throw new ScenarioError(`Scenario is ${this.state}`, 409);
+    this.resumedMs = nowMs;
+    this.state = "running";
+  }
+
+  stop(nowMs = Date.now()) {
+    if (this.state === "running" || this.state === "paused") {
+      this.elapsedBeforeMs = this.elapsedMs(nowMs);
+      this.state = "stopped";
+    }
+    this._clear();
+  }
+
+  status(nowMs = Date.now()) {
+    const elapsedMs = this.elapsedMs(nowMs);
+    return {
+      scenarioId: this.scenario.id,
+      name: this.scenario.name,
+      state: this.state,
+      startedAt: this.startedAt,
+      run: this.runs,
+      elapsedSec: Math.round(elapsedMs / 1000),
+      durationSec: Number.isFinite(this.scenario.durationMs) ? this.scenario.durationMs / 1000 : null,
+      active: this.scenario.events
+        .filter((e, i) => this.progress[i].started && !this.progress[i].ended)
+        .map((e) => describeEvent(e)),
+      next: this.scenario.events
+        .filter((e, i) => !this.progress[i].started)
+        .slice(0, 5)
+        .map((e) => ({ inSec: Math.max(0, Math.round((e.atMs - elapsedMs) / 1000)), event: describeEvent(e) })),
+    };
+  }
+}
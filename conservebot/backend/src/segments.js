@@ -0,0 +1,124 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Append-only, day-segmented NDJSON log.
+ *
+ * Records are plain objects with an ISO `timestamp`. Each record goes into the
+ * file for its UTC day (`<prefix>-YYYY-MM-DD.ndjson`), so retention is just
+ * "delete old files" and range reads only open the days they need.
+ */
+
+const DAY_MS = 24 * 60 * 60_000;
+
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export class SegmentLog {
+  constructor(dir, prefix) {
+    this.dir = dir;
+    this.prefix = prefix;
+    this.pattern = new RegExp(`^${prefix}-(\\d{4}-\\d{2}-\\d{2})\\.ndjson$`);
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _file(day) {
+    return path.join(this.dir, `${this.prefix}-${day}.ndjson`);
+  }
+
+  /**
+   * Segment days present on disk, oldest first.
+   */
+  days() {
+    return fs
+      .readdirSync(this.dir)
+      .map((f) => this.pattern.exec(f)?.[1])
+      .filter(Boolean)
+      .sort();
+  }
+
+  append(record) {
+    this.appendMany([record]);
+  }
+
+  appendMany(records) {
+    const byDay = new Map();
+    for (const r of records) {
+      const day = dayKey(Date.parse(r.timestamp));
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(JSON.stringify(r));
+    }
+    for (const [day, lines] of byDay) {
+      fs.appendFileSync(this._file(day), lines.join("\n") + "\n");
+    }
+  }
+
+  _readDay(day) {
+    let text;
+    try {
+      text = fs.readFileSync(this._file(day), "utf8");
+    } catch {
+      return [];
+    }
+    const out = [];
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      try {
+        out.push(JSON.parse(line));
+      } catch {
+        // A torn last line after a crash is expected; skip it.
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Records with `fromMs <= timestamp <= toMs`, sorted by time.
+   */
+  read({ fromMs = -Infinity, toMs = Infinity } = {}) {
+    return [...this.iterate({ fromMs, toMs })];
+  }
+
+  /**
+   * Same as `read`, but only holds one day in memory at a time (for exports).
+   */
+  *iterate({ fromMs = -Infinity, toMs = Infinity } = {}) {
+    const fromDay = Number.isFinite(fromMs) ? dayKey(fromMs) : "";
+    const toDay = Number.isFinite(toMs) ? dayKey(toMs) : "9999";
+    for (const day of this.days()) {
+      if (day < fromDay || day > toDay) continue;
+      const records = this._readDay(day).filter((r) => {
+        const t = Date.parse(r.timestamp);
+        return t >= fromMs && t <= toMs;
+      });
+      yield* records.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    }
+  }
+
+  /**
+   * The newest `n` records (oldest first), reading backwards day by day.
+   */
+  tail(n) {
+    let out = [];
+    for (const day of this.days().reverse()) {
+      const records = this._readDay(day).sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+      out = records.concat(out);
+      if (out.length >= n) break;
+    }
+    return out.slice(-n);
+  }
+
+  /**
+   * Delete whole days that end before `cutoffMs`.
+   */
+  prune(cutoffMs) {
+    for (const day of this.days()) {
+      if (Date.parse(day) + DAY_MS <= cutoffMs) fs.rmSync(this._file(day), { force: true });
+    }
+  }
+
+  isEmpty() {
+    return this.days().length === 0;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Sensor health: is a reading believable before we judge the environment by it?
+ *
+ * Runs in front of `DecisionEngine.evaluate` and flags, per metric:
+ * - `missing`: the field wasn't reported (null)
+ * - `flatline`: exactly the same value for `FLATLINE_MS` (and at least
+ *   `FLATLINE_MIN_READINGS` readings) — real sensors always jitter a little,
+ *   except at a resting value (`RESTING`)
+ * - `jump`: a change between consecutive readings no environment can produce;
+ *   the metric stays flagged for `JUMP_HOLD_MS` after the last one
+ * - `pinned`: stuck on a physical limit (the simulator's clamps) for
+ *   `PINNED_MIN_READINGS` readings in a row
+ *
+ * Faulty metrics are reported as status "unknown" and left out of the risk score.
+ */
+
+// Metric → reading field. Access (opens/hour) is a count that legitimately
+// holds still, so it isn't checked.
+export const SENSOR_METRICS = {
+  temperature: "temperatureC",
+  humidity: "humidityPct",
+  moisture: "moisturePct",
+  vibration: "vibration",
+};
+
+// Physical limits a healthy sensor shouldn't sit on. `null` = not checked
+// (vibration rests at 0 whenever nothing moves).
+const LIMITS = {
+  temperatureC: [5, 35],
+  humidityPct: [5, 95],
+  moisturePct: [0, 20],
+  vibration: [null, 1],
+};
+
+// Values a healthy sensor can hold indefinitely (vibration at 0 on an idle box)
+const RESTING = {
+  vibration: 0,
+};
+
+// Largest believable change between two readings up to `JUMP_WINDOW_MS` apart
+const MAX_JUMP = {
+  temperatureC: 2,
+  humidityPct: 8,
+  moisturePct: 2,
+  vibration: Infinity, // bumps are instant
+};
+
+export const FAULT_KINDS = ["missing", "flatline", "jump", "pinned"];
+export const FLATLINE_MS = 2 * 60_000;
+const FLATLINE_MIN_READINGS = 30;
+const PINNED_MIN_READINGS = 10;
+const JUMP_WINDOW_MS = 60_000;
+const JUMP_HOLD_MS = 60_000;
+
+const DESCRIPTIONS = {
+  missing: "not reporting",
+  flatline: "flat-lined",
+  jump: "jumping impossibly between readings",
+  pinned: "pinned at its physical limit",
+};
+
+export function describeFault(metric, fault) {
+  return `${metric[0].toUpperCase()}${metric.slice(1)} sensor looks faulty (${DESCRIPTIONS[fault.kind]}, ${fault.detail}).`;
+}
+
+export class SensorHealth {
+  constructor() {
+    this.metrics = {};
+    for (const metric of Object.keys(SENSOR_METRICS)) {
+      this.metrics[metric] = {
+        last: null, // last numeric value
+        lastMs: null,
+        sameCount: 0,
+        sameSinceMs: null,
+        pinnedCount: 0,
+        lastJumpMs: null,
+        jumpDetail: null,
+        fault: null, // { kind, since, detail }
+      };
+    }
+  }
+
+  _detect(metric, value, ms) {
+    const field = SENSOR_METRICS[metric];
+    const m = this.metrics[metric];
+
+    if (typeof value !== "number") return { kind: "missing", detail: `no ${field} value` };
+
+    // Jumps: compare with the previous numeric value if it's recent enough.
+    // Coming back from a stuck/pinned value is expected to jump, so that doesn't count.
+    const recovering = m.fault && m.fault.kind !== "jump";
+    if (!recovering && m.last !== null && ms - m.lastMs <= JUMP_WINDOW_MS && Math.abs(value - m.last) > MAX_JUMP[field]) {
+      m.lastJumpMs = ms;
+      m.jumpDetail = `${m.last} → ${value}`;
+    }
+
+    if (value === m.last) {
+      m.sameCount += 1;
+    } else {
+      m.sameCount = 1;
+      m.sameSinceMs = ms;
+    }
+
+    const [lo, hi] = LIMITS[field];
+    m.pinnedCount = value === lo || value === hi ? m.pinnedCount + 1 : 0;
+
+    m.last = value;
+    m.lastMs = ms;
+
+    if (m.lastJumpMs !== null && ms - m.lastJumpMs < JUMP_HOLD_MS) return { kind: "jump", detail: m.jumpDetail };
+    if (m.pinnedCount >= PINNED_MIN_READINGS) return { kind: "pinned", detail: `${field} = ${value}` };
+    if (value !== RESTING[field] && m.sameCount >= FLATLINE_MIN_READINGS && ms - m.sameSinceMs >= FLATLINE_MS) {
+      return { kind: "flatline", detail: `${field} = ${value} for ${Math.round((ms - m.sameSinceMs) / 60_000)} min` };
+    }
+    return null;
+  }
+
+  /**
+   * Check one reading. Returns `{ faulty, metrics, changes }`:
+   * - `faulty`: metrics to treat as unknown
+   * - `metrics`: `{ [metric]: { ok, fault } }`
+   * - `changes`: `[{ metric, fault, previous }]` for faults that started, changed or cleared
+   */
+  check(reading) {
+    const ms = Date.parse(reading.timestamp);
+    const faulty = [];
+    const changes = [];
+    for (const [metric, field] of Object.entries(SENSOR_METRICS)) {
+      const m = this.metrics[metric];
+      const detected = this._detect(metric, reading[field], ms);
+      const previous = m.fault;
+
+      if (detected) {
+        faulty.push(metric);
+        if (previous?.kind !== detected.kind) {
+          m.fault = { kind: detected.kind, since: reading.timestamp, detail: detected.detail };
+          changes.push({ metric, fault: m.fault, previous });
+        } else {
+          m.fault.detail = detected.detail;
+        }
+      } else if (previous) {
+        m.fault = null;
+        changes.push({ metric, fault: null, previous });
+      }
+    }
+    return { faulty, metrics: this.status(), changes };
+  }
+
+  status() {
+    return Object.fromEntries(
+      Object.entries(this.metrics).map(([metric, m]) => [metric, { ok: !m.fault, fault: m.fault ? { ...m.fault } : null }]),
+    );
+  }
+}
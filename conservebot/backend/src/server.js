@@ -1,69 +1,278 @@
 import express from "express";
 import cors from "cors";
+import fs from "fs";
 import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
 import { WebSocketServer } from "ws";
 
-import { Store } from "./store.js";
-import { Simulator, DEMO_MODES } from "./simulator.js";
-import { ARTIFACT_TYPES, getStandards } from "./standards.js";
-import { nowIso } from "./utils.js";
-import { DecisionEngine } from "./engine.js";
+import { BoxRegistry } from "./boxes.js";
+import { CONTROL_MODES, MANUAL_ACTIONS, buildManualAction } from "./actions.js";
+import { DEMO_MODES, SENSOR_FAULTS, supportsFault } from "./simulator.js";
+import { SENSOR_METRICS, describeFault } from "./sensorHealth.js";
+import { withPsychrometrics } from "./psychro.js";
+import { SOURCE_KINDS } from "./sources.js";
+import { MqttBridge, startEmbeddedBroker } from "./mqtt.js";
+import { ProfileError, getStandards, profiles } from "./standards.js";
+import { HistoryQueryError, parseHistoryQuery, queryHistory } from "./history.js";
+import { queryMarkers } from "./markers.js";
+import { ExportError, exportColumns, exportRecords, parseExportQuery, writeExport } from "./exporter.js";
+import { ImportError, prepareImport } from "./importer.js";
+import { MonthlyReports, ReportError, buildReport, parseReportQuery, renderReportHtml } from "./reports.js";
+import { IncidentError } from "./incidents.js";
+import { Notifier } from "./notifications.js";
+import { DEFAULT_HORIZON_HOURS, forecast } from "./forecast.js";
+import { DOSE_THRESHOLDS } from "./dose.js";
+import { SCENARIO_EVENTS, ScenarioError, ScenarioLibrary, ScenarioPlayer, describeEvent, parseScenarioText } from "./scenarios.js";
+import { AuthError, KeyStore, SYSTEM_ACTOR, authenticate, defaultRole, keyFromRequest, requireRole } from "./auth.js";
+import { SystemClock, VirtualClock, MAX_SPEED } from "./clock.js";
+import { REPLAY_SPEEDS, RecordingError, RecordingLibrary, ReplaySource } from "./recordings.js";
+import { EventStream } from "./stream.js";
+import { clamp } from "./utils.js";
 
 const PORT = Number(process.env.PORT || 3001);
+const DATA_DIR = process.env.DATA_DIR || path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../data");
+
+// Retention windows for the on-disk store (see store.js for defaults)
+const RETENTION = Object.fromEntries(
+  Object.entries({
+    rawHours: process.env.RAW_RETENTION_HOURS,
+    minuteDays: process.env.MINUTE_RETENTION_DAYS,
+    halfHourDays: process.env.HALF_HOUR_RETENTION_DAYS,
+    assessmentDays: process.env.ASSESSMENT_RETENTION_DAYS,
+    logDays: process.env.LOG_RETENTION_DAYS,
+    eventDays: process.env.EVENT_RETENTION_DAYS,
+  })
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => [k, Number(v)]),
+);
+
+// Reproducible runs: SIM_SEED seeds every simulated box, SIM_START / SIM_SPEED set a
+// virtual clock (see clock.js). Without any of them: Math.random and wall time.
+const SIM_SEED = process.env.SIM_SEED ?? null;
+const clock =
+  SIM_SEED !== null || process.env.SIM_START || process.env.SIM_SPEED
+    ? new VirtualClock({
+        startMs: process.env.SIM_START ? Date.parse(process.env.SIM_START) : Math.floor(Date.now() / 1000) * 1000,
+        speed: clamp(Number(process.env.SIM_SPEED) || 1, 0, MAX_SPEED),
+      })
+    : new SystemClock();
+if (Number.isNaN(clock.now())) throw new Error("SIM_START must be an ISO date");
+
+function nowIso() {
+  return clock.nowIso();
+}
+
+const IMPORT_MAX_BYTES = "25mb";
+
+const keys = new KeyStore({ file: path.join(DATA_DIR, "auth.json") });
 
 const app = express();
 app.use(cors());
+// Data logger CSVs are bigger than any other request body
+app.use(["/api/import", "/api/boxes/:id/import"], express.json({ limit: IMPORT_MAX_BYTES }));
 app.use(express.json());
 
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server, path: "/ws" });
+const wss = new WebSocketServer({
+  server,
+  path: "/ws",
+  // Same keys as the REST API (viewer or better); browsers pass `?token=`.
+  verifyClient: ({ req }) => Boolean(keys.verify(keyFromRequest(req))),
+});
+
+// MQTT: connect to MQTT_URL, or start an in-process broker on MQTT_BROKER_PORT
+// (listening on MQTT_BROKER_HOST, loopback unless set; the broker has no auth).
+const MQTT_BROKER_PORT = process.env.MQTT_BROKER_PORT ? Number(process.env.MQTT_BROKER_PORT) : null;
+const MQTT_BROKER_HOST = process.env.MQTT_BROKER_HOST || "127.0.0.1";
+const MQTT_URL = process.env.MQTT_URL || (MQTT_BROKER_PORT ? `mqtt://127.0.0.1:${MQTT_BROKER_PORT}` : null);
+if (MQTT_BROKER_PORT) await startEmbeddedBroker(MQTT_BROKER_PORT, MQTT_BROKER_HOST);
+
+const mqttBridge = MQTT_URL
+  ? new MqttBridge({
+      url: MQTT_URL,
+      onEvent: (boxId, fields) => {
+        const box = boxes.get(boxId);
+        if (box) logEvent(box, { id: crypto.randomUUID(), timestamp: nowIso(), ...fields });
+      },
+    })
+  : null;
 
-const store = new Store();
-const engine = new DecisionEngine();
+profiles.load(DATA_DIR);
 
-const config = {
-  artifactType: "FOSSILS",
-  demoMode: "normal",
+const boxes = new BoxRegistry({ dataDir: DATA_DIR, retention: RETENTION, mqtt: mqttBridge, clock, seed: SIM_SEED });
+boxes.load();
+mqttBridge?.start(boxes);
+
+// Example scenarios ship in backend/scenarios; uploads go to <dataDir>/scenarios
+const scenarios = new ScenarioLibrary({
+  dir: path.join(DATA_DIR, "scenarios"),
+  builtInDir: path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../scenarios"),
+});
+
+const recordings = new RecordingLibrary({ dir: path.join(DATA_DIR, "recordings") });
+
+// Compliance reports for each finished month, in <dataDir>/reports
+const monthlyReports = new MonthlyReports({
+  dir: path.join(DATA_DIR, "reports"),
+  generate: (box, period) => buildReport(box, { ...period, standards: getStandards(box.config.artifactType) }),
+});
+monthlyReports.onGenerated = (box, { month }) => {
+  logEvent(box, { id: crypto.randomUUID(), timestamp: nowIso(), kind: "REPORT", month, message: `Monthly compliance report for ${month} is ready` });
 };
 
-const simulator = new Simulator(config);
-store.setHistory(simulator.generateHistory());
+const notifier = new Notifier({
+  file: path.join(DATA_DIR, "notifications.json"),
+  stateFile: path.join(DATA_DIR, "notification-state.json"),
+  findIncident: (boxId, id) => boxes.get(boxId)?.incidents.get(id),
+});
+notifier.onDelivery = (box, delivery) => {
+  logEvent(box, {
+    id: crypto.randomUUID(),
+    timestamp: nowIso(),
+    kind: "NOTIFICATION",
+    message: delivery.ok
+      ? `Notified ${delivery.channelId} (${delivery.type}): ${delivery.title}`
+      : `Failed to notify ${delivery.channelId} (${delivery.type}): ${delivery.error}`,
+  });
+};
 
-function snapshotForClients() {
-  return store.live;
-}
+// Sequenced, resumable /ws stream (see stream.js)
+const stream = new EventStream({
+  snapshot: (boxIds) => {
+    const list = boxes.list().filter((b) => !boxIds || boxIds.includes(b.id));
+    return { boxes: list.map((b) => b.describe()), ticks: list.map((b) => b.store.live).filter(Boolean) };
+  },
+  defaultBox: () => {
+    const box = boxes.defaultBox();
+    return box && { id: box.id, config: box.config, standards: getStandards(box.config.artifactType) };
+  },
+});
 
 function broadcast(msg) {
-  const data = JSON.stringify(msg);
-  for (const ws of wss.clients) {
-    if (ws.readyState === 1) ws.send(data);
-  }
+  stream.publish(msg);
 }
 
-function logEvent(entry) {
-  store.pushLog(entry);
-  broadcast({ type: "log", data: entry });
+/**
+ * `actor` is the API user behind the change, or ConserveBot itself.
+ */
+function logEvent(box, entry, actor = SYSTEM_ACTOR) {
+  const withBox = { ...entry, boxId: box.id, actor: { id: actor.id, name: actor.name } };
+  box.store.pushLog(withBox);
+  broadcast({ type: "log", boxId: box.id, data: withBox });
 }
 
-function applyActions(actions, reading) {
-  for (const action of actions) {
-    simulator.applyAction(action.type);
-    logEvent({
+// Replays re-run old data; they must not alert anyone
+function notifies(box) {
+  return !box.ephemeral && box.source.kind !== "replay";
+}
+
+function incidentEvent(box, event, incident) {
+  if (notifies(box)) notifier.onIncidentEvent(box, event, incident, clock.now());
+  broadcast({ type: "incident", boxId: box.id, data: { event, incident } });
+}
+
+/**
+ * Send actions to the box, attach them to open incidents and log them.
+ * `kind` is AUTO_REMEDIATION for the engine's own actions, MANUAL_ACTION for an operator's.
+ * Returns the log entries.
+ */
+function applyActions(box, actions, { reading, standards, kind = "AUTO_REMEDIATION", actor = SYSTEM_ACTOR, nowMs = clock.now() }) {
+  // Replays keep their recorded timestamps; stamp actions in that timeline too,
+  // so their markers land inside the replayed chart window
+  const replayedAt = box.source.kind === "replay" ? reading?.timestamp : undefined;
+  return actions.map((action) => {
+    const command = box.source.applyAction(action, nowMs);
+    box.remediation.started(action, reading, nowMs, { manual: kind === "MANUAL_ACTION" });
+    const timestamp = replayedAt ?? new Date(nowMs).toISOString();
+    for (const incident of box.incidents.recordAction(action, { timestamp, by: actor.name })) {
+      incidentEvent(box, "updated", incident);
+    }
+    const entry = {
       id: crypto.randomUUID(),
-      timestamp: nowIso(),
-      kind: "AUTO_REMEDIATION",
+      timestamp: replayedAt ?? nowIso(),
+      kind,
       actionType: action.type,
       label: action.label,
       reason: action.reason,
-      context: {
-        temperatureC: reading.temperatureC,
-        humidityPct: reading.humidityPct,
-        moisturePct: reading.moisturePct,
-        opensPerHour: reading.opensPerHour,
-        vibration: reading.vibration,
-      },
-    });
+      ...(action.durationMin ? { durationMin: action.durationMin } : {}),
+      ...(command ? { commandId: command.id } : {}),
+      standards: { id: standards.id, version: standards.version },
+      context: reading
+        ? {
+            temperatureC: reading.temperatureC,
+            humidityPct: reading.humidityPct,
+            moisturePct: reading.moisturePct,
+            opensPerHour: reading.opensPerHour,
+            vibration: reading.vibration,
+          }
+        : null,
+    };
+    logEvent(box, entry, actor);
+    return entry;
+  });
+}
+
+function remediationVerdict(box, verdict) {
+  if (!verdict.escalate) return;
+  logEvent(box, {
+    id: crypto.randomUUID(),
+    timestamp: nowIso(),
+    kind: "ACTUATOR_INEFFECTIVE",
+    actionType: verdict.type,
+    message: `${verdict.type} did not move ${verdict.field} (${verdict.startValue} → ${verdict.value}) after ${verdict.failures} tries; holding it.`,
+  });
+  if (notifies(box)) notifier.onActuatorIneffective(box, verdict);
+}
+
+function sensorHealthEvent(box, change) {
+  if (notifies(box)) notifier.onSensorFault(box, change, clock.now());
+  logEvent(box, {
+    id: crypto.randomUUID(),
+    timestamp: nowIso(),
+    kind: "MAINTENANCE",
+    metric: change.metric,
+    fault: change.fault,
+    message: change.fault ? describeFault(change.metric, change.fault) : `Sensor recovered: ${change.metric}.`,
+  });
+}
+
+function scenarioEvent(box, { phase, event }) {
+  const { name, id } = box.scenario.scenario;
+  const message = {
+    start: () => `Scenario ${name}: ${describeEvent(event)}`,
+    end: () => `Scenario ${name}: ${describeEvent(event)} is over`,
+    looped: () => `Scenario ${name} starting again (run ${box.scenario.runs})`,
+    finished: () => `Scenario ${name} finished`,
+  }[phase]();
+  logEvent(box, { id: crypto.randomUUID(), timestamp: nowIso(), kind: "SCENARIO", scenarioId: id, phase, message });
+}
+
+/**
+ * Resolve the box a request targets: `/api/boxes/:id/...`, `?boxId=...`,
+ * or the default box for the legacy single-box routes.
+ * Sends a 404 and returns null when the id is unknown.
+ */
+function boxFromRequest(req, res) {
+  return boxById(req.params.id ?? req.query.boxId, res);
+}
+
+function boxById(id, res) {
+  const box = id ? boxes.get(String(id)) : boxes.defaultBox();
+  if (!box) {
+    res.status(404).json({ error: "Unknown box" });
+    return null;
   }
+  return box;
+}
+
+function validateConfig({ artifactType, demoMode, source, controlMode } = {}) {
+  if (artifactType && !profiles.has(artifactType)) return "Unknown artifactType";
+  if (artifactType && !profiles.isActive(artifactType)) return "Standards profile is retired";
+  if (demoMode && !DEMO_MODES.includes(demoMode)) return "Unknown demoMode";
+  if (source && !SOURCE_KINDS.includes(source)) return "Unknown source";
+  if (controlMode && !CONTROL_MODES.includes(controlMode)) return "Unknown controlMode";
+  return null;
 }
 
 // --- REST API ---
@@ -72,103 +281,1028 @@ app.get("/api/health", (req, res) => {
   res.json({ ok: true, name: "ConserveBot backend", time: nowIso() });
 });
 
+// Everything below needs an API key.
+app.use("/api", authenticate(keys), defaultRole);
+
+// --- API keys ---
+
+function sendAuthError(res, err) {
+  if (!(err instanceof AuthError)) throw err;
+  res.status(err.status).json({ error: err.message });
+}
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: req.user });
+});
+
+app.get("/api/auth/keys", requireRole("admin"), (req, res) => {
+  res.json({ keys: keys.list() });
+});
+
+app.post("/api/auth/keys", requireRole("admin"), (req, res) => {
+  try {
+    // The plain key is only shown in this response.
+    res.status(201).json(keys.create(req.body ?? {}));
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+app.delete("/api/auth/keys/:keyId", requireRole("admin"), (req, res) => {
+  try {
+    keys.revoke(req.params.keyId);
+    res.json({ ok: true });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
 app.get("/api/artifact-types", (req, res) => {
   res.json({
-    artifactTypes: ARTIFACT_TYPES.map((t) => ({
-      id: t,
-      label: getStandards(t).label,
+    artifactTypes: profiles.list().map((p) => ({
+      id: p.id,
+      label: p.label,
     })),
     demoModes: DEMO_MODES,
+    sources: SOURCE_KINDS,
+    controlModes: CONTROL_MODES,
+    manualActions: Object.entries(MANUAL_ACTIONS).map(([type, label]) => ({ type, label })),
   });
 });
 
 app.get("/api/standards", (req, res) => {
-  const artifactType = String(req.query.artifactType || config.artifactType);
-  res.json({ artifactType, standards: getStandards(artifactType) });
+  const artifactType = String(req.query.artifactType || boxes.defaultBox()?.config.artifactType || "FOSSILS");
+  const version = req.query.version ? Number(req.query.version) : undefined;
+  const standards = getStandards(artifactType, version);
+  if (!standards) return res.status(404).json({ error: "Unknown artifactType or version" });
+  res.json({ artifactType, standards });
+});
+
+// --- Standards profiles ---
+
+function sendProfileError(res, err) {
+  if (!(err instanceof ProfileError)) throw err;
+  res.status(err.status).json({ error: err.message, details: err.details });
+}
+
+/**
+ * Run a profile change and log it on every box that uses the profile.
+ */
+function changeProfile(req, res, status, fn) {
+  try {
+    const standards = fn();
+    for (const box of boxes.list()) {
+      if (box.config.artifactType !== standards.id) continue;
+      logEvent(
+        box,
+        {
+          id: crypto.randomUUID(),
+          timestamp: nowIso(),
+          kind: "CONFIG",
+          message: `Standards profile ${standards.id} is now v${standards.version}`,
+        },
+        req.user,
+      );
+    }
+    res.status(status).json({ profile: profiles.describe(standards.id), standards });
+  } catch (err) {
+    sendProfileError(res, err);
+  }
+}
+
+app.get("/api/standards/profiles", (req, res) => {
+  res.json({ profiles: profiles.list({ includeRetired: req.query.includeRetired === "1" }) });
+});
+
+app.get("/api/standards/profiles/:id", (req, res) => {
+  const profile = profiles.describe(req.params.id);
+  if (!profile) return res.status(404).json({ error: "Unknown profile" });
+  res.json({ profile, standards: getStandards(req.params.id), versions: profiles.versions(req.params.id) });
 });
 
-app.get("/api/status", (req, res) => {
+app.get("/api/standards/profiles/:id/versions/:version", (req, res) => {
+  const standards = getStandards(req.params.id, Number(req.params.version));
+  if (!standards) return res.status(404).json({ error: "Unknown profile or version" });
+  res.json({ standards });
+});
+
+app.post("/api/standards/profiles", (req, res) => {
+  changeProfile(req, res, 201, () => profiles.create(req.body ?? {}));
+});
+
+app.put("/api/standards/profiles/:id", (req, res) => {
+  changeProfile(req, res, 200, () => profiles.update(req.params.id, req.body ?? {}));
+});
+
+app.post("/api/standards/profiles/:id/clone", (req, res) => {
+  changeProfile(req, res, 201, () => profiles.clone(req.params.id, req.body ?? {}));
+});
+
+app.post("/api/standards/profiles/:id/retire", requireRole("admin"), (req, res) => {
+  try {
+    res.json({ profile: profiles.setRetired(req.params.id, true) });
+  } catch (err) {
+    sendProfileError(res, err);
+  }
+});
+
+app.post("/api/standards/profiles/:id/reinstate", requireRole("admin"), (req, res) => {
+  try {
+    res.json({ profile: profiles.setRetired(req.params.id, false) });
+  } catch (err) {
+    sendProfileError(res, err);
+  }
+});
+
+// --- Boxes ---
+
+app.get("/api/boxes", (req, res) => {
+  res.json({ boxes: boxes.list().map((b) => b.describe()) });
+});
+
+app.post("/api/boxes", requireRole("admin"), (req, res) => {
+  const { id, name, location, artifactType, demoMode, source, controlMode } = req.body ?? {};
+  const error = validateConfig({ artifactType, demoMode, source, controlMode });
+  if (error) return res.status(400).json({ error });
+  if (id !== undefined && !/^[A-Za-z0-9_-]{1,64}$/.test(String(id))) {
+    return res.status(400).json({ error: "Invalid box id" });
+  }
+
+  const boxId = id ? String(id) : `box-${crypto.randomUUID().slice(0, 8)}`;
+  if (boxes.get(boxId)) return res.status(409).json({ error: "Box already exists" });
+
+  const box = boxes.add({ id: boxId, name, location, artifactType, demoMode, source, controlMode });
+  broadcast({ type: "boxAdded", boxId: box.id, data: box.describe() });
+  logEvent(
+    box,
+    {
+      id: crypto.randomUUID(),
+      timestamp: nowIso(),
+      kind: "CONFIG",
+      message: `Box registered: ${box.name} (${box.location || "no location"})`,
+    },
+    req.user,
+  );
+  res.status(201).json({ ok: true, box: box.describe() });
+});
+
+app.get("/api/boxes/:id", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  res.json({ box: box.describe() });
+});
+
+app.delete("/api/boxes/:id", requireRole("admin"), (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  boxes.remove(box.id);
+  notifier.forgetBox(box.id);
+  broadcast({ type: "boxRemoved", boxId: box.id });
+  res.json({ ok: true });
+});
+
+app.get(["/api/status", "/api/boxes/:id/status"], (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
   res.json({
-    config,
-    live: store.live,
-    standards: getStandards(config.artifactType),
+    boxId: box.id,
+    box: box.describe(),
+    config: box.config,
+    source: box.source.status(),
+    remediation: box.remediation.status(clock.now()),
+    sensorHealth: box.sensorHealth.status(),
+    dose: box.dose.summary(),
+    scenario: box.scenario?.status(clock.now()) ?? null,
+    live: box.store.live,
+    standards: getStandards(box.config.artifactType),
   });
 });
 
-app.get("/api/history", (req, res) => {
-  const range = String(req.query.range || "24h");
-  res.json({ range, points: store.getHistory(range) });
+const HISTORY_QUERY_PARAMS = ["from", "to", "resolution", "maxPoints", "metrics", "aggregates"];
+
+/**
+ * Stored history. With only `range=24h|7d` this returns the 1-minute or
+ * 30-minute buckets as stored; any other parameter runs a query (see history.js).
+ */
+app.get(["/api/history", "/api/boxes/:id/history"], (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  const nowMs = clock.now();
+  if (!HISTORY_QUERY_PARAMS.some((p) => req.query[p] !== undefined)) {
+    const range = String(req.query.range || "24h");
+    return res.json({ boxId: box.id, range, points: box.store.getHistory(range, nowMs) });
+  }
+
+  let query;
+  try {
+    query = parseHistoryQuery(req.query, { nowMs, retention: box.store.retention });
+  } catch (err) {
+    return sendHistoryError(res, err);
+  }
+  const standards = getStandards(box.config.artifactType);
+  res.json({ boxId: box.id, ...queryHistory(box.store, query, { nowMs, standards }) });
+});
+
+function sendHistoryError(res, err) {
+  if (!(err instanceof HistoryQueryError)) throw err;
+  res.status(err.status).json({ error: err.message });
+}
+
+/**
+ * Door openings, remediation actions and incident starts for chart markers
+ * (see markers.js). Takes `from` / `to` / `range` like a history query.
+ */
+app.get(["/api/markers", "/api/boxes/:id/markers"], (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  let query;
+  try {
+    query = parseHistoryQuery(req.query, { nowMs: clock.now(), retention: box.store.retention });
+  } catch (err) {
+    return sendHistoryError(res, err);
+  }
+  res.json({
+    boxId: box.id,
+    from: new Date(query.fromMs).toISOString(),
+    to: new Date(query.toMs).toISOString(),
+    markers: queryMarkers(box, query),
+  });
 });
 
-app.get("/api/logs", (req, res) => {
-  res.json({ logs: store.getLogs(req.query.limit) });
+/**
+ * Download history, assessments, logs or incidents as CSV, NDJSON or JSON (see exporter.js).
+ */
+app.get(["/api/export/:dataset", "/api/boxes/:id/export/:dataset"], async (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  let spec;
+  try {
+    spec = parseExportQuery(req.params.dataset, req.query, { nowMs: clock.now() });
+  } catch (err) {
+    return sendExportError(res, err);
+  }
+  const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+  await writeExport(res, exportRecords(box, spec), {
+    format: spec.format,
+    columns: exportColumns(spec),
+    filename: `${box.id}-${spec.dataset}-${day(spec.fromMs)}-${day(spec.toMs)}`,
+  });
 });
 
-app.post("/api/config", (req, res) => {
-  const { artifactType, demoMode } = req.body ?? {};
-  if (artifactType && !ARTIFACT_TYPES.includes(artifactType)) {
-    return res.status(400).json({ error: "Unknown artifactType" });
+function sendExportError(res, err) {
+  if (!(err instanceof ExportError)) throw err;
+  res.status(err.status).json({ error: err.message });
+}
+
+/**
+ * Load a data logger's CSV into the box's history (see importer.js).
+ * With `dryRun: true` only the validation report is returned.
+ */
+app.post(["/api/import", "/api/boxes/:id/import"], (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  const nowMs = clock.now();
+  let prepared;
+  try {
+    prepared = prepareImport(req.body ?? {}, {
+      nowMs,
+      oldestMs: nowMs - box.store.retention.halfHourDays * 24 * 60 * 60_000,
+      existing: box.store.existingData(),
+    });
+  } catch (err) {
+    return sendImportError(res, err);
   }
-  if (demoMode && !DEMO_MODES.includes(demoMode)) {
-    return res.status(400).json({ error: "Unknown demoMode" });
+
+  const { readings, report } = prepared;
+  if (req.body.dryRun) return res.json({ boxId: box.id, dryRun: true, report });
+  if (!readings.length) return res.status(422).json({ error: "No rows could be imported", report });
+
+  box.store.importReadings(readings.map((r) => withPsychrometrics(r)), nowMs);
+  const file = req.body.name ? ` from ${req.body.name}` : "";
+  logEvent(
+    box,
+    {
+      id: crypto.randomUUID(),
+      timestamp: nowIso(),
+      kind: "IMPORT",
+      message: `Imported ${report.accepted} readings${file} (${report.from} to ${report.to})${report.rejected ? `, ${report.rejected} rows rejected` : ""}.`,
+      import: { name: req.body.name ?? null, accepted: report.accepted, rejected: report.rejected, from: report.from, to: report.to },
+    },
+    req.user,
+  );
+  res.status(201).json({ boxId: box.id, dryRun: false, report });
+});
+
+function sendImportError(res, err) {
+  if (!(err instanceof ImportError)) throw err;
+  res.status(err.status).json({ error: err.message, details: err.details });
+}
+
+// --- Compliance reports ---
+
+function sendReportError(res, err) {
+  if (!(err instanceof ReportError)) throw err;
+  res.status(err.status).json({ error: err.message });
+}
+
+/**
+ * A compliance report for one box: `month=YYYY-MM` or `from` / `to`
+ * (default: the last 30 days), as printable HTML or `format=json` (see reports.js).
+ */
+app.get(["/api/reports", "/api/boxes/:id/report"], (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  const nowMs = clock.now();
+  let query;
+  try {
+    query = parseReportQuery(req.query, { nowMs });
+  } catch (err) {
+    return sendReportError(res, err);
   }
+  const report = buildReport(box, { ...query, nowMs, standards: getStandards(box.config.artifactType) });
+  if (query.format === "json") return res.json(report);
+  res.type("html").send(renderReportHtml(report));
+});
 
-  if (artifactType) config.artifactType = artifactType;
-  if (demoMode) config.demoMode = demoMode;
+app.get("/api/reports/monthly", (req, res) => {
+  res.json({ reports: monthlyReports.list({ boxId: req.query.boxId ? String(req.query.boxId) : undefined }) });
+});
 
-  simulator.setArtifactType(config.artifactType);
-  simulator.setDemoMode(config.demoMode);
-  store.setHistory(simulator.generateHistory());
+app.get("/api/reports/monthly/:boxId/:month", (req, res) => {
+  const format = String(req.query.format ?? "html");
+  const file = monthlyReports.file(req.params.boxId, req.params.month, format);
+  if (!file) return res.status(404).json({ error: "No report for that box and month" });
+  res.type(format).sendFile(file);
+});
 
-  logEvent({
-    id: crypto.randomUUID(),
-    timestamp: nowIso(),
-    kind: "CONFIG",
-    message: `Config updated: artifactType=${config.artifactType}, demoMode=${config.demoMode}`,
+/**
+ * Time-to-threshold forecasts. `short` fits the engine's last 15 minutes
+ * (same as each tick's `assessment.forecast`), `long` the stored 1-minute
+ * history over `windowHours` (default 6).
+ */
+app.get(["/api/forecast", "/api/boxes/:id/forecast"], (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  const nowMs = clock.now();
+  const windowHours = clamp(Number(req.query.windowHours) || 6, 1, 24);
+  const horizonHours = clamp(Number(req.query.horizonHours) || DEFAULT_HORIZON_HOURS, 1, 7 * 24);
+  const standards = getStandards(box.config.artifactType);
+  const options = { nowMs, horizonHours };
+
+  res.json({
+    boxId: box.id,
+    generatedAt: new Date(nowMs).toISOString(),
+    standardsVersion: { id: standards.id, version: standards.version },
+    windowHours,
+    horizonHours,
+    short: forecast(
+      box.engine.recent.map((p) => p.reading),
+      standards,
+      options,
+    ),
+    long: forecast(box.store.getMinuteHistory(nowMs - windowHours * 60 * 60_000), standards, options),
+  });
+});
+
+/**
+ * Cumulative preservation dose: TWPI, mold germination index, daily RH swings (see dose.js).
+ */
+app.get(["/api/dose", "/api/boxes/:id/dose"], (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  res.json({ boxId: box.id, thresholds: DOSE_THRESHOLDS, ...box.dose.summary() });
+});
+
+app.get(["/api/logs", "/api/boxes/:id/logs"], (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  res.json({ boxId: box.id, logs: box.store.getLogs(req.query.limit) });
+});
+
+app.post(["/api/config", "/api/boxes/:id/config"], (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  const { artifactType, demoMode, source, controlMode } = req.body ?? {};
+  const error = validateConfig({ artifactType, demoMode, source, controlMode });
+  if (error) return res.status(400).json({ error });
+  if (box.config.source === "replay" && source && source !== "replay") {
+    return res.status(400).json({ error: "A replay box always replays its recording" });
+  }
+
+  box.configure({ artifactType, demoMode, source, controlMode });
+  boxes.save();
+
+  logEvent(
+    box,
+    {
+      id: crypto.randomUUID(),
+      timestamp: nowIso(),
+      kind: "CONFIG",
+      message: `Config updated: artifactType=${box.config.artifactType}, demoMode=${box.config.demoMode}, source=${box.config.source}, controlMode=${box.config.controlMode}`,
+    },
+    req.user,
+  );
+  broadcast({
+    type: "config",
+    boxId: box.id,
+    data: { config: box.config, standards: getStandards(box.config.artifactType) },
   });
 
-  res.json({ ok: true, config });
+  res.json({ ok: true, boxId: box.id, config: box.config });
+});
+
+// --- Incidents ---
+
+function findIncident(req, res) {
+  for (const box of boxes.list()) {
+    const incident = box.incidents.get(req.params.incidentId);
+    if (incident) return { box, incident };
+  }
+  res.status(404).json({ error: "Unknown incident" });
+  return null;
+}
+
+function changeIncident(req, res, event, fn) {
+  const found = findIncident(req, res);
+  if (!found) return;
+  try {
+    const incident = fn(found.box.incidents, found.incident.id);
+    incidentEvent(found.box, event, incident);
+    res.json({ incident });
+  } catch (err) {
+    if (!(err instanceof IncidentError)) throw err;
+    res.status(err.status).json({ error: err.message });
+  }
+}
+
+/**
+ * Incidents across the fleet (or one box with `?boxId=` / `/api/boxes/:id/incidents`).
+ * Filters: `state=open|acknowledged|resolved`, `metric`, `limit`.
+ */
+app.get(["/api/incidents", "/api/boxes/:id/incidents"], (req, res) => {
+  let list;
+  if (req.params.id || req.query.boxId) {
+    const box = boxFromRequest(req, res);
+    if (!box) return;
+    list = box.incidents.list(req.query);
+  } else {
+    list = boxes
+      .list()
+      .flatMap((b) => b.incidents.list(req.query))
+      .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+  }
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  res.json({ incidents: list.slice(0, limit) });
+});
+
+app.get("/api/incidents/:incidentId", (req, res) => {
+  const found = findIncident(req, res);
+  if (found) res.json({ incident: found.incident });
+});
+
+app.post("/api/incidents/:incidentId/ack", (req, res) => {
+  const { comment } = req.body ?? {};
+  changeIncident(req, res, "acknowledged", (incidents, id) => incidents.acknowledge(id, { by: req.user.name, comment, timestamp: nowIso() }));
+});
+
+app.post("/api/incidents/:incidentId/comments", (req, res) => {
+  const { text } = req.body ?? {};
+  changeIncident(req, res, "commented", (incidents, id) => incidents.comment(id, { by: req.user.name, text, timestamp: nowIso() }));
+});
+
+// --- Notifications ---
+
+const SECRET_MASK = "********";
+
+function maskedNotificationConfig() {
+  const config = structuredClone(notifier.config);
+  if (config.smtp?.auth?.pass) config.smtp.auth.pass = SECRET_MASK;
+  // Slack and webhook URLs carry their own tokens
+  for (const channel of config.channels) if (channel.url) channel.url = SECRET_MASK;
+  return config;
+}
+
+app.get("/api/notifications", (req, res) => {
+  res.json({ config: maskedNotificationConfig() });
+});
+
+app.put("/api/notifications", requireRole("admin"), (req, res) => {
+  const next = structuredClone(req.body ?? {});
+  // Echoing back the masked password keeps the stored one.
+  if (next.smtp?.auth?.pass === SECRET_MASK) next.smtp.auth.pass = notifier.config.smtp?.auth?.pass;
+  for (const channel of Array.isArray(next.channels) ? next.channels : []) {
+    if (channel?.url === SECRET_MASK) channel.url = notifier.config.channels.find((c) => c.id === channel.id)?.url;
+  }
+  const errors = notifier.setConfig(next);
+  if (errors.length) return res.status(400).json({ error: "Invalid notification config", details: errors });
+  res.json({ config: maskedNotificationConfig() });
+});
+
+app.post("/api/notifications/test", (req, res) => {
+  const { channelId, boxId } = req.body ?? {};
+  const box = boxById(boxId, res);
+  if (!box) return;
+  if (!notifier.test(channelId, box)) return res.status(404).json({ error: "Unknown channel" });
+  res.status(202).json({ ok: true });
+});
+
+app.get("/api/notifications/deliveries", (req, res) => {
+  res.json({ deliveries: notifier.getDeliveries(Math.min(Number(req.query.limit) || 50, 200)) });
+});
+
+// --- Sensor ingestion ---
+
+const MAX_BATCH = 1000;
+
+/**
+ * Real hardware pushes readings here, one at a time or in batches:
+ * `{ boxId, reading }` or `{ boxId, readings: [...] }`.
+ * Every field `Simulator.tick()` produces is required (see readings.js).
+ */
+app.post("/api/readings", (req, res) => {
+  const body = req.body ?? {};
+  const box = boxById(body.boxId, res);
+  if (!box) return;
+  if (box.source.kind !== "ingest" && box.source.kind !== "mqtt") {
+    return res.status(409).json({ error: `Box ${box.id} is fed by its ${box.source.kind} source` });
+  }
+
+  const inputs = Array.isArray(body.readings) ? body.readings : body.reading ? [body.reading] : null;
+  if (!inputs) return res.status(400).json({ error: "Expected `reading` or `readings`" });
+  if (inputs.length > MAX_BATCH) return res.status(413).json({ error: `At most ${MAX_BATCH} readings per batch` });
+
+  const { accepted, rejected } = box.source.push(inputs);
+  res.status(accepted ? 202 : 400).json({ boxId: box.id, accepted, rejected });
+});
+
+// --- Sensor health + simulated faults ---
+
+app.get("/api/boxes/:id/sensors", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  res.json({ boxId: box.id, health: box.sensorHealth.status(), injectedFaults: box.simulator?.listFaults() ?? [] });
+});
+
+app.post("/api/boxes/:id/faults", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  if (!box.simulator) return res.status(400).json({ error: "Faults can only be injected into simulated boxes" });
+  const { metric, kind, durationSec = 0 } = req.body ?? {};
+  if (!Object.hasOwn(SENSOR_METRICS, metric)) {
+    return res.status(400).json({ error: `metric must be one of ${Object.keys(SENSOR_METRICS).join(", ")}` });
+  }
+  if (!SENSOR_FAULTS.includes(kind)) return res.status(400).json({ error: `kind must be one of ${SENSOR_FAULTS.join(", ")}` });
+  if (!supportsFault(SENSOR_METRICS[metric], kind)) return res.status(400).json({ error: `The ${metric} sensor has no ${kind} fault` });
+  if (!(Number(durationSec) >= 0)) return res.status(400).json({ error: "durationSec must be >= 0" });
+
+  box.simulator.injectFault(SENSOR_METRICS[metric], kind, { durationSec: Number(durationSec) });
+  logEvent(
+    box,
+    {
+      id: crypto.randomUUID(),
+      timestamp: nowIso(),
+      kind: "CONFIG",
+      message: `Injected ${kind} fault on the ${metric} sensor${Number(durationSec) ? ` for ${durationSec}s` : ""}`,
+    },
+    req.user,
+  );
+  res.status(201).json({ ok: true, boxId: box.id, injectedFaults: box.simulator.listFaults() });
+});
+
+app.delete("/api/boxes/:id/faults", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  if (!box.simulator) return res.status(400).json({ error: "Faults can only be injected into simulated boxes" });
+  const metric = req.query.metric ? String(req.query.metric) : null;
+  if (metric && !Object.hasOwn(SENSOR_METRICS, metric)) return res.status(400).json({ error: "Unknown metric" });
+
+  box.simulator.clearFaults(metric ? SENSOR_METRICS[metric] : undefined);
+  logEvent(
+    box,
+    {
+      id: crypto.randomUUID(),
+      timestamp: nowIso(),
+      kind: "CONFIG",
+      message: metric ? `Cleared injected faults on the ${metric} sensor` : "Cleared all injected sensor faults",
+    },
+    req.user,
+  );
+  res.json({ ok: true, boxId: box.id, injectedFaults: box.simulator.listFaults() });
+});
+
+// --- Clock ---
+
+app.get("/api/clock", (req, res) => {
+  res.json({ ...clock.describe(), seed: SIM_SEED, maxSpeed: MAX_SPEED });
+});
+
+/**
+ * Change how fast a virtual clock runs `{ speed }` (0 pauses the simulation).
+ */
+app.put("/api/clock", requireRole("admin"), (req, res) => {
+  if (clock.kind !== "virtual") return res.status(409).json({ error: "Start the backend with SIM_SPEED, SIM_START or SIM_SEED to use a virtual clock" });
+  const speed = Number(req.body?.speed);
+  if (!(speed >= 0 && speed <= MAX_SPEED)) return res.status(400).json({ error: `speed must be between 0 and ${MAX_SPEED}` });
+  clock.setSpeed(speed);
+  res.json({ ...clock.describe(), seed: SIM_SEED, maxSpeed: MAX_SPEED });
+});
+
+// --- Recordings + replay ---
+
+function sendRecordingError(res, err) {
+  if (!(err instanceof RecordingError)) throw err;
+  res.status(err.status).json({ error: err.message });
+}
+
+app.get("/api/boxes/:id/recording", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  res.json({ boxId: box.id, recording: box.recorder?.status() ?? null });
+});
+
+/**
+ * Start recording a box's ticks `{ name? }`.
+ */
+app.post("/api/boxes/:id/recording", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  if (box.recorder) return res.status(409).json({ error: "Already recording", recording: box.recorder.status() });
+  box.recorder = recordings.start(box, { name: req.body?.name ? String(req.body.name) : "", nowMs: clock.now() });
+  const { id, name } = box.recorder.header;
+  logEvent(
+    box,
+    { id: crypto.randomUUID(), timestamp: nowIso(), kind: "RECORDING", recordingId: id, message: `Recording started: ${name}` },
+    req.user,
+  );
+  res.status(201).json({ ok: true, boxId: box.id, recording: box.recorder.status() });
+});
+
+app.delete("/api/boxes/:id/recording", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  if (!box.recorder) return res.status(404).json({ error: "Not recording" });
+  const recorder = box.recorder;
+  recorder.stop(nowIso());
+  box.recorder = null;
+  logEvent(
+    box,
+    {
+      id: crypto.randomUUID(),
+      timestamp: nowIso(),
+      kind: "RECORDING",
+      recordingId: recorder.header.id,
+      message: `Recording stopped: ${recorder.header.name} (${recorder.ticks} ticks)`,
+    },
+    req.user,
+  );
+  res.json({ ok: true, boxId: box.id, recording: recordings.describe(recorder.header.id) });
+});
+
+app.get("/api/recordings", (req, res) => {
+  res.json({ recordings: recordings.list(), replaySpeeds: REPLAY_SPEEDS });
+});
+
+app.get("/api/recordings/:recordingId", (req, res) => {
+  const recording = recordings.describe(req.params.recordingId);
+  if (!recording) return res.status(404).json({ error: "Unknown recording" });
+  res.json({ recording });
+});
+
+app.get("/api/recordings/:recordingId/download", (req, res) => {
+  const file = recordings.file(req.params.recordingId);
+  if (!file) return res.status(404).json({ error: "Unknown recording" });
+  res.type("application/x-ndjson");
+  res.attachment(path.basename(file));
+  fs.createReadStream(file).pipe(res);
+});
+
+app.delete("/api/recordings/:recordingId", requireRole("admin"), (req, res) => {
+  if (boxes.list().some((b) => b.recorder?.header.id === req.params.recordingId)) {
+    return res.status(409).json({ error: "Recording is in progress" });
+  }
+  try {
+    recordings.remove(req.params.recordingId);
+    res.json({ ok: true });
+  } catch (err) {
+    sendRecordingError(res, err);
+  }
+});
+
+/**
+ * Replay a recording `{ speed: 1 | 10 | 100 }` into a temporary box
+ * `replay-<recordingId>` (replacing an earlier replay of it). The box streams
+ * ticks like a live one; DELETE it when done.
+ */
+app.post("/api/recordings/:recordingId/replay", (req, res) => {
+  const speed = Number(req.body?.speed ?? 1);
+  if (!REPLAY_SPEEDS.includes(speed)) return res.status(400).json({ error: `speed must be one of ${REPLAY_SPEEDS.join(", ")}` });
+  let recording;
+  try {
+    recording = recordings.load(req.params.recordingId);
+  } catch (err) {
+    return sendRecordingError(res, err);
+  }
+
+  const { header } = recording;
+  const boxId = `replay-${header.id}`.slice(0, 64);
+  if (boxes.get(boxId)) {
+    boxes.remove(boxId);
+    broadcast({ type: "boxRemoved", boxId });
+  }
+  const box = boxes.addReplay(
+    {
+      id: boxId,
+      name: `Replay: ${header.name}`,
+      location: `Recorded from ${header.boxName} (${speed}×)`,
+      artifactType: header.config.artifactType,
+      controlMode: header.config.controlMode,
+    },
+    { dataDir: path.join(DATA_DIR, "replays"), replay: new ReplaySource(recording, { speed }) },
+  );
+  for (const reading of box.source.window) box.engine.ingest(reading);
+  broadcast({ type: "boxAdded", boxId: box.id, data: box.describe() });
+  logEvent(
+    box,
+    { id: crypto.randomUUID(), timestamp: nowIso(), kind: "RECORDING", recordingId: header.id, message: `Replaying ${header.name} at ${speed}×` },
+    req.user,
+  );
+  res.status(201).json({ ok: true, box: box.describe() });
+});
+
+/**
+ * How the replayed assessments compare with the recorded ones.
+ */
+app.get("/api/boxes/:id/replay", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  if (box.config.source !== "replay") return res.status(400).json({ error: "Not a replay box" });
+  res.json({ boxId: box.id, ...box.source.status(), comparison: box.source.comparison });
+});
+
+// --- Scenarios ---
+
+function sendScenarioError(res, err) {
+  if (!(err instanceof ScenarioError)) throw err;
+  res.status(err.status).json({ error: err.message, details: err.details });
+}
+
+app.get("/api/scenarios", (req, res) => {
+  res.json({ scenarios: scenarios.list(), invalid: scenarios.invalid, eventTypes: SCENARIO_EVENTS });
+});
+
+app.get("/api/scenarios/:scenarioId", (req, res) => {
+  const scenario = scenarios.describe(req.params.scenarioId);
+  if (!scenario) return res.status(404).json({ error: "Unknown scenario" });
+  res.json({ scenario, source: scenarios.source(req.params.scenarioId) });
+});
+
+// YAML uploads arrive as text; JSON is already parsed
+const YAML_TYPES = ["application/yaml", "application/x-yaml", "text/yaml"];
+
+app.post("/api/scenarios", express.text({ type: YAML_TYPES }), (req, res) => {
+  try {
+    const body = typeof req.body === "string" ? parseScenarioText(req.body, "yaml") : req.body;
+    const scenario = scenarios.save(body);
+    res.status(201).json({ scenario: scenarios.describe(scenario.id) });
+  } catch (err) {
+    sendScenarioError(res, err);
+  }
+});
+
+app.delete("/api/scenarios/:scenarioId", (req, res) => {
+  try {
+    scenarios.remove(req.params.scenarioId);
+    res.json({ ok: true });
+  } catch (err) {
+    sendScenarioError(res, err);
+  }
+});
+
+app.get("/api/boxes/:id/scenario", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  res.json({ boxId: box.id, scenario: box.scenario?.status(clock.now()) ?? null });
+});
+
+/**
+ * Start a scenario `{ scenarioId }` on a simulated box, replacing any running one.
+ */
+app.post("/api/boxes/:id/scenario", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  if (!box.simulator) return res.status(400).json({ error: "Scenarios can only run on simulated boxes" });
+  const scenario = scenarios.get(String(req.body?.scenarioId ?? ""));
+  if (!scenario) return res.status(404).json({ error: "Unknown scenario" });
+
+  box.scenario?.stop();
+  box.scenario = new ScenarioPlayer(box.simulator, scenario, clock.now());
+  logEvent(
+    box,
+    { id: crypto.randomUUID(), timestamp: nowIso(), kind: "SCENARIO", scenarioId: scenario.id, phase: "started", message: `Scenario ${scenario.name} started` },
+    req.user,
+  );
+  res.status(201).json({ ok: true, boxId: box.id, scenario: box.scenario.status(clock.now()) });
+});
+
+function changeScenario(req, res, phase, fn) {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  if (!box.scenario) return res.status(404).json({ error: "No scenario loaded" });
+  try {
+    fn(box.scenario);
+  } catch (err) {
+    return sendScenarioError(res, err);
+  }
+  const { id, name } = box.scenario.scenario;
+  logEvent(
+    box,
+    { id: crypto.randomUUID(), timestamp: nowIso(), kind: "SCENARIO", scenarioId: id, phase, message: `Scenario ${name} ${phase}` },
+    req.user,
+  );
+  res.json({ ok: true, boxId: box.id, scenario: box.scenario.status(clock.now()) });
+}
+
+app.post("/api/boxes/:id/scenario/pause", (req, res) => changeScenario(req, res, "paused", (p) => p.pause(clock.now())));
+app.post("/api/boxes/:id/scenario/resume", (req, res) => changeScenario(req, res, "resumed", (p) => p.resume(clock.now())));
+app.delete("/api/boxes/:id/scenario", (req, res) => changeScenario(req, res, "stopped", (p) => p.stop(clock.now())));
+
+// --- Manual actuator control ---
+
+app.post("/api/boxes/:id/actions", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  const { action, error } = buildManualAction(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const [entry] = applyActions(box, [action], {
+    reading: box.store.live?.reading,
+    standards: getStandards(box.config.artifactType),
+    kind: "MANUAL_ACTION",
+    actor: req.user,
+  });
+  res.status(201).json({ ok: true, boxId: box.id, entry });
+});
+
+app.get("/api/boxes/:id/commands", (req, res) => {
+  const box = boxFromRequest(req, res);
+  if (!box) return;
+  res.json({
+    boxId: box.id,
+    bridge: { enabled: Boolean(mqttBridge), connected: mqttBridge?.connected ?? false },
+    commands: mqttBridge?.getCommands(box.id, Number(req.query.limit) || 50) ?? [],
+  });
 });
 
 // --- WebSocket ---
-wss.on("connection", (ws) => {
-  ws.send(JSON.stringify({ type: "hello", data: { config, standards: getStandards(config.artifactType) } }));
-  const snap = snapshotForClients();
-  if (snap) ws.send(JSON.stringify({ type: "tick", data: snap }));
+
+app.get("/api/stream", requireRole("admin"), (req, res) => {
+  res.json(stream.status());
 });
 
-// --- Main loop (1Hz) ---
-setInterval(() => {
-  const reading = simulator.tick();
-  engine.ingest(reading);
-  const standards = getStandards(config.artifactType);
-  const assessment = engine.evaluate({ reading, standards });
+wss.on("connection", (ws, req) => stream.attach(ws, req));
+
+// --- Main loop (one reading per simulated box per second of clock time) ---
+function processReading(box, sensorReading, { broadcastTick = true } = {}) {
+  // Sensor health first, so faulty readings don't count as environmental risk
+  const health = box.sensorHealth.check(sensorReading);
+  for (const change of health.changes) sensorHealthEvent(box, change);
+
+  // + dew point, absolute humidity, dew-point margin
+  const reading = withPsychrometrics(sensorReading, health.faulty);
+  box.engine.ingest(reading);
+  // Replays are judged against the standards that were in effect when recorded
+  const standards = box.source.standardsAt?.(reading) ?? getStandards(box.config.artifactType);
+  const assessment = box.engine.evaluate({ reading, standards, health });
+  box.dose.add(reading, health.faulty);
+
+  for (const { event, incident } of box.incidents.observe({ reading, assessment, standards })) {
+    incidentEvent(box, event, incident);
+    if (event === "updated") continue;
+    logEvent(box, {
+      id: crypto.randomUUID(),
+      timestamp: nowIso(),
+      kind: "INCIDENT",
+      incidentId: incident.id,
+      message:
+        event === "opened"
+          ? `Incident opened: ${incident.metric} ${incident.severity.toUpperCase()} (${incident.startValue}).`
+          : `Incident resolved: ${incident.metric} back in range after ${Math.round(incident.durationSec / 60)} min (peak ${incident.peakValue}).`,
+    });
+  }
+
+  if (notifies(box)) notifier.observeRisk(box, assessment, clock.now());
 
-  // Apply actions (simulated auto-remediation)
-  if (assessment.actions.length) applyActions(assessment.actions, reading);
+  // Check earlier actions, then apply new ones (simulated auto-remediation) unless
+  // the box is in advisory or manual mode. Actions in flight, cooling down or at
+  // their duty limit are held back rather than repeated every tick.
+  const readingMs = Date.parse(reading.timestamp);
+  let executed = [];
+  for (const verdict of box.remediation.verify(reading, readingMs, health)) remediationVerdict(box, verdict);
+  if (box.config.controlMode === "manual") assessment.actions = [];
+  if (box.config.controlMode === "auto" && assessment.actions.length) {
+    const { run } = box.remediation.select(assessment.actions, readingMs);
+    if (run.length) executed = applyActions(box, run, { reading, standards, nowMs: readingMs });
+  }
 
   const tick = {
+    boxId: box.id,
     timestamp: reading.timestamp,
-    artifactType: config.artifactType,
-    demoMode: config.demoMode,
+    artifactType: box.config.artifactType,
+    demoMode: box.config.demoMode,
+    controlMode: box.config.controlMode, // "advisory": assessment.actions are suggestions only
     reading,
     standards,
     assessment, // includes riskScore 0..100
+    dose: box.dose.summary(),
   };
 
-  store.setLive(tick);
-  broadcast({ type: "tick", data: tick });
+  box.store.setLive(tick);
+  box.store.appendReading(reading);
+  box.store.appendAssessment(tick);
+  box.recorder?.write(tick, executed);
+  box.source.compare?.(reading, assessment);
+  if (broadcastTick) broadcast({ type: "tick", boxId: box.id, data: tick });
+}
+
+/**
+ * Log + broadcast when a box's source goes live, stale, etc.
+ */
+function checkSourceState(box, nowMs) {
+  const status = box.source.status(nowMs);
+  if (status.state === box.sourceState) return;
+  const previous = box.sourceState;
+  box.sourceState = status.state;
+  broadcast({ type: "source", boxId: box.id, data: status });
+  if (previous === null && status.state !== "stale") return;
+
+  logEvent(box, {
+    id: crypto.randomUUID(),
+    timestamp: nowIso(),
+    kind: "SOURCE",
+    message:
+      status.state === "stale"
+        ? `No readings from ${box.name} for over ${Math.round(box.source.staleAfterMs / 1000)}s (last ${status.lastReadingAt ?? "never"}).`
+        : status.state === "finished"
+          ? `${box.name} finished replaying (${status.progress.total} ticks).`
+          : `${box.name} is reporting again (${status.kind}).`,
+  });
+}
+
+// Real boxes (ingest, MQTT) go stale by wall time even when the simulation runs faster.
+function tickBox(box, nowMs, { broadcastTick = true } = {}) {
+  for (const happened of box.scenario?.advance(nowMs) ?? []) scenarioEvent(box, happened);
+  for (const reading of box.source.poll(nowMs)) processReading(box, reading, { broadcastTick });
+  checkSourceState(box, Date.now());
+}
 
-  // Add a slow-roll point to 24h history every minute
-  const ms = Date.parse(reading.timestamp);
-  if (ms % 60_000 < 1_000) store.appendToHistory("24h", reading);
-  if (ms % (30 * 60_000) < 1_000) store.appendToHistory("7d", reading);
-}, 1000);
+// A virtual clock is advanced here in whole steps, `speed` steps per real second.
+// At most MAX_STEPS_PER_LOOP run per loop (enough for MAX_SPEED), so a speed the
+// machine can't keep up with just runs as fast as it can. Only the last step's
+// ticks are broadcast.
+const STEP_MS = 1000;
+const LOOP_MS = clock.kind === "virtual" ? 100 : 1000;
+const MAX_STEPS_PER_LOOP = Math.ceil((MAX_SPEED * LOOP_MS) / STEP_MS);
+let owedMs = 0; // simulated time the loop still has to catch up on
+let lastLoopMs = Date.now();
+
+setInterval(() => {
+  const realMs = Date.now();
+  if (clock.kind === "virtual") {
+    owedMs = Math.min(owedMs + (realMs - lastLoopMs) * clock.speed, MAX_STEPS_PER_LOOP * STEP_MS);
+    const steps = Math.floor(owedMs / STEP_MS);
+    owedMs -= steps * STEP_MS;
+    for (let step = 1; step <= steps; step++) {
+      clock.advance(STEP_MS);
+      for (const box of boxes.list()) tickBox(box, clock.now(), { broadcastTick: step === steps });
+    }
+  } else {
+    for (const box of boxes.list()) tickBox(box, clock.now());
+  }
+  lastLoopMs = realMs;
+  mqttBridge?.sweep(realMs);
+  notifier.sweep(clock.now());
+  monthlyReports.sweep(boxes.list(), clock.now());
+}, LOOP_MS);
+
+// Persist partially-filled history buckets before exiting.
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    for (const box of boxes.list()) box.flush();
+    mqttBridge?.stop();
+    process.exit(0);
+  });
+}
+
+const generatedAdminKey = keys.bootstrap(process.env.CONSERVEBOT_ADMIN_KEY);
 
 server.listen(PORT, () => {
   // eslint-disable-next-line no-console
   console.log(`ConserveBot backend listening on http://localhost:${PORT}`);
   // eslint-disable-next-line no-console
   console.log(`WebSocket stream at ws://localhost:${PORT}/ws`);
+  if (generatedAdminKey) {
+    // eslint-disable-next-line no-console
+    console.log(`Created admin API key (shown once, keep it safe): ${generatedAdminKey}`);
+  }
 });
 
@@ -1,4 +1,5 @@
 import { clamp, rand, randn } from "./utils.js";
+import { SystemClock } from "./clock.js";
 import { getStandards } from "./standards.js";
 
 /**
@@ -13,6 +14,36 @@ export const DEMO_MODES = /** @type {const} */ ([
   "remediation",
 ]);
 
+/**
+ * SENSOR FAULTS (for exercising sensorHealth.js)
+ * - stuck: keeps reporting the value it had when the fault started
+ * - jump: every other reading is off by a large offset
+ * - pinned: reports the physical clamp (e.g. 95% humidity)
+ * - missing: reports null
+ */
+export const SENSOR_FAULTS = /** @type {const} */ (["stuck", "jump", "pinned", "missing"]);
+
+// Reading field → [clamp min, clamp max, jump offset]. `null` = no jump fault
+// (vibration bumps are instant, so sensorHealth.js doesn't treat them as jumps).
+const FAULT_FIELDS = {
+  temperatureC: [5, 35, 6],
+  humidityPct: [5, 95, 20],
+  moisturePct: [0, 20, 5],
+  vibration: [0, 1, null],
+};
+
+/**
+ * Whether `kind` can be injected into `field`.
+ */
+export function supportsFault(field, kind) {
+  return Object.hasOwn(FAULT_FIELDS, field) && SENSOR_FAULTS.includes(kind) && (kind !== "jump" || FAULT_FIELDS[field][2] !== null);
+}
+
+// Walls/shelves sit slightly below air temperature and take minutes to follow it.
+const SURFACE_OFFSET_C = 0.3;
+const SURFACE_LAG = 0.01; // fraction of the gap closed per tick (~100 s time constant)
+const DOOR_HUMIDITY_INFLUX = 0.04; // %RH per tick while the door is open
+
 function midpoint([a, b]) {
   return (a + b) / 2;
 }
@@ -21,13 +52,19 @@ function midpoint([a, b]) {
  * Simulator produces realistic-ish sensor readings:
  * - temperature/humidity are random walks with drift
  * - moisture follows humidity (slowly)
- * - access is event-based (open/close + frequency)
+ * - box surfaces follow air temperature with a lag (thermal mass)
+ * - access is event-based (open/close + frequency); an open door lets room air in
  * - vibration is usually low with occasional bumps
+ *
+ * Randomness comes from `random` (e.g. `seededRandom(seed)` from utils.js) and
+ * "now" from `clock` (see clock.js), so a seeded run can be replayed exactly.
  */
 export class Simulator {
-  constructor({ artifactType = "FOSSILS", demoMode = "normal" } = {}) {
+  constructor({ artifactType = "FOSSILS", demoMode = "normal", random = Math.random, clock = new SystemClock() } = {}) {
     this.artifactType = artifactType;
     this.demoMode = demoMode;
+    this.random = random;
+    this.clock = clock;
 
     this.controls = {
       // “Actuators” (what auto-remediation can change)
@@ -37,9 +74,72 @@ export class Simulator {
       accessLockedUntilMs: 0,
     };
 
+    this.faults = {}; // field → { kind, untilMs, value }
+    this.scenarioEffects = null; // set by a ScenarioPlayer (see scenarios.js)
+    this.lastTickMs = null;
+    this.historyAnchor = null; // starting state while generating history
     this._initState();
   }
 
+  /**
+   * What a running scenario does on every tick:
+   * `{ driftPerMin: { field: rate }, door: "open" | "closed" | null, vibration: level | null, failedActions: [type] }`.
+   * `null` = no scenario.
+   */
+  setScenarioEffects(effects) {
+    this.scenarioEffects = effects;
+  }
+
+  /**
+   * Step change of a state field (scenario "set" events).
+   */
+  setValue(field, value) {
+    this.state[field] = value;
+  }
+
+  /**
+   * Make one sensor misbehave for `durationSec` (0 = until cleared).
+   */
+  injectFault(field, kind, { durationSec = 0, nowMs = this.clock.now() } = {}) {
+    this.faults[field] = { kind, untilMs: durationSec > 0 ? nowMs + durationSec * 1000 : Infinity, value: null };
+  }
+
+  clearFaults(field) {
+    if (field) delete this.faults[field];
+    else this.faults = {};
+  }
+
+  listFaults(nowMs = this.clock.now()) {
+    return Object.entries(this.faults)
+      .filter(([, f]) => f.untilMs > nowMs)
+      .map(([field, f]) => ({ field, kind: f.kind, until: Number.isFinite(f.untilMs) ? new Date(f.untilMs).toISOString() : null }));
+  }
+
+  /**
+   * Apply injected faults to an otherwise healthy reading.
+   */
+  _applyFaults(reading, nowMs) {
+    for (const [field, fault] of Object.entries(this.faults)) {
+      if (nowMs >= fault.untilMs) {
+        delete this.faults[field];
+        continue;
+      }
+      const [lo, hi, offset] = FAULT_FIELDS[field];
+      if (fault.kind === "stuck") {
+        fault.value ??= reading[field];
+        reading[field] = fault.value;
+      } else if (fault.kind === "jump") {
+        fault.flip = !fault.flip;
+        if (fault.flip) reading[field] = Math.min(hi, reading[field] + offset);
+      } else if (fault.kind === "pinned") {
+        reading[field] = field === "moisturePct" ? lo : hi;
+      } else if (fault.kind === "missing") {
+        reading[field] = null;
+      }
+    }
+    return reading;
+  }
+
   setArtifactType(artifactType) {
     this.artifactType = artifactType;
     this._initState();
@@ -50,9 +150,12 @@ export class Simulator {
     this._initState();
   }
 
-  applyAction(actionType) {
+  applyAction(actionType, { durationMin = 10, nowMs = this.clock.now() } = {}) {
+    // A scenario can make an actuator stop responding
+    if (this.scenarioEffects?.failedActions.includes(actionType)) return;
+
     // These are “simulation knobs” so actions have visible effect.
-    const now = Date.now();
+    const now = nowMs;
     switch (actionType) {
       case "ADJUST_TEMP_DOWN":
         this.controls.tempBiasC -= 0.15;
@@ -76,6 +179,12 @@ export class Simulator {
           now + 10 * 60_000,
         );
         break;
+      case "LOCK_ACCESS":
+        this.controls.accessLockedUntilMs = Math.max(
+          this.controls.accessLockedUntilMs,
+          now + durationMin * 60_000,
+        );
+        break;
       default:
         break;
     }
@@ -91,32 +200,33 @@ export class Simulator {
     const start = (() => {
       if (this.demoMode === "remediation") {
         return {
-          temperatureC: baseT + rand(2.5, 4.0),
-          humidityPct: baseH + rand(8, 15),
-          moisturePct: baseM + rand(1.5, 3.0),
+          temperatureC: baseT + rand(2.5, 4.0, this.random),
+          humidityPct: baseH + rand(8, 15, this.random),
+          moisturePct: baseM + rand(1.5, 3.0, this.random),
         };
       }
       if (this.demoMode === "atRisk") {
         return {
-          temperatureC: baseT + rand(0.5, 1.5),
-          humidityPct: baseH + rand(3, 6),
-          moisturePct: baseM + rand(0.5, 1.2),
+          temperatureC: baseT + rand(0.5, 1.5, this.random),
+          humidityPct: baseH + rand(3, 6, this.random),
+          moisturePct: baseM + rand(0.5, 1.2, this.random),
         };
       }
       return {
-        temperatureC: baseT + rand(-0.4, 0.4),
-        humidityPct: baseH + rand(-1.5, 1.5),
-        moisturePct: baseM + rand(-0.3, 0.3),
+        temperatureC: baseT + rand(-0.4, 0.4, this.random),
+        humidityPct: baseH + rand(-1.5, 1.5, this.random),
+        moisturePct: baseM + rand(-0.3, 0.3, this.random),
       };
     })();
 
     this.state = {
       temperatureC: start.temperatureC,
+      surfaceTempC: start.temperatureC - SURFACE_OFFSET_C,
       humidityPct: start.humidityPct,
       moisturePct: start.moisturePct,
 
       doorState: "closed",
-      lastDoorToggleMs: Date.now(),
+      lastDoorToggleMs: this.clock.now(),
       opensInLastHour: [], // timestamps (ms) of "open" events
 
       vibration: 0,
@@ -126,42 +236,68 @@ export class Simulator {
   /**
    * Generates a single reading at `nowMs`.
    */
-  tick(nowMs = Date.now()) {
+  tick(nowMs = this.clock.now()) {
     const std = getStandards(this.artifactType);
 
-    // Drift targets depend on demo mode
+    // Drift targets depend on demo mode. History is generated for a box that was
+    // being looked after, so it hovers around the starting conditions instead.
     const drift = (() => {
+      const anchor = this.historyAnchor;
+      if (anchor) {
+        return { t: (anchor.temperatureC - this.state.temperatureC) * 0.05, h: (anchor.humidityPct - this.state.humidityPct) * 0.05 };
+      }
       if (this.demoMode === "atRisk") return { t: +0.004, h: +0.02 };
       if (this.demoMode === "remediation") return { t: -0.002, h: -0.01 }; // let remediation actions pull it down
       return { t: 0, h: 0 };
     })();
 
     // Temperature: random walk + drift + control bias
-    this.state.temperatureC += randn() * 0.03 + drift.t + this.controls.tempBiasC * 0.02;
+    this.state.temperatureC += randn(this.random) * 0.03 + drift.t + this.controls.tempBiasC * 0.02;
     // Humidity: random walk + drift + control bias + airflow effect
     const airflowEffect = this.controls.airflowBoost * -0.03;
     this.state.humidityPct +=
-      randn() * 0.10 + drift.h + this.controls.humidityBiasPct * 0.03 + airflowEffect;
+      randn(this.random) * 0.10 + drift.h + this.controls.humidityBiasPct * 0.03 + airflowEffect;
 
     // Moisture follows humidity slowly (plus noise)
     const moistureTarget =
       (this.state.humidityPct - midpoint(std.humidityPct.safe)) * 0.04 +
       Math.min(std.moisturePct.safeMax - 0.8, std.moisturePct.safeMax);
-    this.state.moisturePct += (moistureTarget - this.state.moisturePct) * 0.02 + randn() * 0.02;
+    this.state.moisturePct += (moistureTarget - this.state.moisturePct) * 0.02 + randn(this.random) * 0.02;
+
+    // Room air coming in through an open door
+    if (this.state.doorState === "open") this.state.humidityPct += DOOR_HUMIDITY_INFLUX;
+
+    // Scenario drifts are per minute of simulated time
+    const effects = this.scenarioEffects;
+    const elapsedMin = this.lastTickMs === null ? 1 / 60 : clamp((nowMs - this.lastTickMs) / 60_000, 0, 1);
+    this.lastTickMs = nowMs;
+    for (const [field, ratePerMin] of Object.entries(effects?.driftPerMin ?? {})) {
+      this.state[field] += ratePerMin * elapsedMin;
+    }
 
     // Keep in plausible physical bounds
     this.state.temperatureC = clamp(this.state.temperatureC, 5, 35);
     this.state.humidityPct = clamp(this.state.humidityPct, 5, 95);
     this.state.moisturePct = clamp(this.state.moisturePct, 0, 20);
 
+    // Surfaces lag behind the air
+    this.state.surfaceTempC += (this.state.temperatureC - SURFACE_OFFSET_C - this.state.surfaceTempC) * SURFACE_LAG;
+
     // Access activity (door open/close)
     const accessLocked = nowMs < this.controls.accessLockedUntilMs;
     const canToggle = nowMs - this.state.lastDoorToggleMs > 10_000; // avoid rapid flicker
 
-    if (!accessLocked && canToggle) {
+    if (effects?.door) {
+      // Held open/closed by a scenario, lock or not
+      if (this.state.doorState !== effects.door) {
+        this.state.doorState = effects.door;
+        this.state.lastDoorToggleMs = nowMs;
+        if (effects.door === "open") this.state.opensInLastHour.push(nowMs);
+      }
+    } else if (!accessLocked && canToggle) {
       const baseChance = this.demoMode === "normal" ? 0.01 : this.demoMode === "atRisk" ? 0.03 : 0.05;
       const toggleChance = this.state.doorState === "closed" ? baseChance : 0.08; // if open, more likely to close
-      if (Math.random() < toggleChance) {
+      if (this.random() < toggleChance) {
         this.state.doorState = this.state.doorState === "closed" ? "open" : "closed";
         this.state.lastDoorToggleMs = nowMs;
         if (this.state.doorState === "open") this.state.opensInLastHour.push(nowMs);
@@ -178,20 +314,25 @@ export class Simulator {
 
     // Vibration spikes occasionally
     const bumpChance = this.demoMode === "normal" ? 0.01 : this.demoMode === "atRisk" ? 0.02 : 0.03;
-    const bump = Math.random() < bumpChance ? rand(0.3, 0.9) : 0;
+    const bump = this.random() < bumpChance ? rand(0.3, 0.9, this.random) : 0;
     const decay = 0.85;
-    this.state.vibration = clamp(this.state.vibration * decay + bump + randn() * 0.01, 0, 1);
-
-    return {
-      timestamp: new Date(nowMs).toISOString(),
-      temperatureC: Number(this.state.temperatureC.toFixed(2)),
-      humidityPct: Number(this.state.humidityPct.toFixed(1)),
-      moisturePct: Number(this.state.moisturePct.toFixed(2)),
-      doorState: this.state.doorState,
-      opensPerHour: this.state.opensInLastHour.length,
-      vibration: Number(this.state.vibration.toFixed(2)),
-      accessLocked,
-    };
+    this.state.vibration = clamp(this.state.vibration * decay + bump + randn(this.random) * 0.01, 0, 1);
+    if (effects?.vibration) this.state.vibration = Math.max(this.state.vibration, clamp(effects.vibration * rand(0.85, 1, this.random), 0, 1));
+
+    return this._applyFaults(
+      {
+        timestamp: new Date(nowMs).toISOString(),
+        temperatureC: Number(this.state.temperatureC.toFixed(2)),
+        surfaceTempC: Number(this.state.surfaceTempC.toFixed(2)),
+        humidityPct: Number(this.state.humidityPct.toFixed(1)),
+        moisturePct: Number(this.state.moisturePct.toFixed(2)),
+        doorState: this.state.doorState,
+        opensPerHour: this.state.opensInLastHour.length,
+        vibration: Number(this.state.vibration.toFixed(2)),
+        accessLocked,
+      },
+      nowMs,
+    );
   }
 
   /**
@@ -199,7 +340,9 @@ export class Simulator {
    * These are “pre-baked” so the dashboard looks full right away.
    */
   generateHistory() {
-    const now = Date.now();
+    const now = this.clock.now();
+    const start = structuredClone(this.state);
+    this.historyAnchor = start;
 
     const history24h = [];
     for (let i = 24 * 60; i >= 0; i--) {
@@ -211,6 +354,10 @@ export class Simulator {
       history7d.push(this.tick(now - i * 30 * 60_000));
     }
 
+    // Live readings pick up from the starting conditions
+    this.historyAnchor = null;
+    this.state = start;
+    this.lastTickMs = null;
     return { history24h, history7d };
   }
 }
@@ -0,0 +1,127 @@
+import { validateReading } from "./readings.js";
+
+/**
+ * Data sources: where a box's readings come from.
+ *
+ * Every source exposes the same small surface so the main loop can treat
+ * simulated and real boxes identically:
+ * - `poll(nowMs)` → readings to process this tick (oldest first)
+ * - `applyAction(action, nowMs)` → forward a remediation action to the box
+ *   (returns the MQTT command, if there is one)
+ * - `status(nowMs)` → `{ kind, state, lastReadingAt }`
+ */
+
+export const SOURCE_KINDS = /** @type {const} */ (["simulator", "ingest", "mqtt"]);
+
+// An ingest box with no readings for this long is reported as "stale".
+export const STALE_AFTER_MS = 30_000;
+
+export class SimulatorSource {
+  constructor(simulator) {
+    this.kind = "simulator";
+    this.simulator = simulator;
+    this.lastReadingAt = null;
+  }
+
+  poll(nowMs) {
+    const reading = this.simulator.tick(nowMs);
+    this.lastReadingAt = reading.timestamp;
+    return [reading];
+  }
+
+  applyAction(action, nowMs) {
+    this.simulator.applyAction(action.type, { ...action, nowMs });
+  }
+
+  status() {
+    return { kind: this.kind, state: "live", lastReadingAt: this.lastReadingAt };
+  }
+}
+
+/**
+ * Readings pushed from outside (HTTP now, other transports later).
+ * Validated on arrival, queued, and drained by the main loop.
+ */
+export class IngestSource {
+  constructor({ staleAfterMs = STALE_AFTER_MS } = {}) {
+    this.kind = "ingest";
+    this.staleAfterMs = staleAfterMs;
+    this.queue = [];
+    this.lastTimestampMs = -Infinity; // newest accepted reading time
+    this.lastReceivedMs = null; // server time of the last accepted push
+    this.lastReadingAt = null;
+  }
+
+  /**
+   * Validate and queue readings. A batch is sorted by timestamp first, so
+   * only readings older than (or equal to) what was already accepted are
+   * rejected as out of order (or duplicate).
+   *
+   * Returns `{ accepted, rejected: [{ index, reason, errors? }] }` where
+   * `index` points into `inputs`.
+   */
+  push(inputs, nowMs = Date.now()) {
+    const rejected = [];
+    const valid = [];
+    inputs.forEach((input, index) => {
+      const { reading, errors } = validateReading(input, nowMs);
+      if (errors) rejected.push({ index, reason: "invalid", errors });
+      else valid.push({ index, reading, ms: Date.parse(reading.timestamp) });
+    });
+
+    valid.sort((a, b) => a.ms - b.ms);
+    let accepted = 0;
+    for (const { index, reading, ms } of valid) {
+      if (ms === this.lastTimestampMs) {
+        rejected.push({ index, reason: "duplicate" });
+        continue;
+      }
+      if (ms < this.lastTimestampMs) {
+        rejected.push({ index, reason: "out_of_order" });
+        continue;
+      }
+      this.queue.push(reading);
+      this.lastTimestampMs = ms;
+      this.lastReadingAt = reading.timestamp;
+      accepted++;
+    }
+    if (accepted) this.lastReceivedMs = nowMs;
+
+    rejected.sort((a, b) => a.index - b.index);
+    return { accepted, rejected };
+  }
+
+  poll() {
+    const readings = this.queue;
+    this.queue = [];
+    return readings;
+  }
+
+  applyAction() {
+    // No actuator link for HTTP-pushed readings; the action is still logged.
+  }
+
+  status(nowMs = Date.now()) {
+    let state = "waiting";
+    if (this.lastReceivedMs !== null) {
+      state = nowMs - this.lastReceivedMs > this.staleAfterMs ? "stale" : "live";
+    }
+    return { kind: this.kind, state, lastReadingAt: this.lastReadingAt };
+  }
+}
+
+/**
+ * Readings arrive over MQTT telemetry; actions go back out as MQTT commands.
+ */
+export class MqttSource extends IngestSource {
+  constructor({ boxId, bridge, ...options }) {
+    super(options);
+    this.kind = "mqtt";
+    this.boxId = boxId;
+    this.bridge = bridge;
+  }
+
+  applyAction(action) {
+    return this.bridge?.publishCommand(this.boxId, action) ?? null;
+  }
+}
@@ -1,8 +1,19 @@
+import fs from "fs";
+import path from "path";
+
+import { nowIso } from "./utils.js";
+
 /**
  * Preservation standards (configurable per artifact type).
  *
- * This is intentionally small + readable: it’s a prototype for demos.
- * In a real system you might load these from a database or a standards file.
+ * The four built-in types below seed a `ProfileRegistry`. Conservators can
+ * then create, edit, clone and retire profiles through the API; every edit
+ * is a new version, and old versions stay readable so past assessments can
+ * be traced to the exact standards they were judged against.
+ *
+ * Each profile also carries its `riskModel`: how the engine turns readings
+ * into a risk score (see engine.js). Profiles saved before it existed use
+ * `DEFAULT_RISK_MODEL`.
  */
 
 export const ARTIFACT_TYPES = /** @type {const} */ ([
@@ -53,7 +64,297 @@ export const STANDARDS_BY_TYPE = {
   },
 };
 
-export function getStandards(artifactType) {
-  return STANDARDS_BY_TYPE[artifactType] ?? STANDARDS_BY_TYPE.FOSSILS;
+export const STANDARD_KEYS = ["temperatureC", "humidityPct", "moisturePct", "access", "vibration"];
+
+/**
+ * Risk scoring parameters:
+ * - `weights` – each metric's share of the score (re-normalized, so they
+ *   needn't add up to 1)
+ * - `trend` – humidity slopes (%/min) that add `risingPoints`, and on top
+ *   `fastPoints`
+ * - `amplifiers` – points for an open door, a locked door (usually negative)
+ *   and condensation warn/danger
+ * - `maxedDistance` – how far past the warn bound a value has to be for the
+ *   metric's risk to reach 100
+ * - `actionMinScore` – below this score actions are held back
+ */
+export const DEFAULT_RISK_MODEL = {
+  weights: { temperature: 0.22, humidity: 0.28, moisture: 0.22, access: 0.16, vibration: 0.12 },
+  trend: { humidityRisingPerMin: 0.08, risingPoints: 8, humidityFastPerMin: 0.15, fastPoints: 12 },
+  amplifiers: { doorOpen: 4, accessLocked: -3, condensationWarn: 6, condensationDanger: 15 },
+  maxedDistance: { temperatureC: 5, humidityPct: 5, moisturePct: 3 },
+  actionMinScore: 45,
+};
+
+const RISK_MODEL_SECTIONS = ["weights", "trend", "amplifiers", "maxedDistance"];
+
+function isNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+function checkRange(name, range, errors) {
+  const { safe, warn } = range ?? {};
+  const isPair = (r) => Array.isArray(r) && r.length === 2 && r.every(isNum) && r[0] <= r[1];
+  if (!isPair(safe)) errors.push(`${name}.safe must be [min, max]`);
+  else if (!isPair(warn)) errors.push(`${name}.warn must be [min, max]`);
+  else if (warn[0] > safe[0] || safe[1] > warn[1]) errors.push(`${name}.safe must lie inside ${name}.warn`);
+}
+
+function checkMax(name, value, [safeKey, warnKey], errors) {
+  const safe = value?.[safeKey];
+  const warn = value?.[warnKey];
+  if (!isNum(safe) || safe < 0) errors.push(`${name}.${safeKey} must be a number >= 0`);
+  else if (!isNum(warn) || warn < safe) errors.push(`${name}.${warnKey} must be a number >= ${name}.${safeKey}`);
+}
+
+// Each section must have exactly the default's keys, with numbers `ok` accepts
+function checkSection(name, value, ok, expected, errors) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    errors.push(`riskModel.${name} must be an object`);
+    return;
+  }
+  for (const key of Object.keys(value)) {
+    if (!(key in DEFAULT_RISK_MODEL[name])) errors.push(`riskModel.${name}.${key} is not a known setting`);
+  }
+  for (const key of Object.keys(DEFAULT_RISK_MODEL[name])) {
+    if (!isNum(value[key]) || !ok(value[key])) errors.push(`riskModel.${name}.${key} must be ${expected}`);
+  }
+}
+
+/**
+ * Validate a risk model. Returns a list of error strings (empty = valid).
+ */
+export function validateRiskModel(model) {
+  if (!model || typeof model !== "object") return ["riskModel must be an object"];
+  const errors = [];
+  for (const key of Object.keys(model)) {
+    if (!(key in DEFAULT_RISK_MODEL)) errors.push(`riskModel.${key} is not a known setting`);
+  }
+
+  const points = (x) => x >= -100 && x <= 100;
+  checkSection("weights", model.weights, (x) => x >= 0, "a number >= 0", errors);
+  checkSection("trend", model.trend, (x) => x >= 0 && x <= 100, "a number from 0 to 100", errors);
+  checkSection("amplifiers", model.amplifiers, points, "a number from -100 to 100", errors);
+  checkSection("maxedDistance", model.maxedDistance, (x) => x > 0, "a number > 0", errors);
+  if (!isNum(model.actionMinScore) || model.actionMinScore < 0 || model.actionMinScore > 100) {
+    errors.push("riskModel.actionMinScore must be a number from 0 to 100");
+  }
+  if (errors.length) return errors;
+
+  if (Object.values(model.weights).every((w) => w === 0)) errors.push("riskModel.weights must not all be 0");
+  if (model.trend.humidityFastPerMin < model.trend.humidityRisingPerMin) {
+    errors.push("riskModel.trend.humidityFastPerMin must be >= riskModel.trend.humidityRisingPerMin");
+  }
+  return errors;
+}
+
+/**
+ * Merge a (partial) risk model change into `current`, section by section.
+ */
+function mergeRiskModel(current, changes) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) return changes;
+  const merged = { ...current, ...changes };
+  for (const section of RISK_MODEL_SECTIONS) {
+    const change = changes[section];
+    if (change && typeof change === "object" && !Array.isArray(change)) merged[section] = { ...current[section], ...change };
+  }
+  return merged;
+}
+
+/**
+ * Validate a standards body. Returns a list of error strings (empty = valid).
+ */
+export function validateStandards(std) {
+  const errors = [];
+  if (!std || typeof std !== "object") return ["standards must be an object"];
+  if (typeof std.label !== "string" || !std.label.trim()) errors.push("label is required");
+
+  checkRange("temperatureC", std.temperatureC, errors);
+  checkRange("humidityPct", std.humidityPct, errors);
+
+  checkMax("moisturePct", std.moisturePct, ["safeMax", "warnMax"], errors);
+  checkMax("access", std.access, ["maxOpensPerHourSafe", "maxOpensPerHourWarn"], errors);
+  checkMax("vibration", std.vibration, ["safeMax", "warnMax"], errors);
+  if (isNum(std.vibration?.warnMax) && std.vibration.warnMax > 1) errors.push("vibration.warnMax must be <= 1");
+  errors.push(...validateRiskModel(std.riskModel));
+  return errors;
 }
 
+function pickStandards(body) {
+  const out = { label: body.label };
+  for (const k of STANDARD_KEYS) out[k] = body[k];
+  out.riskModel = body.riskModel ?? DEFAULT_RISK_MODEL;
+  return structuredClone(out);
+}
+
+export class ProfileError extends Error {
+  constructor(message, status = 400, details = undefined) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * All standards profiles, with their full version history.
+ * Persisted to `<dataDir>/standards.json` once `load()` has been called.
+ */
+export class ProfileRegistry {
+  constructor() {
+    this.file = null;
+    this.profiles = new Map(); // id → { id, builtIn, retired, createdAt, versions: [...] }
+    this._seedBuiltIns();
+  }
+
+  _seedBuiltIns() {
+    for (const id of ARTIFACT_TYPES) {
+      if (this.profiles.has(id)) continue;
+      this.profiles.set(id, {
+        id,
+        builtIn: true,
+        retired: false,
+        createdAt: nowIso(),
+        versions: [{ version: 1, updatedAt: nowIso(), note: "Built-in default", ...pickStandards(STANDARDS_BY_TYPE[id]) }],
+      });
+    }
+  }
+
+  load(dataDir) {
+    this.file = path.join(dataDir, "standards.json");
+    if (fs.existsSync(this.file)) {
+      const saved = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      this.profiles = new Map(saved.profiles.map((p) => [p.id, p]));
+      this._seedBuiltIns();
+    }
+    this.save();
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ profiles: [...this.profiles.values()] }, null, 2));
+  }
+
+  has(id) {
+    return this.profiles.has(id);
+  }
+
+  isActive(id) {
+    return this.profiles.has(id) && !this.profiles.get(id).retired;
+  }
+
+  /**
+   * Standards for a profile (`{ id, version, label, temperatureC, ... }`),
+   * at the latest version unless `version` is given. Null when unknown.
+   */
+  get(id, version = undefined) {
+    const profile = this.profiles.get(id);
+    if (!profile) return null;
+    const v = version === undefined ? profile.versions.at(-1) : profile.versions.find((x) => x.version === version);
+    if (!v) return null;
+    const { updatedAt, note, version: num, ...standards } = v;
+    return { id, version: num, ...standards, riskModel: structuredClone(standards.riskModel ?? DEFAULT_RISK_MODEL) };
+  }
+
+  describe(id) {
+    const profile = this.profiles.get(id);
+    if (!profile) return null;
+    const current = profile.versions.at(-1);
+    return {
+      id,
+      label: current.label,
+      version: current.version,
+      builtIn: profile.builtIn,
+      retired: profile.retired,
+      createdAt: profile.createdAt,
+      updatedAt: current.updatedAt,
+    };
+  }
+
+  list({ includeRetired = false } = {}) {
+    return [...this.profiles.keys()].map((id) => this.describe(id)).filter((p) => includeRetired || !p.retired);
+  }
+
+  versions(id) {
+    return this.profiles.get(id)?.versions.map(({ version, updatedAt, note, label }) => ({ version, updatedAt, note, label })) ?? null;
+  }
+
+  _require(id) {
+    const profile = this.profiles.get(id);
+    if (!profile) throw new ProfileError("Unknown profile", 404);
+    return profile;
+  }
+
+  create({ id, note, ...body }) {
+    const profileId = id ? String(id) : slugify(body.label ?? "");
+    if (!/^[A-Z0-9_]{1,64}$/.test(profileId)) throw new ProfileError("Profile id must be A-Z, 0-9 or _");
+    if (this.profiles.has(profileId)) throw new ProfileError("Profile already exists", 409);
+
+    const standards = pickStandards(body);
+    const errors = validateStandards(standards);
+    if (errors.length) throw new ProfileError("Invalid standards", 400, errors);
+
+    this.profiles.set(profileId, {
+      id: profileId,
+      builtIn: false,
+      retired: false,
+      createdAt: nowIso(),
+      versions: [{ version: 1, updatedAt: nowIso(), note: note ?? "Created", ...standards }],
+    });
+    this.save();
+    return this.get(profileId);
+  }
+
+  /**
+   * Apply a (possibly partial) change as a new version.
+   */
+  update(id, { note, ...changes }) {
+    const profile = this._require(id);
+    const { id: _id, version, ...current } = this.get(id);
+    const riskModel = "riskModel" in changes ? mergeRiskModel(current.riskModel, changes.riskModel) : current.riskModel;
+    const standards = pickStandards({ ...current, ...changes, riskModel });
+    const errors = validateStandards(standards);
+    if (errors.length) throw new ProfileError("Invalid standards", 400, errors);
+
+    profile.versions.push({ version: version + 1, updatedAt: nowIso(), note: note ?? "Edited", ...standards });
+    this.save();
+    return this.get(id);
+  }
+
+  clone(id, { id: newId, label, note } = {}) {
+    const { id: _id, version, ...source } = this.get(this._require(id).id);
+    return this.create({
+      ...source,
+      id: newId,
+      label: label ?? `${source.label} (copy)`,
+      note: note ?? `Cloned from ${id} v${version}`,
+    });
+  }
+
+  setRetired(id, retired) {
+    const profile = this._require(id);
+    profile.retired = retired;
+    this.save();
+    return this.describe(id);
+  }
+}
+
+function slugify(label) {
+  return label
+    .normalize("NFKD")
+    .replace(/[^\w\s-]/g, "")
+    .trim()
+    .toUpperCase()
+    .replace(/[\s-]+/g, "_")
+    .slice(0, 64);
+}
+
+export const profiles = new ProfileRegistry();
+
+/**
+ * Standards for a profile id (latest version, or a specific `version`).
+ * Returns null for unknown ids — callers decide how to handle that.
+ */
+export function getStandards(artifactType, version = undefined) {
+  return profiles.get(artifactType, version);
+}
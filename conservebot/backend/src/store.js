@@ -1,52 +1,374 @@
+import path from "path";
 import { clamp } from "./utils.js";
+import { SegmentLog } from "./segments.js";
 
 /**
- * Tiny in-memory store for a demo.
+ * File-backed time-series store for one box.
  *
- * - `live` holds the latest reading + AI assessment
- * - `history24h` is 24 hours of 1-minute points
- * - `history7d` is 7 days of 30-minute points
+ * - `live` holds the latest reading + AI assessment (memory only)
+ * - `raw` keeps every 1 Hz reading for `retention.rawHours`
+ * - `1m` / `30m` roll readings up into buckets with min/max/avg per metric
+ * - `assessments` keeps a compact assessment per minute (and on every risk
+ *   level change) for exports
  * - `logs` stores “what happened” (alerts + auto-remediation)
+ * - `events` keeps door openings and closings (for chart markers)
+ *
+ * Everything except `live` is an append-only segment log on disk, so a
+ * backend restart picks up where it left off.
+ */
+
+export const ROLLUP_METRICS = [
+  "temperatureC",
+  "humidityPct",
+  "moisturePct",
+  "opensPerHour",
+  "vibration",
+  // Surface temperature and psychrometrics (see psychro.js)
+  "surfaceTempC",
+  "dewPointC",
+  "absHumidityGm3",
+  "dewPointMarginC",
+];
+
+export const DEFAULT_RETENTION = {
+  rawHours: 24,
+  minuteDays: 30,
+  halfHourDays: 365,
+  assessmentDays: 30,
+  logDays: 90,
+  eventDays: 90,
+};
+
+const HOUR_MS = 60 * 60_000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_CACHED_LOGS = 500;
+
+function round(n, digits = 2) {
+  return Number(n.toFixed(digits));
+}
+
+/**
+ * Combine two summaries of the same bucket (e.g. a partial bucket flushed on
+ * shutdown and the rest of it written after restart).
+ */
+function mergeBuckets(a, b) {
+  const count = a.count + b.count;
+  const out = { timestamp: a.timestamp, count, min: {}, max: {} };
+  for (const m of ROLLUP_METRICS) {
+    if (a[m] === undefined) {
+      out[m] = b[m];
+      out.min[m] = b.min[m];
+      out.max[m] = b.max[m];
+      continue;
+    }
+    if (b[m] === undefined) {
+      out[m] = a[m];
+      out.min[m] = a.min[m];
+      out.max[m] = a.max[m];
+      continue;
+    }
+    out[m] = round((a[m] * a.count + b[m] * b.count) / count);
+    out.min[m] = Math.min(a.min[m], b.min[m]);
+    out.max[m] = Math.max(a.max[m], b.max[m]);
+  }
+  return out;
+}
+
+function addToBucket(b, reading) {
+  b.count += 1;
+  for (const m of ROLLUP_METRICS) {
+    const v = reading[m];
+    if (typeof v !== "number") continue; // sensor not reporting
+    b.sum[m] = (b.sum[m] ?? 0) + v;
+    b.n[m] = (b.n[m] ?? 0) + 1;
+    b.min[m] = Math.min(b.min[m] ?? v, v);
+    b.max[m] = Math.max(b.max[m] ?? v, v);
+  }
+}
+
+function bucketPoint(b) {
+  const point = { timestamp: new Date(b.start).toISOString(), count: b.count, min: b.min, max: b.max };
+  for (const m of Object.keys(b.sum)) point[m] = round(b.sum[m] / b.n[m]);
+  return point;
+}
+
+/**
+ * Fixed-width time buckets over readings, persisted as they close.
+ * Points are reading-shaped (`temperatureC` etc. hold the average) so charts
+ * can use them like raw readings; `min`/`max` carry the extremes.
+ */
+class Rollup {
+  constructor(log, bucketMs, retentionMs) {
+    this.log = log;
+    this.bucketMs = bucketMs;
+    this.retentionMs = retentionMs;
+    this.current = null; // { start, count, sum, n (values per metric), min, max }
+    this.points = [];
+  }
+
+  load(nowMs) {
+    this.points = [];
+    for (const p of this.log.read({ fromMs: nowMs - this.retentionMs })) this._pushPoint(p);
+  }
+
+  _pushPoint(point) {
+    const last = this.points[this.points.length - 1];
+    if (last && last.timestamp === point.timestamp) {
+      this.points[this.points.length - 1] = mergeBuckets(last, point);
+    } else {
+      this.points.push(point);
+    }
+  }
+
+  add(reading) {
+    const ms = Date.parse(reading.timestamp);
+    const start = Math.floor(ms / this.bucketMs) * this.bucketMs;
+    if (this.current && this.current.start !== start) this.flush();
+    if (!this.current) this.current = { start, count: 0, sum: {}, n: {}, min: {}, max: {} };
+    addToBucket(this.current, reading);
+  }
+
+  /**
+   * Add past readings (e.g. a CSV import) without touching the open bucket.
+   * Buckets that already exist are merged on reload.
+   */
+  importReadings(readings, nowMs) {
+    const buckets = new Map();
+    for (const reading of readings) {
+      const start = Math.floor(Date.parse(reading.timestamp) / this.bucketMs) * this.bucketMs;
+      if (!buckets.has(start)) buckets.set(start, { start, count: 0, sum: {}, n: {}, min: {}, max: {} });
+      addToBucket(buckets.get(start), reading);
+    }
+    const cutoff = nowMs - this.retentionMs;
+    const points = [...buckets.values()].filter((b) => b.start >= cutoff).map(bucketPoint);
+    if (!points.length) return;
+    this.log.appendMany(points);
+    this.load(nowMs);
+  }
+
+  /**
+   * Close the current bucket and persist it.
+   */
+  flush() {
+    const b = this.current;
+    if (!b) return;
+    this.current = null;
+    const point = bucketPoint(b);
+    this.log.append(point);
+    this._pushPoint(point);
+  }
+
+  /**
+   * Write pre-summarized points (used to seed mock history).
+   */
+  seed(points) {
+    const aligned = points.map((p) => ({
+      ...p,
+      timestamp: new Date(Math.floor(Date.parse(p.timestamp) / this.bucketMs) * this.bucketMs).toISOString(),
+    }));
+    this.log.appendMany(aligned);
+    for (const p of aligned) this._pushPoint(p);
+  }
+
+  since(fromMs) {
+    return this.points.filter((p) => Date.parse(p.timestamp) >= fromMs);
+  }
+
+  between(fromMs, toMs) {
+    return this.points.filter((p) => {
+      const t = Date.parse(p.timestamp);
+      return t >= fromMs && t <= toMs;
+    });
+  }
+
+  prune(nowMs) {
+    const cutoff = nowMs - this.retentionMs;
+    this.points = this.points.filter((p) => Date.parse(p.timestamp) >= cutoff);
+    this.log.prune(cutoff);
+  }
+}
+
+/**
+ * Summarize a single reading as a one-sample bucket.
  */
+function readingAsBucket(reading) {
+  const point = { timestamp: reading.timestamp, count: 1, min: {}, max: {} };
+  for (const m of ROLLUP_METRICS) {
+    point[m] = reading[m];
+    point.min[m] = reading[m];
+    point.max[m] = reading[m];
+  }
+  return point;
+}
+
 export class Store {
-  constructor() {
+  /**
+   * `nowMs` is the clock's time (see clock.js); the rollups load the history
+   * retained up to it.
+   */
+  constructor({ dir, retention = DEFAULT_RETENTION, nowMs }) {
+    this.retention = { ...DEFAULT_RETENTION, ...retention };
     this.live = null;
-    this.history24h = [];
-    this.history7d = [];
-    this.logs = [];
+
+    this.raw = new SegmentLog(path.join(dir, "raw"), "raw");
+    this.minute = new Rollup(new SegmentLog(path.join(dir, "1m"), "1m"), 60_000, this.retention.minuteDays * DAY_MS);
+    this.halfHour = new Rollup(
+      new SegmentLog(path.join(dir, "30m"), "30m"),
+      30 * 60_000,
+      this.retention.halfHourDays * DAY_MS,
+    );
+    this.assessmentLog = new SegmentLog(path.join(dir, "assessments"), "assessments");
+    this.lastAssessment = null;
+    this.logLog = new SegmentLog(path.join(dir, "logs"), "logs");
+    this.eventLog = new SegmentLog(path.join(dir, "events"), "events");
+    this.doorState = this.eventLog.tail(1)[0]?.doorState ?? null;
+
+    this.minute.load(nowMs);
+    this.halfHour.load(nowMs);
+    this.logs = this.logLog.tail(MAX_CACHED_LOGS);
+    this.lastPruneMs = 0;
+  }
+
+  /**
+   * True when nothing has ever been recorded for this box.
+   */
+  isEmpty() {
+    return this.minute.log.isEmpty() && this.halfHour.log.isEmpty() && this.raw.isEmpty();
   }
 
-  setHistory({ history24h, history7d }) {
-    this.history24h = history24h;
-    this.history7d = history7d;
+  /**
+   * Seed pre-baked mock history (24h @ 1min, 7d @ 30min) into the rollups.
+   */
+  seedHistory({ history24h, history7d }) {
+    this.minute.seed(history24h.map(readingAsBucket));
+    this.halfHour.seed(history7d.map(readingAsBucket));
   }
 
   setLive(snapshot) {
     this.live = snapshot;
   }
 
+  appendReading(reading) {
+    this.raw.append(reading);
+    this.minute.add(reading);
+    this.halfHour.add(reading);
+    if (reading.doorState && reading.doorState !== this.doorState) {
+      // The first reading after a fresh start only sets the baseline
+      if (this.doorState !== null || reading.doorState === "open") {
+        this.eventLog.append({ timestamp: reading.timestamp, type: "door", doorState: reading.doorState });
+      }
+      this.doorState = reading.doorState;
+    }
+
+    const ms = Date.parse(reading.timestamp);
+    if (ms - this.lastPruneMs >= HOUR_MS) this.prune(ms);
+  }
+
+  /**
+   * Keep the assessment of a tick if it starts a new minute or changes the risk level.
+   */
+  appendAssessment(tick) {
+    const { assessment } = tick;
+    const last = this.lastAssessment;
+    const minute = tick.timestamp.slice(0, 16);
+    if (last && last.timestamp.slice(0, 16) === minute && last.riskLevel === assessment.riskLevel) return;
+
+    const record = {
+      timestamp: tick.timestamp,
+      riskScore: assessment.riskScore,
+      riskLevel: assessment.riskLevel,
+      statuses: Object.fromEntries(Object.entries(assessment.statuses).map(([k, v]) => [k, v.status])),
+      faultyMetrics: assessment.faultyMetrics,
+      actions: assessment.actions.map((a) => a.type),
+      controlMode: tick.controlMode,
+      standards: assessment.standardsVersion,
+    };
+    this.assessmentLog.append(record);
+    this.lastAssessment = record;
+  }
+
+  /**
+   * Write past readings (oldest first) into every tier that still keeps them.
+   */
+  importReadings(readings, nowMs) {
+    const rawCutoff = nowMs - this.retention.rawHours * HOUR_MS;
+    this.raw.appendMany(readings.filter((r) => Date.parse(r.timestamp) >= rawCutoff));
+    this.minute.importReadings(readings, nowMs);
+    this.halfHour.importReadings(readings, nowMs);
+  }
+
+  /**
+   * A check for "is there already data at this time?", to keep imports from
+   * counting the same period twice. Minutes are checked against the 1-minute
+   * tier; periods only known as 30-minute buckets (older or seeded history)
+   * against those.
+   */
+  existingData() {
+    const minutes = new Set(this.minute.points.map((p) => Date.parse(p.timestamp)));
+    if (this.minute.current) minutes.add(this.minute.current.start);
+    const halfHourOf = (ms) => Math.floor(ms / this.halfHour.bucketMs) * this.halfHour.bucketMs;
+    const minuteHalfHours = new Set([...minutes].map(halfHourOf));
+    const halfHours = new Set(this.halfHour.points.map((p) => Date.parse(p.timestamp)));
+    if (this.halfHour.current) halfHours.add(this.halfHour.current.start);
+    return (ms) => {
+      const halfHour = halfHourOf(ms);
+      if (minuteHalfHours.has(halfHour)) return minutes.has(Math.floor(ms / this.minute.bucketMs) * this.minute.bucketMs);
+      return halfHours.has(halfHour);
+    };
+  }
+
   pushLog(entry) {
-    // Keep logs bounded for memory safety (demo friendly).
+    this.logLog.append(entry);
+    // Keep the in-memory tail bounded (demo friendly); older entries stay on disk.
     this.logs.push(entry);
-    const max = 500;
-    if (this.logs.length > max) this.logs.splice(0, this.logs.length - max);
+    if (this.logs.length > MAX_CACHED_LOGS) this.logs.splice(0, this.logs.length - MAX_CACHED_LOGS);
+  }
+
+  getHistory(range, nowMs) {
+    if (range === "7d") return this.halfHour.since(nowMs - 7 * DAY_MS);
+    return this.minute.since(nowMs - DAY_MS);
   }
 
-  getHistory(range) {
-    if (range === "7d") return this.history7d;
-    return this.history24h;
+  /**
+   * 1-minute averages since `fromMs` (for trend fits over several hours).
+   */
+  getMinuteHistory(fromMs) {
+    return this.minute.since(fromMs);
   }
 
-  appendToHistory(range, point) {
-    const arr = range === "7d" ? this.history7d : this.history24h;
-    arr.push(point);
-    const max = range === "7d" ? 400 : 2000;
-    if (arr.length > max) arr.splice(0, arr.length - max);
+  /**
+   * Points of one tier (`raw`, `1m` or `30m`) between two times, oldest first.
+   * Raw readings come from disk; the rollups from memory.
+   */
+  readTier(tier, fromMs, toMs) {
+    if (tier === "raw") return this.raw.read({ fromMs, toMs });
+    if (tier === "1m") return this.minute.between(fromMs, toMs);
+    return this.halfHour.between(fromMs, toMs);
   }
 
   getLogs(limit = 50) {
-    const safeLimit = clamp(Number(limit) || 50, 1, 500);
+    const safeLimit = clamp(Number(limit) || 50, 1, MAX_CACHED_LOGS);
     return this.logs.slice(-safeLimit).reverse();
   }
-}
 
+  /**
+   * Drop data older than the retention windows.
+   */
+  prune(nowMs) {
+    this.lastPruneMs = nowMs;
+    this.raw.prune(nowMs - this.retention.rawHours * HOUR_MS);
+    this.minute.prune(nowMs);
+    this.halfHour.prune(nowMs);
+    this.assessmentLog.prune(nowMs - this.retention.assessmentDays * DAY_MS);
+    this.logLog.prune(nowMs - this.retention.logDays * DAY_MS);
+    this.eventLog.prune(nowMs - this.retention.eventDays * DAY_MS);
+  }
+
+  /**
+   * Persist partially-filled buckets (call on shutdown).
+   */
+  flush() {
+    this.minute.flush();
+    this.halfHour.flush();
+  }
+}
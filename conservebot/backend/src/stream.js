@@ -0,0 +1,234 @@
+/**
+ * The `/ws` live stream: every event gets a sequence number, clients pick the
+ * boxes and topics they want, and a client that drops can resume where it
+ * left off.
+ *
+ * Protocol 2 (connect to `/ws?protocol=2`):
+ * - server → `{ v: 2, seq, type: "welcome", data: { streamId, topics } }`
+ * - client → `{ type: "subscribe", boxes: ["box-1"] | ["*"], topics: ["ticks", …], resume?: { streamId, seq } }`
+ *   (each subscribe replaces the previous one)
+ * - server → `{ v: 2, seq, type: "subscribed", data: { streamId, boxes, topics, resumed, replayed, snapshot? } }`,
+ *   then the missed events when resuming, then live events
+ *   `{ v: 2, seq, type, boxId, data }`
+ * - client → `{ type: "ping" }`, server → `{ v: 2, seq, type: "pong" }`
+ *
+ * Events are numbered from one counter for the whole stream, so a client only
+ * sees the numbers of what it subscribed to; control messages (`welcome`,
+ * `subscribed`, `pong`, `error`) carry the latest number, the one to resume from
+ * (a resumed `subscribed` carries the number it resumes after, so the replayed
+ * events that follow still count up).
+ * A resume works while the events after it are still buffered (the last
+ * `RESUME_WINDOW_MS`, up to `MAX_BUFFERED` events) and the backend hasn't
+ * restarted (`streamId` changes); otherwise `resumed` is false and the
+ * `snapshot` holds the boxes and their latest ticks, so the client should
+ * refetch what it missed over REST.
+ *
+ * Protocol 1 (plain `/ws`, the original single-box stream) keeps its old
+ * shape: `hello` is `{ config, standards }` of the default box, followed by
+ * its latest tick and then only that box's events, each with a `seq`. The
+ * rest of the fleet is only on protocol 2.
+ *
+ * Slow consumers: once a socket has `HIGH_WATER_BYTES` unsent, newer events
+ * wait in a per-client queue instead of piling up in `ws.send`. Queued ticks
+ * of the same box are conflated (only the latest is sent); a client whose
+ * queue still passes `MAX_QUEUED` is disconnected (1013) and can resume.
+ */
+
+export const PROTOCOL_VERSION = 2;
+export const STREAM_TOPICS = ["ticks", "logs", "incidents", "config"];
+
+// message type → topic
+const TOPIC_OF = {
+  tick: "ticks",
+  log: "logs",
+  incident: "incidents",
+  config: "config",
+  source: "config",
+  boxAdded: "config",
+  boxRemoved: "config",
+};
+
+export const RESUME_WINDOW_MS = 5 * 60_000;
+const MAX_BUFFERED = 5000;
+const HIGH_WATER_BYTES = 1024 * 1024;
+const MAX_QUEUED = 1000;
+const OPEN = 1;
+
+class StreamClient {
+  constructor(ws, version) {
+    this.ws = ws;
+    this.version = version;
+    this.boxes = null; // Set of box ids, or null for all
+    this.topics = version === 1 ? new Set(STREAM_TOPICS) : new Set();
+    this.queue = new Map(); // `tick:<boxId>` or the event itself → event, in seq order
+  }
+
+  wants({ topic, boxId }) {
+    return this.topics.has(topic) && (!this.boxes || !boxId || this.boxes.has(boxId));
+  }
+}
+
+/**
+ * Parse a subscribe message. Returns `{ boxes, topics, resume }` or `{ error }`.
+ */
+function parseSubscribe(msg) {
+  const boxes = msg.boxes ?? ["*"];
+  const topics = msg.topics ?? STREAM_TOPICS;
+  if (!Array.isArray(boxes) || !boxes.length || !boxes.every((b) => typeof b === "string" && b)) {
+    return { error: 'boxes must list box ids or "*"' };
+  }
+  if (!Array.isArray(topics) || !topics.every((t) => STREAM_TOPICS.includes(t))) {
+    return { error: `topics must be a subset of ${STREAM_TOPICS.join(", ")}` };
+  }
+  const resume = msg.resume ?? null;
+  if (resume && (typeof resume.streamId !== "string" || !Number.isInteger(resume.seq) || resume.seq < 0)) {
+    return { error: "resume must be { streamId, seq }" };
+  }
+  return { boxes: boxes.includes("*") ? null : new Set(boxes), topics: new Set(topics), resume };
+}
+
+export class EventStream {
+  /**
+   * `snapshot(boxIds | null)` → `{ boxes: [describe()], ticks: [latest tick] }`
+   * for the given boxes (null = all); `defaultBox()` → `{ id, config, standards }`
+   * or null, for protocol 1.
+   */
+  constructor({ snapshot, defaultBox }) {
+    this.snapshot = snapshot;
+    this.defaultBox = defaultBox;
+    this.streamId = crypto.randomUUID();
+    this.seq = 0;
+    this.buffer = []; // { seq, type, boxId, topic, json, atMs }, oldest first
+    this.clients = new Set();
+  }
+
+  /**
+   * Take over a new WebSocket connection (`req` is the HTTP upgrade request).
+   */
+  attach(ws, req) {
+    const params = new URL(req.url, "http://localhost").searchParams;
+    const client = new StreamClient(ws, Number(params.get("protocol")) === PROTOCOL_VERSION ? PROTOCOL_VERSION : 1);
+    this.clients.add(client);
+    ws.on("close", () => this.clients.delete(client));
+
+    if (client.version === 1) {
+      const box = this.defaultBox();
+      client.boxes = new Set(box ? [box.id] : []);
+      this._control(client, "hello", { config: box?.config ?? null, standards: box?.standards ?? null });
+      const { ticks } = box ? this.snapshot([box.id]) : { ticks: [] };
+      for (const tick of ticks) this._control(client, "tick", tick, { boxId: tick.boxId });
+      return;
+    }
+
+    ws.on("message", (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch {
+        return this._control(client, "error", { error: "Messages must be JSON" });
+      }
+      if (msg?.type === "subscribe") this._subscribe(client, msg);
+      else if (msg?.type === "ping") this._control(client, "pong");
+      else this._control(client, "error", { error: "Unknown message type" });
+    });
+    this._control(client, "welcome", { streamId: this.streamId, topics: STREAM_TOPICS, resumeWindowSec: RESUME_WINDOW_MS / 1000 });
+  }
+
+  _subscribe(client, msg) {
+    const parsed = parseSubscribe(msg);
+    if (parsed.error) return this._control(client, "error", { error: parsed.error });
+    client.boxes = parsed.boxes;
+    client.topics = parsed.topics;
+
+    const { resume } = parsed;
+    const oldest = this.buffer[0]?.seq ?? this.seq + 1;
+    // Everything after `resume.seq` must still be buffered
+    const resumable = Boolean(resume) && resume.streamId === this.streamId && resume.seq <= this.seq && resume.seq >= oldest - 1;
+    const missed = resumable ? this.buffer.filter((e) => e.seq > resume.seq && client.wants(e)) : [];
+
+    const data = {
+      streamId: this.streamId,
+      boxes: client.boxes ? [...client.boxes] : ["*"],
+      topics: [...client.topics],
+      resumed: resumable,
+      replayed: missed.length,
+    };
+    if (!resumable) {
+      const { boxes, ticks } = this.snapshot(client.boxes ? [...client.boxes] : null);
+      data.snapshot = { boxes, ticks: client.topics.has("ticks") ? ticks : [] };
+    }
+    this._control(client, "subscribed", data, { seq: resumable ? resume.seq : this.seq });
+    for (const event of missed) this._deliver(client, event);
+  }
+
+  /**
+   * Number, buffer and send an event (`{ type, boxId, data }`) to the clients that want it.
+   */
+  publish({ type, boxId, data }) {
+    const nowMs = Date.now();
+    this.seq += 1;
+    const event = { seq: this.seq, type, boxId, topic: TOPIC_OF[type] ?? "config", json: JSON.stringify(data ?? null), atMs: nowMs };
+
+    this.buffer.push(event);
+    let drop = 0;
+    while (drop < this.buffer.length && (this.buffer.length - drop > MAX_BUFFERED || nowMs - this.buffer[drop].atMs > RESUME_WINDOW_MS)) {
+      drop += 1;
+    }
+    if (drop) this.buffer.splice(0, drop);
+
+    for (const client of this.clients) {
+      if (client.wants(event)) this._deliver(client, event);
+    }
+  }
+
+  _encode(event, version) {
+    const box = event.boxId ? `,"boxId":${JSON.stringify(event.boxId)}` : "";
+    if (version === 1) return `{"type":${JSON.stringify(event.type)}${box},"seq":${event.seq},"data":${event.json}}`;
+    return `{"v":2,"seq":${event.seq},"type":${JSON.stringify(event.type)}${box},"data":${event.json}}`;
+  }
+
+  // Control messages aren't buffered; they carry the latest seq
+  _control(client, type, data = undefined, { boxId = undefined, seq = this.seq } = {}) {
+    this._deliver(client, { seq, type, boxId, json: JSON.stringify(data ?? null) });
+  }
+
+  _deliver(client, event) {
+    if (client.ws.readyState !== OPEN) return;
+    if (!client.queue.size && client.ws.bufferedAmount <= HIGH_WATER_BYTES) {
+      this._send(client, event);
+      return;
+    }
+    const key = event.type === "tick" ? `tick:${event.boxId}` : event;
+    client.queue.delete(key); // an older tick of the box is replaced, and the newer one moves to the end
+    client.queue.set(key, event);
+    if (client.queue.size > MAX_QUEUED) {
+      client.queue.clear();
+      client.ws.close(1013, "Too slow; reconnect and resume");
+      return;
+    }
+    this._flush(client);
+  }
+
+  _send(client, event) {
+    client.ws.send(this._encode(event, client.version), () => {
+      if (client.queue.size) this._flush(client);
+    });
+  }
+
+  _flush(client) {
+    for (const [key, event] of client.queue) {
+      if (client.ws.readyState !== OPEN || client.ws.bufferedAmount > HIGH_WATER_BYTES) return;
+      client.queue.delete(key);
+      this._send(client, event);
+    }
+  }
+
+  status() {
+    return {
+      streamId: this.streamId,
+      seq: this.seq,
+      oldestBufferedSeq: this.buffer[0]?.seq ?? null,
+      clients: [...this.clients].map((c) => ({ version: c.version, queued: c.queue.size, bufferedBytes: c.ws.bufferedAmount })),
+    };
+  }
+}
@@ -6,20 +6,41 @@ export function lerp(a, b, t) {
   return a + (b - a) * t;
 }
 
-export function rand(min, max) {
-  return lerp(min, max, Math.random());
+export function rand(min, max, random = Math.random) {
+  return lerp(min, max, random());
 }
 
-export function randn() {
+export function randn(random = Math.random) {
   // Very small “normal-ish” noise without dependencies.
   // Box-Muller transform
   let u = 0;
   let v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
+  while (u === 0) u = random();
+  while (v === 0) v = random();
   return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 }
 
+/**
+ * Seeded PRNG (mulberry32): a `() => [0, 1)` like `Math.random`, but the same
+ * seed always gives the same sequence. Strings are hashed (FNV-1a) into a seed.
+ */
+export function seededRandom(seed) {
+  let a = typeof seed === "number" ? seed >>> 0 : hashSeed(String(seed));
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSeed(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
 export function nowIso() {
   return new Date().toISOString();
 }
@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { fitLine, forecast, forecastInsights, forecastMetric, formatMinutes } from "../src/forecast.js";
+
+const nowMs = Date.parse("2026-03-10T12:00:00Z");
+const MINUTE_MS = 60_000;
+const standards = {
+  temperatureC: { safe: [16, 22], warn: [12, 26] },
+  humidityPct: { safe: [45, 55], warn: [40, 60] },
+  moisturePct: { safeMax: 8, warnMax: 12 },
+};
+
+// One point a minute for the last `minutes`, following `y(minutesAgo)`
+function series(minutes, y) {
+  return Array.from({ length: minutes + 1 }, (_, i) => {
+    const ago = minutes - i;
+    return { t: nowMs - ago * MINUTE_MS, y: y(ago, i) };
+  });
+}
+
+describe("fitLine", () => {
+  it("needs enough points over enough time", () => {
+    assert.equal(fitLine(series(5, () => 50)), null);
+    assert.equal(fitLine(Array.from({ length: 20 }, (_, i) => ({ t: nowMs + i * 1000, y: i }))), null);
+  });
+
+  it("recovers an exact line", () => {
+    const fit = fitLine(series(30, (ago) => 50 - ago / 60));
+    assert.ok(Math.abs(fit.slope * 60 * MINUTE_MS - 1) < 1e-9);
+    assert.ok(fit.slopeSe < 1e-9);
+    assert.ok(Math.abs(fit.at(nowMs) - 50) < 1e-9);
+    assert.equal(fit.n, 31);
+  });
+});
+
+describe("forecastMetric", () => {
+  it("predicts when a rising metric crosses its warn and danger bounds", () => {
+    const f = forecastMetric("humidity", series(30, (ago) => 50 - ago / 60), standards, { nowMs });
+    assert.equal(f.trend, "rising");
+    assert.equal(f.value, 50);
+    assert.equal(f.slopePerHour, 1);
+    assert.deepEqual(f.crossings.warn, { bound: 55, inMin: 300, rangeMin: [300, 300], at: "2026-03-10T17:00:00.000Z" });
+    assert.equal(f.crossings.danger.inMin, 600);
+  });
+
+  it("widens the range with noise and drops crossings past the horizon", () => {
+    const noisy = series(60, (ago, i) => 50 - ago / 60 + (i % 2 ? 0.05 : -0.05));
+    const f = forecastMetric("humidity", noisy, standards, { nowMs, horizonHours: 8 });
+    const [earliest, latest] = f.crossings.warn.rangeMin;
+    assert.ok(earliest < f.crossings.warn.inMin, "earliest before the estimate");
+    assert.ok(latest === null || latest > f.crossings.warn.inMin, "latest after the estimate");
+    assert.equal(f.crossings.danger, null);
+  });
+
+  it("reports a crossing already passed as now", () => {
+    const f = forecastMetric("temperature", series(30, (ago) => 23 - ago / 60), standards, { nowMs });
+    assert.deepEqual(f.crossings.warn, { bound: 22, inMin: 0, rangeMin: [0, 0], at: new Date(nowMs).toISOString() });
+  });
+
+  it("calls a flat or noisy metric steady", () => {
+    const f = forecastMetric("humidity", series(30, (ago, i) => 50 + (i % 2 ? 0.3 : -0.3)), standards, { nowMs });
+    assert.equal(f.trend, "steady");
+    assert.equal(f.crossings, null);
+  });
+
+  it("only watches moisture going up", () => {
+    const f = forecastMetric("moisture", series(30, (ago) => 6 + ago / 60), standards, { nowMs });
+    assert.equal(f.trend, "falling");
+    assert.equal(f.crossings, null);
+  });
+});
+
+describe("forecast", () => {
+  it("forecasts each metric from readings and skips excluded ones", () => {
+    const readings = series(30, (ago) => ago).map(({ t }, i) => ({
+      timestamp: new Date(t).toISOString(),
+      temperatureC: 19,
+      humidityPct: 50 + i / 60,
+    }));
+    const result = forecast(readings, standards, { nowMs, exclude: new Set(["temperature"]) });
+    assert.equal(result.temperature.trend, "unknown");
+    assert.equal(result.humidity.trend, "rising");
+    assert.equal(result.moisture.trend, "unknown");
+  });
+});
+
+describe("forecastInsights", () => {
+  it("quotes the next bound for the metric's current status", () => {
+    const forecasts = { humidity: forecastMetric("humidity", series(30, (ago) => 50 - ago / 60), standards, { nowMs }) };
+    assert.deepEqual(forecastInsights(forecasts, { humidity: { status: "safe" } }), [
+      "Humidity rising (+1%/h): expected to leave the safe range (55%) in ~5 h (95% range ~5 h to ~5 h).",
+    ]);
+    // Heading back from warn towards safe is a recovery, not a warning
+    assert.deepEqual(forecastInsights(forecasts, { humidity: { status: "warn" } }), []);
+  });
+
+  it("formats durations", () => {
+    assert.equal(formatMinutes(0.2), "~1 min");
+    assert.equal(formatMinutes(90), "~1.5 h");
+    assert.equal(formatMinutes(4 * 24 * 60), "~4 days");
+  });
+});
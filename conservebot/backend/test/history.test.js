@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { HistoryQueryError, parseHistoryQuery, planHistoryQuery } from "../src/history.js";
+import { DEFAULT_RETENTION, ROLLUP_METRICS } from "../src/store.js";
+
+const nowMs = Date.parse("2026-03-10T12:00:00Z");
+const HOUR_MS = 3_600_000;
+const ctx = { nowMs, retention: DEFAULT_RETENTION };
+
+describe("parseHistoryQuery", () => {
+  it("defaults to the last 24 hours with min/max/mean of every metric", () => {
+    const q = parseHistoryQuery({}, ctx);
+    assert.equal(q.toMs, nowMs);
+    assert.equal(q.fromMs, nowMs - 24 * HOUR_MS);
+    assert.equal(q.resolutionMs, null);
+    assert.equal(q.maxPoints, 500);
+    assert.deepEqual(q.metrics, ROLLUP_METRICS);
+    assert.deepEqual(q.aggregates, ["min", "max", "mean"]);
+  });
+
+  it("reads ranges and resolutions with units", () => {
+    const q = parseHistoryQuery({ range: "90m", resolution: "1.5h" }, ctx);
+    assert.equal(q.fromMs, nowMs - 90 * 60_000);
+    assert.equal(q.resolutionMs, 1.5 * HOUR_MS);
+    assert.equal(parseHistoryQuery({ resolution: "30" }, ctx).resolutionMs, 30_000);
+  });
+
+  it("accepts ISO timestamps and epoch milliseconds", () => {
+    const q = parseHistoryQuery({ from: "2026-03-10T00:00:00Z", to: String(nowMs - HOUR_MS) }, ctx);
+    assert.equal(q.fromMs, Date.parse("2026-03-10T00:00:00Z"));
+    assert.equal(q.toMs, nowMs - HOUR_MS);
+  });
+
+  it("clamps from to the oldest retained data", () => {
+    const q = parseHistoryQuery({ range: "800d" }, ctx);
+    assert.equal(q.fromMs, nowMs - DEFAULT_RETENTION.halfHourDays * 24 * HOUR_MS);
+  });
+
+  it("dedupes metrics and takes percentiles as aggregates", () => {
+    const q = parseHistoryQuery({ metrics: "humidityPct, humidityPct,temperatureC", aggregates: "p95,timeInStatus" }, ctx);
+    assert.deepEqual(q.metrics, ["humidityPct", "temperatureC"]);
+    assert.deepEqual(q.aggregates, ["p95", "timeInStatus"]);
+  });
+
+  it("rejects bad parameters with a 400", () => {
+    const bad = [
+      [{ from: "yesterday" }, /from must be an ISO timestamp/],
+      [{ range: "soon" }, /range must be a duration/],
+      [{ range: "0h" }, /range must be a duration/],
+      [{ from: String(nowMs), to: String(nowMs - 1) }, /from must be before to/],
+      [{ maxPoints: "0" }, /maxPoints must be an integer/],
+      [{ maxPoints: "5001" }, /maxPoints must be an integer/],
+      [{ resolution: "0.5s" }, /resolution must be a duration of at least 1s/],
+      [{ metrics: "temperatureC,pressure" }, /Unknown metrics: pressure/],
+      [{ aggregates: "p0" }, /Unknown aggregates: p0/],
+      [{ aggregates: "," }, /Unknown aggregates: \(none\)/],
+    ];
+    for (const [query, message] of bad) {
+      assert.throws(
+        () => parseHistoryQuery(query, ctx),
+        (err) => err instanceof HistoryQueryError && err.status === 400 && message.test(err.message),
+        JSON.stringify(query),
+      );
+    }
+  });
+});
+
+describe("planHistoryQuery", () => {
+  it("picks the finest tier that still holds the window", () => {
+    const plan = (query) => planHistoryQuery(parseHistoryQuery(query, ctx), ctx);
+    assert.deepEqual(plan({ range: "1h", resolution: "10s" }), { tier: "raw", bucketMs: 10_000 });
+    assert.deepEqual(plan({ range: "12h", resolution: "10s", maxPoints: "5000" }), { tier: "1m", bucketMs: 60_000 });
+    assert.deepEqual(plan({ range: "7d" }), { tier: "1m", bucketMs: 21 * 60_000 });
+    assert.deepEqual(plan({ range: "90d", resolution: "5m" }), { tier: "30m", bucketMs: 9 * 30 * 60_000 });
+  });
+});
@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { ImportError, parseCsv, prepareImport } from "../src/importer.js";
+
+const nowMs = Date.parse("2026-01-01T00:00:00Z");
+const ctx = { nowMs, oldestMs: Date.parse("2024-01-01T00:00:00Z"), existing: () => false };
+
+function stamps(options) {
+  return prepareImport(options, ctx).readings.map((r) => r.timestamp);
+}
+
+describe("parseCsv", () => {
+  it("handles quotes, escaped quotes and embedded newlines", () => {
+    const rows = parseCsv('a,b\n"x, y","say ""hi""\nthere"\n1,2', ",");
+    assert.deepEqual(rows, [
+      { line: 1, cells: ["a", "b"] },
+      { line: 2, cells: ["x, y", 'say "hi"\nthere'] },
+      { line: 4, cells: ["1", "2"] },
+    ]);
+  });
+
+  it("accepts CRLF and CR line endings and drops blank rows", () => {
+    const rows = parseCsv("a;b\r\n1;2\r\r\n3;4\r", ";");
+    assert.deepEqual(
+      rows.map((r) => [r.line, r.cells]),
+      [
+        [1, ["a", "b"]],
+        [2, ["1", "2"]],
+        [4, ["3", "4"]],
+      ],
+    );
+  });
+});
+
+describe("prepareImport", () => {
+  it("imports ConserveBot's own export format without a mapping", () => {
+    const { readings, report } = prepareImport(
+      { csv: "timestamp,temperatureC,humidityPct\n2025-06-01T10:00:00Z,19.5,48\n2025-06-01T10:01:00Z,19.6,\n" },
+      ctx,
+    );
+    assert.deepEqual(readings, [
+      { timestamp: "2025-06-01T10:00:00.000Z", temperatureC: 19.5, humidityPct: 48 },
+      { timestamp: "2025-06-01T10:01:00.000Z", temperatureC: 19.6 },
+    ]);
+    assert.equal(report.delimiter, ",");
+    assert.equal(report.accepted, 2);
+  });
+
+  it("reads local times in a fixed offset or an IANA zone", () => {
+    const csv = "timestamp,temperatureC\n2025-06-01 12:00,20\n";
+    assert.deepEqual(stamps({ csv }), ["2025-06-01T12:00:00.000Z"]);
+    assert.deepEqual(stamps({ csv, timezone: "+02:00" }), ["2025-06-01T10:00:00.000Z"]);
+    assert.deepEqual(stamps({ csv, timezone: "-0530" }), ["2025-06-01T17:30:00.000Z"]);
+    assert.deepEqual(stamps({ csv, timezone: "Europe/Paris" }), ["2025-06-01T10:00:00.000Z"]);
+    assert.deepEqual(stamps({ csv: "timestamp,temperatureC\n2025-01-15 12:00,20\n", timezone: "Europe/Paris" }), [
+      "2025-01-15T11:00:00.000Z",
+    ]);
+  });
+
+  it("gets the offset right on both sides of a DST change", () => {
+    const csv = "timestamp,temperatureC\n2025-03-30 01:30,20\n2025-03-30 03:30,20\n2025-10-26 04:00,20\n";
+    assert.deepEqual(stamps({ csv, timezone: "Europe/Paris" }), [
+      "2025-03-30T00:30:00.000Z",
+      "2025-03-30T01:30:00.000Z",
+      "2025-10-26T03:00:00.000Z",
+    ]);
+  });
+
+  it("leaves timestamps with their own offset and epoch times alone", () => {
+    const csv = "timestamp,temperatureC\n2025-06-01T12:00:00+01:00,20\n1748779200,20\n1748779260000,20\n";
+    assert.deepEqual(stamps({ csv, timezone: "Europe/Paris" }), [
+      "2025-06-01T11:00:00.000Z",
+      "2025-06-01T12:00:00.000Z",
+      "2025-06-01T12:01:00.000Z",
+    ]);
+  });
+
+  it("reads day/month order, split date and time columns and 12-hour clocks", () => {
+    const csv = "Date;Time;Temp (F);RH\n03/04/2025;1:15 PM;68;0,5\n";
+    const options = {
+      csv,
+      mapping: { timestamp: ["Date", "Time"], temperatureC: "temp (f)", humidityPct: 3 },
+      units: { temperatureC: "F", humidityPct: "fraction" },
+      decimal: ",",
+    };
+    const dmy = prepareImport({ ...options, dateFormat: "DMY" }, ctx);
+    assert.deepEqual(dmy.readings, [{ timestamp: "2025-04-03T13:15:00.000Z", temperatureC: 20, humidityPct: 50 }]);
+    assert.equal(dmy.report.delimiter, ";");
+    assert.deepEqual(stamps({ ...options, dateFormat: "MDY" }), ["2025-03-04T13:15:00.000Z"]);
+    assert.deepEqual(prepareImport(options, ctx).report.rejectedByReason, { "unreadable timestamp": 1 });
+  });
+
+  it("reports rejected rows with their line and reason", () => {
+    const csv = [
+      "timestamp,temperatureC,humidityPct",
+      "2025-02-31 10:00,20,50",
+      "2027-01-01 10:00,20,50",
+      "2020-01-01 10:00,20,50",
+      "2025-06-01 10:00,20,50",
+      "2025-06-01 10:00,21,50",
+      "2025-06-01 10:01,warm,50",
+      "2025-06-01 10:02,20,150",
+      "2025-06-01 10:03,,",
+      "2025-06-01 10:04,20,50",
+    ].join("\n");
+    const existing = (ms) => ms === Date.parse("2025-06-01T10:04:00Z");
+    const { readings, report } = prepareImport({ csv }, { ...ctx, existing });
+    assert.equal(readings.length, 1);
+    assert.deepEqual(
+      report.rejections.map((r) => [r.line, r.reason]),
+      [
+        [2, "unreadable timestamp"],
+        [3, "timestamp in the future"],
+        [4, "older than the history retention"],
+        [6, "duplicate timestamp"],
+        [7, "not a number"],
+        [8, "value out of range"],
+        [9, "no values"],
+        [10, "box already has data at this time"],
+      ],
+    );
+    assert.equal(report.rejected, 8);
+  });
+
+  it("rejects bad options before reading any rows", () => {
+    assert.throws(
+      () => prepareImport({ csv: "a\n1", mapping: { pressure: "a" }, units: { humidityPct: "K" }, dateFormat: "YDM" }, ctx),
+      (err) =>
+        err instanceof ImportError &&
+        err.details.includes("mapping: unknown field pressure") &&
+        err.details.includes("units.humidityPct must be one of %, fraction") &&
+        err.details.includes("dateFormat must be one of YMD, DMY, MDY"),
+    );
+    assert.throws(() => prepareImport({ csv: "timestamp,temperatureC\n", timezone: "Mars/Olympus" }, ctx), /Unknown timezone/);
+    assert.throws(() => prepareImport({ csv: "when,temperatureC\n", mapping: { timestamp: "time" } }, ctx), /Columns not found: time/);
+  });
+});
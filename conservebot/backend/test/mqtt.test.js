@@ -0,0 +1,145 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import mqtt from "mqtt";
+
+import { MqttBridge, ackTopic, commandTopic, startEmbeddedBroker, telemetryTopic } from "../src/mqtt.js";
+import { MqttSource } from "../src/sources.js";
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe("MqttBridge (embedded broker)", () => {
+  let broker;
+  let server;
+  let bridge;
+  let device;
+  const events = [];
+  const commands = [];
+  const box = { id: "box-1", source: null };
+
+  before(async () => {
+    ({ broker, server } = await startEmbeddedBroker(0));
+    const url = `mqtt://127.0.0.1:${server.address().port}`;
+
+    // Resolves once the bridge has subscribed to both of its topics
+    const subscribed = new Promise((resolve) => {
+      let topics = 0;
+      broker.on("subscribe", (subs) => {
+        topics += subs.length;
+        if (topics >= 2) resolve();
+      });
+    });
+    bridge = new MqttBridge({ url, ackTimeoutMs: 1000, onEvent: (boxId, entry) => events.push({ boxId, ...entry }) });
+    box.source = new MqttSource({ boxId: box.id, bridge });
+    bridge.start({ get: (id) => (id === box.id ? box : null) });
+    await subscribed;
+
+    device = mqtt.connect(url);
+    await new Promise((resolve) => device.on("connect", resolve));
+    await device.subscribeAsync(commandTopic(box.id));
+    device.on("message", (topic, payload) => commands.push(JSON.parse(payload.toString())));
+  });
+
+  after(async () => {
+    bridge.stop();
+    await device.endAsync(true);
+    await new Promise((resolve) => broker.close(resolve));
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("binds the embedded broker to loopback", () => {
+    assert.equal(server.address().address, "127.0.0.1");
+  });
+
+  it("queues telemetry readings and arrays of readings", async () => {
+    const reading = (secondsAgo) => ({
+      timestamp: new Date(Date.now() - secondsAgo * 1000).toISOString(),
+      temperatureC: 19.5,
+      humidityPct: 48,
+      moisturePct: 6,
+      doorState: "closed",
+      opensPerHour: 0,
+      vibration: 0.01,
+      accessLocked: false,
+    });
+    await device.publishAsync(telemetryTopic(box.id), JSON.stringify(reading(3)));
+    await device.publishAsync(telemetryTopic(box.id), JSON.stringify([reading(2), reading(1)]));
+    await waitFor(() => box.source.queue.length === 3);
+    assert.equal(box.source.poll().length, 3);
+  });
+
+  it("logs rejected telemetry", async () => {
+    await device.publishAsync(telemetryTopic(box.id), JSON.stringify({ temperatureC: "warm" }));
+    await waitFor(() => events.some((e) => e.message.startsWith("Rejected 1 telemetry reading(s): invalid")));
+    assert.equal(box.source.queue.length, 0);
+  });
+
+  it("ignores malformed payloads and keeps running", async () => {
+    events.length = 0;
+    for (const payload of ["null", "5", '"x"', "[null]", "not json"]) {
+      await device.publishAsync(ackTopic(box.id), payload);
+    }
+    await device.publishAsync(telemetryTopic(box.id), "null");
+    await device.publishAsync(telemetryTopic(box.id), "[null]");
+    await device.publishAsync(`conservebot/boxes/box-2/telemetry`, "null");
+    await waitFor(() => events.length === 7);
+    assert.deepEqual(
+      events.map((e) => e.message),
+      [
+        `Ignored malformed message on ${ackTopic(box.id)}`,
+        `Ignored malformed message on ${ackTopic(box.id)}`,
+        `Ignored malformed message on ${ackTopic(box.id)}`,
+        `Ignored malformed message on ${ackTopic(box.id)}`,
+        `Ignored non-JSON message on ${ackTopic(box.id)}`,
+        `Ignored malformed message on ${telemetryTopic(box.id)}`,
+        "Rejected 1 telemetry reading(s): invalid",
+      ],
+    );
+    assert.ok(bridge.connected);
+  });
+
+  it("publishes commands and tracks their acknowledgements", async () => {
+    events.length = 0;
+    const fan = bridge.publishCommand(box.id, { type: "TRIGGER_AIRFLOW", label: "Fan", reason: "test" });
+    const dry = bridge.publishCommand(box.id, { type: "DEHUMIDIFY", label: "Dry", reason: "test" });
+    await waitFor(() => commands.length === 2);
+    assert.deepEqual(
+      commands.map((c) => [c.id, c.type, c.label]),
+      [
+        [fan.id, "TRIGGER_AIRFLOW", "Fan"],
+        [dry.id, "DEHUMIDIFY", "Dry"],
+      ],
+    );
+
+    await device.publishAsync(ackTopic(box.id), JSON.stringify({ id: fan.id }));
+    await device.publishAsync(ackTopic(box.id), JSON.stringify({ id: dry.id, ok: false, error: "compressor stalled" }));
+    await waitFor(() => fan.status === "acked" && dry.status === "failed");
+    assert.equal(dry.error, "compressor stalled");
+    assert.deepEqual(events, [
+      { boxId: box.id, kind: "ACTUATOR", actionType: "DEHUMIDIFY", message: "Actuator reported failure for DEHUMIDIFY: compressor stalled" },
+    ]);
+    assert.deepEqual(bridge.getCommands(box.id).map((c) => c.id), [dry.id, fan.id]);
+  });
+
+  it("passes a lock's duration on to the device", async () => {
+    commands.length = 0;
+    const lock = bridge.publishCommand(box.id, { type: "LOCK_ACCESS", label: "Lock", reason: "test", durationMin: 10 });
+    await waitFor(() => commands.length === 1);
+    assert.deepEqual([commands[0].id, commands[0].durationMin], [lock.id, 10]);
+  });
+
+  it("times out commands nobody acknowledges", async () => {
+    events.length = 0;
+    const lock = bridge.publishCommand(box.id, { type: "LOCK_ACCESS", label: "Lock", reason: "test" });
+    bridge.sweep(Date.parse(lock.issuedAt) + 999);
+    assert.equal(lock.status, "sent");
+    bridge.sweep(Date.parse(lock.issuedAt) + 1000);
+    assert.equal(lock.status, "timeout");
+    assert.equal(events[0].message, "No acknowledgement for LOCK_ACCESS within 1s.");
+  });
+});
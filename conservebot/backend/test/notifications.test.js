@@ -0,0 +1,285 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import net from "net";
+import os from "os";
+import path from "path";
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+
+import { Notifier, validateNotificationConfig } from "../src/notifications.js";
+
+const t0 = Date.parse("2026-03-10T12:00:00Z");
+const box = { id: "box-1", name: "Safe box 1", location: "Storage room A" };
+
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+// Just enough SMTP to take a message: every command gets a 250, DATA runs to "."
+function smtpSink(messages) {
+  return net.createServer((socket) => {
+    let buffer = "";
+    let message = null;
+    socket.write("220 sink ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (message?.data !== undefined) {
+          if (line === ".") {
+            messages.push(message);
+            message = null;
+            socket.write("250 queued\r\n");
+          } else {
+            message.data += `${line}\n`;
+          }
+        } else if (/^MAIL FROM/i.test(line)) {
+          message = { rcpt: [] };
+          socket.write("250 ok\r\n");
+        } else if (/^RCPT TO:<(.*)>/i.test(line)) {
+          message.rcpt.push(/^RCPT TO:<(.*)>/i.exec(line)[1]);
+          socket.write("250 ok\r\n");
+        } else if (/^DATA/i.test(line)) {
+          message.data = "";
+          socket.write("354 go ahead\r\n");
+        } else if (/^QUIT/i.test(line)) {
+          socket.end("221 bye\r\n");
+        } else {
+          socket.write("250 ok\r\n");
+        }
+      }
+    });
+  });
+}
+
+function openIncident(overrides = {}) {
+  return {
+    id: "inc-1",
+    boxId: box.id,
+    metric: "humidity",
+    state: "open",
+    severity: "warn",
+    peakSeverity: "warn",
+    startedAt: new Date(t0).toISOString(),
+    lastValue: 58,
+    peakValue: 58,
+    peakAt: new Date(t0).toISOString(),
+    acknowledged: null,
+    actions: [],
+    ...overrides,
+  };
+}
+
+describe("Notifier", () => {
+  const requests = [];
+  const mails = [];
+  let receiver;
+  let sink;
+  let config;
+  let dir;
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ path: req.url, body: JSON.parse(body) });
+        res.statusCode = req.url === "/broken" ? 500 : 204;
+        res.end();
+      });
+    });
+    sink = smtpSink(mails);
+    const [httpPort, smtpPort] = await Promise.all([listen(receiver), listen(sink)]);
+    config = {
+      debounceSec: 60,
+      escalateAfterMin: 15,
+      smtp: { host: "127.0.0.1", port: smtpPort, secure: false, from: "conservebot@localhost" },
+      channels: [
+        { id: "ops-mail", type: "email", to: ["ops@example.org"], boxes: ["*"], severities: ["danger"] },
+        { id: "team", type: "slack", url: `http://127.0.0.1:${httpPort}/slack`, boxes: ["box-1"], severities: ["warn", "danger"] },
+        { id: "on-call", type: "webhook", url: `http://127.0.0.1:${httpPort}/hook`, boxes: ["*"], severities: ["warn", "danger"], escalation: true },
+      ],
+    };
+  });
+
+  after(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+    await new Promise((resolve) => sink.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+    mails.length = 0;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "conservebot-notify-"));
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  function notifier(options = {}) {
+    const n = new Notifier({ file: path.join(dir, "notifications.json"), stateFile: path.join(dir, "notification-state.json"), ...options });
+    assert.deepEqual(n.setConfig(config), []);
+    return n;
+  }
+
+  const settled = (n) => waitFor(() => n.deliveries.every((d) => d.ok !== null));
+
+  it("validates channels", () => {
+    const errors = validateNotificationConfig({
+      debounceSec: -1,
+      escalateAfterMin: 0,
+      channels: [
+        { id: "a", type: "email", to: [], boxes: ["*"], severities: ["warn"] },
+        { id: "a", type: "pager", boxes: [], severities: ["loud"] },
+        { id: "c", type: "webhook", url: "ftp://example.org", boxes: ["*"], severities: ["warn"] },
+      ],
+    });
+    assert.deepEqual(errors, [
+      "debounceSec must be a number >= 0",
+      "escalateAfterMin must be a number > 0",
+      "channels[0].to must list recipients",
+      'channels[1].id "a" is duplicated',
+      "channels[1].type must be one of email, webhook, slack",
+      "channels[1].boxes must list box ids or \"*\"",
+      "channels[1].severities must be a subset of warn, danger",
+      "channels[2].url must be an http(s) URL",
+    ]);
+  });
+
+  it("debounces an incident, escalates it when nobody acknowledges it, and reports the resolution", async () => {
+    const n = notifier();
+    const incident = openIncident();
+    n.onIncidentEvent(box, "opened", incident, t0);
+    n.sweep(t0 + 59_000);
+    assert.equal(n.deliveries.length, 0);
+
+    n.sweep(t0 + 60_000);
+    await settled(n);
+    assert.deepEqual(requests.map((r) => r.path), ["/slack"]);
+    assert.match(requests[0].body.text, /^\[ConserveBot\] humidity WARN — Safe box 1 \(Storage room A\)\n/);
+
+    incident.peakSeverity = "danger";
+    n.sweep(t0 + 120_000);
+    await settled(n);
+    await waitFor(() => mails.length === 1);
+    assert.deepEqual(mails[0].rcpt, ["ops@example.org"]);
+    assert.match(mails[0].data, /humidity DANGER/);
+
+    n.sweep(t0 + 120_000 + 15 * 60_000);
+    await settled(n);
+    const escalation = requests.find((r) => r.path === "/hook");
+    assert.equal(escalation.body.event, "incident_escalated");
+    assert.equal(escalation.body.title, "UNACKNOWLEDGED: humidity DANGER");
+    assert.deepEqual(escalation.body.box, box);
+
+    requests.length = 0;
+    incident.state = "resolved";
+    n.sweep(t0 + 30 * 60_000);
+    await settled(n);
+    assert.deepEqual(requests.map((r) => `${r.path} ${r.body.event ?? "slack"}`).sort(), ["/hook incident_resolved", "/slack slack"]);
+    assert.equal(n.incidents.size, 0);
+    assert.ok(n.deliveries.every((d) => d.ok));
+  });
+
+  it("doesn't escalate acknowledged incidents", async () => {
+    const n = notifier();
+    const incident = openIncident();
+    n.onIncidentEvent(box, "opened", incident, t0);
+    n.sweep(t0 + 60_000);
+    incident.acknowledged = { by: "Ada", at: new Date(t0 + 70_000).toISOString() };
+    n.sweep(t0 + 60 * 60_000);
+    await settled(n);
+    assert.deepEqual(requests.map((r) => r.path), ["/slack"]);
+  });
+
+  it("alerts on sustained risk and its recovery", async () => {
+    const n = notifier();
+    const assessment = (riskLevel) => ({ riskLevel, riskScore: riskLevel === "LOW" ? 10 : 70, insights: ["Humidity is high."] });
+    n.observeRisk(box, assessment("HIGH"), t0);
+    n.observeRisk(box, assessment("LOW"), t0 + 30_000); // flapping: the timer restarts
+    n.observeRisk(box, assessment("HIGH"), t0 + 40_000);
+    n.observeRisk(box, assessment("HIGH"), t0 + 90_000);
+    assert.equal(n.deliveries.length, 0);
+    n.observeRisk(box, assessment("HIGH"), t0 + 100_000);
+    n.observeRisk(box, assessment("HIGH"), t0 + 200_000);
+    n.observeRisk(box, assessment("LOW"), t0 + 300_000);
+    n.observeRisk(box, assessment("LOW"), t0 + 360_000);
+    await settled(n);
+    assert.deepEqual(n.deliveries.map((d) => d.title), ["Risk HIGH (70/100)", "Risk back to LOW (10/100)"]);
+  });
+
+  it("raises a maintenance alert for a sensor fault that lasts", async () => {
+    const n = notifier();
+    n.onSensorFault(box, { metric: "humidity", fault: { kind: "stuck", detail: "no change for 10 min" } }, t0);
+    n.sweep(t0 + 60_000);
+    n.onSensorFault(box, { metric: "humidity", fault: null }, t0 + 90_000);
+    await settled(n);
+    assert.deepEqual(
+      requests.map((r) => r.body.text.split("\n")[0]),
+      [
+        "[ConserveBot] Maintenance: humidity sensor faulty — Safe box 1 (Storage room A)",
+        "[ConserveBot] Sensor recovered: humidity — Safe box 1 (Storage room A)",
+      ],
+    );
+  });
+
+  it("records failed deliveries", async () => {
+    const n = notifier();
+    n.setConfig({ ...config, channels: [{ ...config.channels[1], url: config.channels[1].url.replace("/slack", "/broken") }] });
+    assert.ok(n.test("team", box));
+    assert.equal(n.test("nope", box), false);
+    await settled(n);
+    assert.equal(n.deliveries[0].ok, false);
+  });
+
+  it("keeps its timers across a restart", async () => {
+    const incident = openIncident({ peakSeverity: "danger" });
+    const first = notifier();
+    first.onIncidentEvent(box, "opened", incident, t0);
+    first.onSensorFault(box, { metric: "temperature", fault: { kind: "pinned", detail: "at 35" } }, t0);
+    first.sweep(t0 + 60_000);
+    await settled(first);
+    assert.equal(requests.length, 2);
+
+    // Restored timers follow the live incident objects, not the saved copies
+    const live = { ...incident, lastValue: 61 };
+    const second = notifier({ findIncident: (boxId, id) => (boxId === box.id && id === incident.id ? live : null) });
+    assert.equal(second.incidents.get(incident.id).incident, live);
+    second.sweep(t0 + 61_000);
+    assert.equal(second.deliveries.length, 0, "nothing is sent twice");
+
+    second.sweep(t0 + 60_000 + 15 * 60_000);
+    await settled(second);
+    assert.deepEqual(second.deliveries.map((d) => d.event), ["incident_escalated"]);
+    assert.equal(second.faults.get("box-1:temperature").notified, true);
+
+    // Timers whose incident is gone are dropped
+    const third = notifier({ findIncident: () => null });
+    assert.equal(third.incidents.size, 0);
+  });
+
+  it("forgets a removed box", () => {
+    const n = notifier();
+    const other = { id: "box-2", name: "Safe box 2", location: "Archive vault" };
+    n.onIncidentEvent(box, "opened", openIncident(), t0);
+    n.onIncidentEvent(other, "opened", openIncident({ id: "inc-2", boxId: other.id }), t0);
+    n.observeRisk(box, { riskLevel: "HIGH", riskScore: 70, insights: [] }, t0);
+    n.onSensorFault(box, { metric: "humidity", fault: { kind: "missing", detail: "no value" } }, t0);
+
+    n.forgetBox(box.id);
+    assert.deepEqual([...n.incidents.keys()], ["inc-2"]);
+    assert.equal(n.risk.size, 0);
+    assert.equal(n.faults.size, 0);
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, "notification-state.json"), "utf8"));
+    assert.deepEqual(saved.incidents.map((t) => t.box.id), ["box-2"]);
+  });
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { absoluteHumidityGm3, condensationStatus, dewPointC, psychrometrics, withPsychrometrics } from "../src/psychro.js";
+
+describe("psychrometrics", () => {
+  it("matches reference dew points and absolute humidity", () => {
+    assert.ok(Math.abs(dewPointC(20, 50) - 9.26) < 0.01);
+    assert.ok(Math.abs(dewPointC(25, 100) - 25) < 1e-9);
+    assert.ok(Math.abs(dewPointC(30, 60) - 21.4) < 0.05);
+    assert.ok(Math.abs(absoluteHumidityGm3(20, 50) - 8.62) < 0.01);
+  });
+
+  it("measures the margin from the surface when the box reports it", () => {
+    assert.deepEqual(psychrometrics({ temperatureC: 20, humidityPct: 50 }), { dewPointC: 9.26, absHumidityGm3: 8.62, dewPointMarginC: 10.74 });
+    assert.equal(psychrometrics({ temperatureC: 20, humidityPct: 50, surfaceTempC: 12 }).dewPointMarginC, 2.74);
+  });
+
+  it("returns nulls when an input is missing or untrusted", () => {
+    const none = { dewPointC: null, absHumidityGm3: null, dewPointMarginC: null };
+    assert.deepEqual(psychrometrics({ temperatureC: 20 }), none);
+    assert.deepEqual(psychrometrics({ temperatureC: 20, humidityPct: 0 }), none);
+
+    const reading = { timestamp: "2026-01-01T00:00:00.000Z", temperatureC: 20, humidityPct: 50 };
+    assert.deepEqual(withPsychrometrics(reading, ["humidity"]), { ...reading, ...none });
+    assert.equal(withPsychrometrics(reading, ["moisture"]).dewPointC, 9.26);
+  });
+
+  it("grades the dew-point margin", () => {
+    assert.equal(condensationStatus(null), "unknown");
+    assert.equal(condensationStatus(0.5), "danger");
+    assert.equal(condensationStatus(1), "danger");
+    assert.equal(condensationStatus(3), "warn");
+    assert.equal(condensationStatus(3.1), "safe");
+  });
+});
@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { ScenarioError, parseDuration, parseScenarioText, validateScenario } from "../src/scenarios.js";
+
+const base = { id: "hvac-failure", name: "HVAC failure" };
+
+function errorsOf(events, extra = {}) {
+  return validateScenario({ ...base, ...extra, events }).errors;
+}
+
+describe("parseDuration", () => {
+  it("reads seconds and unit strings", () => {
+    assert.equal(parseDuration(30), 30_000);
+    assert.equal(parseDuration("90s"), 90_000);
+    assert.equal(parseDuration("+5m"), 300_000);
+    assert.equal(parseDuration("1.5h"), 5_400_000);
+    assert.equal(parseDuration("45"), 45_000);
+  });
+
+  it("returns NaN for anything else", () => {
+    for (const value of [-1, "-5m", "5 days", "", null, "1d"]) assert.ok(Number.isNaN(parseDuration(value)), String(value));
+  });
+});
+
+describe("validateScenario", () => {
+  it("sorts events and works out their timing", () => {
+    const { scenario, errors } = validateScenario({
+      ...base,
+      events: [
+        { at: "8m", type: "actuatorFailure", action: "DEHUMIDIFY", duration: "15m" },
+        { at: "5m", type: "drift", metric: "humidity", ratePerMin: 0.3, duration: "20m" },
+        { at: 60, type: "note", label: "Start", duration: "5m" },
+      ],
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      scenario.events.map((e) => [e.type, e.atMs, e.durationMs]),
+      [
+        ["note", 60_000, 0],
+        ["drift", 300_000, 1_200_000],
+        ["actuatorFailure", 480_000, 900_000],
+      ],
+    );
+    assert.equal(scenario.durationMs, 1_500_000);
+    assert.equal(scenario.loop, false);
+    assert.equal(scenario.description, "");
+  });
+
+  it("runs open-ended events until durationSec, or forever without one", () => {
+    const events = [{ at: 0, type: "door", state: "open" }];
+    assert.equal(validateScenario({ ...base, events }).scenario.durationMs, Infinity);
+    assert.equal(validateScenario({ ...base, durationSec: 600, events }).scenario.durationMs, 600_000);
+  });
+
+  it("checks the scenario fields before the events", () => {
+    assert.deepEqual(validateScenario([]).errors, ["id must be 1–64 characters a-z, 0-9 or -", "name is required", "events must be a non-empty list"]);
+    assert.deepEqual(validateScenario(null).errors, ["scenario must be an object"]);
+    assert.deepEqual(errorsOf([{ type: "note", label: "x" }], { id: "Bad Id", loop: "yes", durationSec: 0 }), [
+      "id must be 1–64 characters a-z, 0-9 or -",
+      "loop must be true or false",
+      "durationSec must be > 0",
+    ]);
+  });
+
+  it("reports every bad event with its index", () => {
+    assert.deepEqual(
+      errorsOf([
+        { type: "earthquake" },
+        { type: "drift", metric: "access", ratePerMin: "fast", at: "soon" },
+        { type: "set", metric: "humidity" },
+        { type: "door", state: "ajar", duration: 0 },
+        { type: "vibration", level: 2 },
+        { type: "actuatorFailure", action: "PANIC" },
+        { type: "note", label: 3 },
+        "wind",
+      ]),
+      [
+        "events[0].type must be one of drift, set, door, vibration, actuatorFailure, sensorFault, note",
+        "events[1].at must be seconds or a time like \"5m\"",
+        "events[1].metric must be one of temperature, humidity, moisture",
+        "events[1].ratePerMin must be a number",
+        "events[2].value must be a number",
+        "events[3].duration must be > 0",
+        'events[3].state must be "open" or "closed"',
+        "events[4].level must be between 0 and 1",
+        "events[5].action must be one of DEHUMIDIFY, HUMIDIFY, TRIGGER_AIRFLOW, ADJUST_TEMP_DOWN, ADJUST_TEMP_UP, LOCK_ACCESS",
+        "events[6].label is required for notes",
+        "events[6].label must be a string",
+        "events[7] must be an object",
+      ],
+    );
+  });
+
+  it("only accepts sensor faults the simulator can produce", () => {
+    assert.deepEqual(errorsOf([{ type: "sensorFault", metric: "humidity", kind: "jump" }]), []);
+    assert.deepEqual(errorsOf([{ type: "sensorFault", metric: "vibration", kind: "stuck" }]), []);
+    assert.deepEqual(errorsOf([{ type: "sensorFault", metric: "vibration", kind: "jump" }]), [
+      "events[0].kind jump isn't available for the vibration sensor",
+    ]);
+    assert.deepEqual(errorsOf([{ type: "sensorFault", metric: "door", kind: "melted" }]), [
+      "events[0].metric must be one of temperature, humidity, moisture, vibration",
+      "events[0].kind must be one of stuck, jump, pinned, missing",
+    ]);
+  });
+});
+
+describe("parseScenarioText", () => {
+  it("reads JSON and YAML into the same body", () => {
+    const json = parseScenarioText('{"id":"a","name":"A","events":[{"at":"5m","type":"door","state":"open"}]}');
+    const yaml = parseScenarioText("id: a\nname: A\nevents:\n  - at: 5m\n    type: door\n    state: open\n", "yaml");
+    assert.deepEqual(yaml, json);
+  });
+
+  it("throws a 400 ScenarioError when the text doesn't parse", () => {
+    for (const [text, format, message] of [
+      ["{ not json", "json", "Scenario is not valid JSON"],
+      ["events: [unclosed", "yaml", "Scenario is not valid YAML"],
+    ]) {
+      assert.throws(
+        () => parseScenarioText(text, format),
+        (err) => err instanceof ScenarioError && err.status === 400 && err.message === message && err.details.length === 1,
+      );
+    }
+  });
+});
@@ -1,8 +1,10 @@
 import './App.css'
-import { useEffect, useMemo, useRef, useState } from 'react'
-import { Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis, CartesianGrid } from 'recharts'
-import { getJson, postJson } from './api'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { getApiKey, getJson, postJson, setApiKey } from './api'
+import { LiveConnection, POLL_EVERY_MS } from './live'
+import { RiskBreakdown } from './components/RiskBreakdown'
 import { RiskGauge } from './components/RiskGauge'
+import { TrendCharts } from './components/TrendCharts'
 
 function fmtTime(iso) {
   if (!iso) return ''
@@ -10,13 +12,49 @@ function fmtTime(iso) {
   return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })
 }
 
+// The fields the trend charts plot
+function chartPoint(p) {
+  return {
+    t: new Date(p.timestamp).getTime(),
+    temperatureC: p.temperatureC,
+    humidityPct: p.humidityPct,
+    moisturePct: p.moisturePct,
+    vibration: p.vibration,
+    opensPerHour: p.opensPerHour,
+  }
+}
+
+// Live log entries that are also chart markers (see backend markers.js)
+function logMarker(entry) {
+  if (entry.kind !== 'AUTO_REMEDIATION' && entry.kind !== 'MANUAL_ACTION') return null
+  return { timestamp: entry.timestamp, kind: 'action', actionType: entry.actionType, label: entry.label }
+}
+
 function metricPill(color, label) {
   return <span className={`pill ${color}`}>{label}</span>
 }
 
-function MetricCard({ title, value, unit, statusColor, statusText, rangeText }) {
+// Engine suggestions use the fixed-length lock; the manual API takes a duration.
+function manualBody(action) {
+  if (action.type === 'LOCK_ACCESS_10_MIN') return { type: 'LOCK_ACCESS', durationMin: 10, reason: `Suggested: ${action.reason}` }
+  return { type: action.type, reason: `Suggested: ${action.reason}` }
+}
+
+// Readings older than this (by arrival) count as stale
+const STALE_AFTER_SEC = 10
+
+function connectionNote(state, ageSec) {
+  const age = ageSec == null ? '' : ` Data is ${ageSec} seconds old.`
+  if (state === 'offline') return `You are offline.${age}`
+  if (state === 'reconnecting') return `Disconnected, reconnecting…${age}`
+  if (state === 'connecting') return 'Connecting…'
+  if (ageSec != null && ageSec > STALE_AFTER_SEC) return `No new readings for ${ageSec} seconds.`
+  return null
+}
+
+function MetricCard({ title, value, unit, statusColor, statusText, rangeText, stale }) {
   return (
-    <div className="metricCard">
+    <div className={stale ? 'metricCard stale' : 'metricCard'} title={stale || undefined}>
       <div className="metricTop">
         <div className="metricName">{title}</div>
         {metricPill(statusColor, statusText)}
@@ -26,6 +64,55 @@ function MetricCard({ title, value, unit, statusColor, statusText, rangeText })
         <span className="tiny"> {unit}</span>
       </div>
       <div className="metricRange">{rangeText}</div>
+      {stale ? <div className="staleNote">{stale}</div> : null}
+    </div>
+  )
+}
+
+const DOSE_COLORS = { safe: 'green', warn: 'yellow', danger: 'red', unknown: 'gray' }
+
+// Cumulative indices (backend dose.js): how much the conditions so far have cost the collection
+function DoseCard({ dose }) {
+  const rows = dose
+    ? [
+        {
+          label: 'TWPI',
+          value: dose.twpi.years != null ? `${dose.twpi.years} yrs` : '—',
+          status: dose.twpi.status,
+          hint: `Time-weighted preservation index • ${dose.twpi.lifeUsedPct}% of a 1-year life used`,
+        },
+        {
+          label: 'Mold',
+          value: dose.mold.index,
+          status: dose.mold.status,
+          hint: `Germination index (1 = expected) • ${dose.mold.hoursAtRisk} h above the isopleths`,
+        },
+        {
+          label: 'RH swings',
+          value: dose.fluctuation.meanDailySwingPct != null ? `${dose.fluctuation.meanDailySwingPct}%/day` : '—',
+          status: dose.fluctuation.status,
+          hint: `Max ${dose.fluctuation.maxDailySwingPct ?? '—'}% • ${dose.fluctuation.meanCyclesPerDay ?? '—'} cycles/day over ${dose.fluctuation.days} days`,
+        },
+      ]
+    : []
+
+  return (
+    <div className="metricCard">
+      <div className="metricTop">
+        <div className="metricName">Preservation dose</div>
+        <span className="tiny">{dose ? `${dose.exposureHours} h tracked` : '—'}</span>
+      </div>
+      <div className="doseRows">
+        {rows.map((row) => (
+          <div key={row.label} className="doseRow">
+            <div>
+              <b>{row.label}</b> {row.value}
+              <div className="metricRange">{row.hint}</div>
+            </div>
+            {metricPill(DOSE_COLORS[row.status] || 'gray', row.status.toUpperCase())}
+          </div>
+        ))}
+      </div>
     </div>
   )
 }
@@ -33,18 +120,60 @@ function MetricCard({ title, value, unit, statusColor, statusText, rangeText })
 function App() {
   const [artifactTypes, setArtifactTypes] = useState([])
   const [demoModes, setDemoModes] = useState([])
+  const [controlModes, setControlModes] = useState([])
+  const [manualActions, setManualActions] = useState([])
+  const [boxes, setBoxes] = useState([])
+  const [boxId, setBoxId] = useState('')
 
   const [artifactType, setArtifactType] = useState('FOSSILS')
   const [demoMode, setDemoMode] = useState('normal')
+  const [controlMode, setControlMode] = useState('auto')
+  const [actionReason, setActionReason] = useState('')
+  const [lockMinutes, setLockMinutes] = useState(30)
   const [range, setRange] = useState('24h')
 
   const [standards, setStandards] = useState(null)
   const [tick, setTick] = useState(null)
+  const [source, setSource] = useState(null)
   const [history, setHistory] = useState([])
+  // Brush window on the trend charts, with the finer history loaded for it
+  const [zoom, setZoom] = useState(null)
+  const [zoomHistory, setZoomHistory] = useState([])
+  const [markers, setMarkers] = useState([])
   const [logs, setLogs] = useState([])
+  const [incidents, setIncidents] = useState([])
   const [error, setError] = useState('')
+  const [needsKey, setNeedsKey] = useState(!getApiKey())
+  const [keyDraft, setKeyDraft] = useState('')
+
+  // Live connection state, and when the selected box's latest tick arrived (wall time)
+  const [connection, setConnection] = useState('connecting')
+  const [tickArrivedAt, setTickArrivedAt] = useState(null)
+  const [now, setNow] = useState(() => Date.now())
+  // Bumped to refetch the box (status, logs, incidents) or its history after a reconnect / poll
+  const [boxReload, setBoxReload] = useState(0)
+  const [historyReload, setHistoryReload] = useState(0)
+
+  const showError = useCallback((e) => {
+    if (e?.status === 401) setNeedsKey(true)
+    setError(String(e?.message || e))
+  }, [])
+
+  const boxIdRef = useRef('')
+  const tickTimestampRef = useRef(null)
+
+  const receiveTick = useCallback((next) => {
+    setTick(next)
+    if (next && next.timestamp !== tickTimestampRef.current) {
+      tickTimestampRef.current = next.timestamp
+      setTickArrivedAt(Date.now())
+    }
+  }, [])
 
-  const wsRef = useRef(null)
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
 
   // Initial load
   useEffect(() => {
@@ -52,106 +181,226 @@ function App() {
     async function load() {
       try {
         const types = await getJson('/api/artifact-types')
-        const status = await getJson('/api/status')
-        const hist = await getJson(`/api/history?range=${range}`)
-        const logRes = await getJson('/api/logs?limit=30')
+        const boxRes = await getJson('/api/boxes')
 
         if (cancelled) return
         setArtifactTypes(types.artifactTypes)
         setDemoModes(types.demoModes)
+        setControlModes(types.controlModes)
+        setManualActions(types.manualActions)
+        setBoxes(boxRes.boxes)
+        setBoxId((prev) => prev || boxRes.boxes[0]?.id || '')
+      } catch (e) {
+        showError(e)
+      }
+    }
+    load()
+    return () => {
+      cancelled = true
+    }
+  }, [showError])
+
+  // Load the selected box
+  useEffect(() => {
+    boxIdRef.current = boxId
+    if (!boxId) return
+    let cancelled = false
+    async function loadBox() {
+      try {
+        const status = await getJson(`/api/boxes/${boxId}/status`)
+        const logRes = await getJson(`/api/boxes/${boxId}/logs?limit=30`)
+        const incidentRes = await getJson(`/api/boxes/${boxId}/incidents?state=open`)
+
+        if (cancelled) return
         setArtifactType(status.config.artifactType)
         setDemoMode(status.config.demoMode)
+        setControlMode(status.config.controlMode)
         setStandards(status.standards)
-        setTick(status.live)
-        setHistory(hist.points)
+        receiveTick(status.live)
+        setSource(status.source)
         setLogs(logRes.logs)
+        setIncidents(incidentRes.incidents)
       } catch (e) {
-        setError(String(e?.message || e))
+        showError(e)
       }
     }
-    load()
+    loadBox()
     return () => {
       cancelled = true
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [])
+  }, [boxId, boxReload, receiveTick, showError])
 
-  // Refresh history when range changes
+  // Refresh history when range or box changes
   useEffect(() => {
+    if (!boxId) return
     let cancelled = false
     async function loadRange() {
       try {
-        const hist = await getJson(`/api/history?range=${range}`)
+        const hist = await getJson(`/api/boxes/${boxId}/history?range=${range}`)
         if (cancelled) return
         setHistory(hist.points)
       } catch (e) {
-        setError(String(e?.message || e))
+        showError(e)
       }
     }
     loadRange()
     return () => {
       cancelled = true
     }
-  }, [range])
+  }, [range, boxId, historyReload, showError])
 
-  // WebSocket live stream
+  // Finer history for the zoomed window
   useEffect(() => {
-    const ws = new WebSocket(`${location.origin.replace('http', 'ws')}/ws`)
-    wsRef.current = ws
+    if (!boxId || !zoom) return
+    let cancelled = false
+    async function loadZoom() {
+      try {
+        const hist = await getJson(`/api/boxes/${boxId}/history?from=${zoom.fromMs}&to=${zoom.toMs}&maxPoints=600&aggregates=mean`)
+        if (cancelled) return
+        setZoomHistory(hist.points)
+      } catch (e) {
+        showError(e)
+      }
+    }
+    loadZoom()
+    return () => {
+      cancelled = true
+    }
+  }, [zoom, boxId, historyReload, showError])
 
-    ws.onmessage = (ev) => {
+  // Door openings, remediation actions and incidents to mark on the charts
+  useEffect(() => {
+    if (!boxId) return
+    let cancelled = false
+    async function loadMarkers() {
       try {
-        const msg = JSON.parse(ev.data)
-        if (msg.type === 'hello') {
-          setStandards(msg.data.standards)
-          setArtifactType(msg.data.config.artifactType)
-          setDemoMode(msg.data.config.demoMode)
-        }
-        if (msg.type === 'tick') {
-          setTick(msg.data)
-          setStandards(msg.data.standards)
-        }
-        if (msg.type === 'log') {
-          setLogs((prev) => [msg.data, ...prev].slice(0, 30))
+        const window = zoom ? `from=${zoom.fromMs}&to=${zoom.toMs}` : `range=${range}`
+        const res = await getJson(`/api/boxes/${boxId}/markers?${window}`)
+        if (cancelled) return
+        setMarkers(res.markers)
+      } catch (e) {
+        showError(e)
+      }
+    }
+    loadMarkers()
+    return () => {
+      cancelled = true
+    }
+  }, [zoom, range, boxId, historyReload, showError])
+
+  // Live stream: reconnects and resumes by itself, polls when WebSockets are blocked (see live.js)
+  useEffect(() => {
+    function onEvent(msg) {
+      // Boxes come and go (e.g. replays of recordings)
+      if (msg.type === 'boxAdded') {
+        setBoxes((prev) => [...prev.filter((b) => b.id !== msg.boxId), msg.data])
+        return
+      }
+      if (msg.type === 'boxRemoved') {
+        setBoxes((prev) => {
+          const next = prev.filter((b) => b.id !== msg.boxId)
+          if (msg.boxId === boxIdRef.current) {
+            setBoxId(next[0]?.id || '')
+            setZoom(null)
+          }
+          return next
+        })
+        return
+      }
+      // The stream carries every box; only follow the selected one.
+      if (msg.boxId !== boxIdRef.current) return
+      if (msg.type === 'config') {
+        setStandards(msg.data.standards)
+        setArtifactType(msg.data.config.artifactType)
+        setDemoMode(msg.data.config.demoMode)
+        setControlMode(msg.data.config.controlMode)
+      }
+      if (msg.type === 'tick') {
+        receiveTick(msg.data)
+        setStandards(msg.data.standards)
+      }
+      if (msg.type === 'source') {
+        setSource(msg.data)
+      }
+      if (msg.type === 'incident') {
+        const { event, incident } = msg.data
+        setIncidents((prev) => {
+          const rest = prev.filter((i) => i.id !== incident.id)
+          return event === 'resolved' ? rest : [incident, ...rest]
+        })
+        if (event === 'opened') {
+          const marker = { timestamp: incident.startedAt, kind: 'incident', incidentId: incident.id, metric: incident.metric, severity: incident.severity }
+          setMarkers((prev) => [...prev, { ...marker, label: `${incident.metric} ${incident.severity.toUpperCase()}` }])
         }
-      } catch {
-        // ignore
+      }
+      if (msg.type === 'log') {
+        setLogs((prev) => [msg.data, ...prev].slice(0, 30))
+        const marker = logMarker(msg.data)
+        if (marker) setMarkers((prev) => [...prev, marker])
       }
     }
 
-    ws.onerror = () => setError('WebSocket error (is the backend running on :3001?)')
-    return () => ws.close()
-  }, [])
+    const live = new LiveConnection({
+      onEvent,
+      onState: setConnection,
+      // After a reconnect the chart missed points either way; the rest only if events were lost
+      onResync: ({ initial, resumed, snapshot }) => {
+        if (snapshot) setBoxes(snapshot.boxes)
+        if (initial) return
+        setHistoryReload((n) => n + 1)
+        if (!resumed) setBoxReload((n) => n + 1)
+      },
+      onPoll: () => setBoxReload((n) => n + 1),
+    })
+    live.start()
+    return () => live.stop()
+  }, [receiveTick])
+
+  async function acknowledgeIncident(id) {
+    try {
+      const res = await postJson(`/api/incidents/${id}/ack`, {})
+      setIncidents((prev) => prev.map((i) => (i.id === id ? res.incident : i)))
+    } catch (e) {
+      showError(e)
+    }
+  }
+
+  async function triggerAction(body) {
+    try {
+      await postJson(`/api/boxes/${boxId}/actions`, body)
+      setError('')
+    } catch (e) {
+      showError(e)
+    }
+  }
 
   async function applyConfig(next) {
     try {
-      await postJson('/api/config', next)
-      const status = await getJson('/api/status')
-      const hist = await getJson(`/api/history?range=${range}`)
+      await postJson(`/api/boxes/${boxId}/config`, next)
+      const status = await getJson(`/api/boxes/${boxId}/status`)
+      const hist = await getJson(`/api/boxes/${boxId}/history?range=${range}`)
       setStandards(status.standards)
-      setTick(status.live)
+      receiveTick(status.live)
       setHistory(hist.points)
       setError('')
     } catch (e) {
-      setError(String(e?.message || e))
+      showError(e)
     }
   }
 
   const reading = tick?.reading
   const assessment = tick?.assessment
 
+  const ageSec = tickArrivedAt ? Math.max(0, Math.round((now - tickArrivedAt) / 1000)) : null
+  const staleNote =
+    connectionNote(connection, ageSec) ?? (source?.state === 'stale' ? 'The box is not reporting readings.' : null)
+
+  // The brush works on the stored range; the charts show the zoomed window, or the range + latest tick
+  const overviewData = useMemo(() => history.map(chartPoint), [history])
   const chartData = useMemo(() => {
-    // Recharts wants consistent keys. Use history + latest tick.
-    const pts = [...history]
-    if (reading) pts.push(reading)
-    return pts.map((p) => ({
-      t: new Date(p.timestamp).getTime(),
-      time: new Date(p.timestamp).toLocaleString([], { month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }),
-      temperatureC: p.temperatureC,
-      humidityPct: p.humidityPct,
-      moisturePct: p.moisturePct,
-    }))
-  }, [history, reading])
+    if (zoom) return zoomHistory.map(chartPoint)
+    return reading ? [...overviewData, chartPoint(reading)] : overviewData
+  }, [zoom, zoomHistory, overviewData, reading])
 
   return (
     <div className="appShell">
@@ -161,6 +410,24 @@ function App() {
           <div className="brandSub">AI-assisted monitoring + auto-remediation for artifact preservation safe boxes (mock prototype)</div>
         </div>
         <div className="controls">
+          <div className="control">
+            <label>Safe box</label>
+            <select
+              value={boxId}
+              onChange={(e) => {
+                setBoxId(e.target.value)
+                setZoom(null)
+              }}
+            >
+              {boxes.map((b) => (
+                <option key={b.id} value={b.id}>
+                  {b.name}
+                  {b.location ? ` — ${b.location}` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
           <div className="control">
             <label>Artifact type</label>
             <select
@@ -197,9 +464,33 @@ function App() {
             </select>
           </div>
 
+          <div className="control">
+            <label>Control mode</label>
+            <select
+              value={controlMode}
+              onChange={(e) => {
+                const next = e.target.value
+                setControlMode(next)
+                applyConfig({ controlMode: next })
+              }}
+            >
+              {controlModes.map((m) => (
+                <option key={m} value={m}>
+                  {m}
+                </option>
+              ))}
+            </select>
+          </div>
+
           <div className="control">
             <label>History range</label>
-            <select value={range} onChange={(e) => setRange(e.target.value)}>
+            <select
+              value={range}
+              onChange={(e) => {
+                setRange(e.target.value)
+                setZoom(null)
+              }}
+            >
               <option value="24h">24h</option>
               <option value="7d">7d</option>
             </select>
@@ -207,24 +498,53 @@ function App() {
         </div>
       </div>
 
-      {error ? (
+      {needsKey ? (
+        <div className="panel">
+          <div className="panelTitle">API key required</div>
+          <div className="panelMeta">Paste the key an admin created for you (the backend prints the first admin key on startup).</div>
+          <form
+            className="inlineForm"
+            onSubmit={(e) => {
+              e.preventDefault()
+              setApiKey(keyDraft.trim())
+              location.reload()
+            }}
+          >
+            <input type="password" value={keyDraft} onChange={(e) => setKeyDraft(e.target.value)} placeholder="cb_…" />
+            <button className="smallButton" type="submit">
+              Save key
+            </button>
+          </form>
+        </div>
+      ) : null}
+
+      {error && !needsKey ? (
         <div className="panel">
           <div className="panelTitle">Connection note</div>
           <div className="panelMeta">{error}</div>
         </div>
       ) : null}
 
+      {connection === 'polling' || staleNote ? (
+        <div className={`connectionBanner ${connection === 'live' || connection === 'polling' ? 'warn' : 'down'}`}>
+          {staleNote ?? `Live stream unavailable (blocked by a proxy?). Updating every ${POLL_EVERY_MS / 1000} seconds instead.`}
+          {connection === 'polling' && staleNote ? ` Updating every ${POLL_EVERY_MS / 1000} seconds.` : ''}
+        </div>
+      ) : null}
+
       <div className="grid">
         <div className="panel">
           <div className="panelHeader">
             <div className="panelTitle">Real-time conditions</div>
             <div className="panelMeta">
-              Last update: <b>{fmtTime(tick?.timestamp)}</b> • Door: <b>{reading?.doorState || '—'}</b> • Opens/hr: <b>{reading?.opensPerHour ?? '—'}</b>
+              Last update: <b>{fmtTime(tick?.timestamp)}</b> • Source: <b>{source ? `${source.kind} (${source.state})` : '—'}</b> • Standards:{' '}
+              <b>{standards ? `${standards.label} v${standards.version}` : '—'}</b> • Door: <b>{reading?.doorState || '—'}</b> • Opens/hr: <b>{reading?.opensPerHour ?? '—'}</b>
             </div>
           </div>
 
           <div className="cards">
             <MetricCard
+              stale={staleNote}
               title="Temperature"
               value={reading?.temperatureC ?? '—'}
               unit="°C"
@@ -237,6 +557,7 @@ function App() {
               }
             />
             <MetricCard
+              stale={staleNote}
               title="Humidity"
               value={reading?.humidityPct ?? '—'}
               unit="%"
@@ -249,6 +570,7 @@ function App() {
               }
             />
             <MetricCard
+              stale={staleNote}
               title="Moisture"
               value={reading?.moisturePct ?? '—'}
               unit="%"
@@ -257,6 +579,7 @@ function App() {
               rangeText={standards ? `Goal <${standards.moisturePct.safeMax}% (warn <${standards.moisturePct.warnMax}%)` : '—'}
             />
             <MetricCard
+              stale={staleNote}
               title="Access activity"
               value={reading?.opensPerHour ?? '—'}
               unit="opens/hr"
@@ -269,6 +592,7 @@ function App() {
               }
             />
             <MetricCard
+              stale={staleNote}
               title="Vibration"
               value={reading?.vibration ?? '—'}
               unit="(0–1)"
@@ -276,6 +600,19 @@ function App() {
               statusText={assessment?.statuses?.vibration?.status?.toUpperCase() || '—'}
               rangeText={standards ? `Safe ≤${standards.vibration.safeMax} (warn ≤${standards.vibration.warnMax})` : '—'}
             />
+            <MetricCard
+              stale={staleNote}
+              title="Dew-point margin"
+              value={reading?.dewPointMarginC ?? '—'}
+              unit="°C"
+              statusColor={assessment?.statuses?.condensation?.color || 'green'}
+              statusText={assessment?.statuses?.condensation?.status?.toUpperCase() || '—'}
+              rangeText={
+                reading?.dewPointC != null
+                  ? `Dew point ${reading.dewPointC}°C • ${reading.absHumidityGm3} g/m³ (condensation warn ≤3°C)`
+                  : '—'
+              }
+            />
             <div className="metricCard">
               <div className="metricTop">
                 <div className="metricName">Conservation risk score</div>
@@ -284,33 +621,30 @@ function App() {
                   assessment?.riskLevel || '—',
                 )}
               </div>
-              <RiskGauge riskScore={assessment?.riskScore ?? 0} riskLevel={assessment?.riskLevel || 'LOW'} />
+              <RiskGauge riskScore={assessment?.riskScore ?? 0} riskLevel={assessment?.riskLevel || 'LOW'} stale={staleNote} />
             </div>
+            <DoseCard dose={tick?.dose} />
           </div>
 
           <div style={{ height: 12 }} />
 
           <div className="panelHeader">
             <div className="panelTitle">Historical trends ({range})</div>
-            <div className="panelMeta">Live point is appended to the end</div>
+            <div className="panelMeta">
+              {zoom
+                ? `Zoomed: ${new Date(zoom.fromMs).toLocaleString()} – ${new Date(zoom.toMs).toLocaleString()}`
+                : 'Live point is appended to the end • drag the brush to zoom in'}
+            </div>
           </div>
 
-          <div className="chartWrap">
-            <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={chartData}>
-                <CartesianGrid stroke="rgba(255,255,255,0.08)" />
-                <XAxis dataKey="time" hide />
-                <YAxis yAxisId="left" stroke="rgba(255,255,255,0.55)" />
-                <Tooltip
-                  contentStyle={{ background: 'rgba(10,14,22,0.95)', border: '1px solid rgba(255,255,255,0.12)' }}
-                  labelFormatter={(v, payload) => payload?.[0]?.payload?.time || v}
-                />
-                <Line yAxisId="left" type="monotone" dataKey="temperatureC" name="Temp (°C)" stroke="#7dd3fc" dot={false} strokeWidth={2} />
-                <Line yAxisId="left" type="monotone" dataKey="humidityPct" name="Humidity (%)" stroke="#34d399" dot={false} strokeWidth={2} />
-                <Line yAxisId="left" type="monotone" dataKey="moisturePct" name="Moisture (%)" stroke="#fdb022" dot={false} strokeWidth={2} />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
+          <TrendCharts
+            data={chartData}
+            overview={overviewData}
+            standards={standards}
+            markers={markers}
+            zoomed={Boolean(zoom)}
+            onZoom={setZoom}
+          />
         </div>
 
         <div className="split">
@@ -322,10 +656,13 @@ function App() {
               </div>
             </div>
             <div className="list">
-              {(assessment?.insights || ['—']).slice(0, 8).map((t, idx) => (
+              {(assessment?.breakdown?.insights || [{ rule: null, text: '—' }]).slice(0, 8).map((i, idx) => (
                 <div className="listItem" key={idx}>
-                  <div className="listItemTitle">{t}</div>
-                  <div className="listItemSub">Explainable rules + trend scoring (no external AI APIs)</div>
+                  <div className="listItemTitle">{i.text}</div>
+                  <div className="listItemSub">
+                    Explainable rules + trend scoring (no external AI APIs)
+                    {i.rule ? <span className="ruleTag">{i.rule}</span> : null}
+                  </div>
                 </div>
               ))}
             </div>
@@ -343,6 +680,7 @@ function App() {
                     <div className="listItemTitle">{l.label || l.kind}</div>
                     <div className="listItemSub">
                       <b>{fmtTime(l.timestamp)}</b> — {l.reason || l.message || ''}
+                      {l.actor && l.actor.id !== 'system' ? ` (${l.actor.name})` : ''}
                     </div>
                   </div>
                 ))
@@ -356,6 +694,115 @@ function App() {
           </div>
         </div>
       </div>
+
+      <div className="panel panelRow">
+        <div className="panelHeader">
+          <div className="panelTitle">Why this score</div>
+          <div className="panelMeta">Weighted metric risks, then the trend and door amplifiers</div>
+        </div>
+        <RiskBreakdown breakdown={assessment?.breakdown} />
+      </div>
+
+      <div className="panel panelRow">
+        <div className="panelHeader">
+          <div className="panelTitle">Open incidents</div>
+          <div className="panelMeta">One record per excursion, resolved after a minute back in range</div>
+        </div>
+        <div className="list">
+          {incidents.length ? (
+            incidents.map((i) => (
+              <div className="listItem incidentItem" key={i.id}>
+                <div>
+                  <div className="listItemTitle">
+                    {metricPill(i.severity === 'danger' ? 'red' : 'yellow', i.severity.toUpperCase())} {i.metric}
+                  </div>
+                  <div className="listItemSub">
+                    Since <b>{fmtTime(i.startedAt)}</b> • peak {i.peakValue} • {i.actions.length ? i.actions.map((a) => `${a.type}×${a.count}`).join(', ') : 'no actions yet'}
+                    {i.acknowledged ? ` • acknowledged by ${i.acknowledged.by}` : ''}
+                  </div>
+                </div>
+                {i.acknowledged ? null : (
+                  <button className="smallButton" onClick={() => acknowledgeIncident(i.id)}>
+                    Acknowledge
+                  </button>
+                )}
+              </div>
+            ))
+          ) : (
+            <div className="listItem">
+              <div className="listItemTitle">No open incidents</div>
+              <div className="listItemSub">Everything is within the warn thresholds.</div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="panel panelRow">
+        <div className="panelHeader">
+          <div className="panelTitle">Manual control</div>
+          <div className="panelMeta">
+            Mode: <b>{controlMode}</b> —{' '}
+            {controlMode === 'auto'
+              ? 'ConserveBot executes its own actions'
+              : controlMode === 'advisory'
+                ? 'ConserveBot suggests actions, you decide'
+                : 'auto-remediation is off'}
+          </div>
+        </div>
+        {controlMode === 'advisory' ? (
+          <div className="list">
+            {assessment?.actions?.length ? (
+              assessment.actions.map((a) => (
+                <div className="listItem incidentItem" key={a.type}>
+                  <div>
+                    <div className="listItemTitle">{a.label}</div>
+                    <div className="listItemSub">
+                      {a.reason}
+                      {a.rule ? <span className="ruleTag">{a.rule}</span> : null}
+                    </div>
+                  </div>
+                  <button className="smallButton" onClick={() => triggerAction(manualBody(a))}>
+                    Apply
+                  </button>
+                </div>
+              ))
+            ) : (
+              <div className="listItem">
+                <div className="listItemTitle">No suggestions right now</div>
+              </div>
+            )}
+          </div>
+        ) : null}
+        <div className="inlineForm">
+          <input value={actionReason} onChange={(e) => setActionReason(e.target.value)} placeholder="Reason (required)" />
+          <input
+            className="narrowInput"
+            type="number"
+            min="1"
+            value={lockMinutes}
+            onChange={(e) => setLockMinutes(e.target.value)}
+            title="Lock duration (minutes)"
+          />
+        </div>
+        <div className="actionButtons">
+          {manualActions.map((a) => (
+            <button
+              className="smallButton"
+              key={a.type}
+              disabled={!actionReason.trim()}
+              onClick={() =>
+                triggerAction({
+                  type: a.type,
+                  reason: actionReason,
+                  ...(a.type === 'LOCK_ACCESS' ? { durationMin: Number(lockMinutes) } : {}),
+                })
+              }
+            >
+              {a.type === 'LOCK_ACCESS' ? `${a.label} (${lockMinutes} min)` : a.label}
+            </button>
+          ))}
+        </div>
+      </div>
     </div>
   )
 }
@@ -1,16 +1,47 @@
+const KEY_STORAGE = 'conservebot.apiKey';
+
+export function getApiKey() {
+  return localStorage.getItem(KEY_STORAGE) || '';
+}
+
+export function setApiKey(key) {
+  if (key) localStorage.setItem(KEY_STORAGE, key);
+  else localStorage.removeItem(KEY_STORAGE);
+}
+
+export class ApiError extends Error {
+  constructor(status) {
+    super(status === 401 ? 'API key missing or invalid' : `Request failed: ${status}`);
+    this.status = status;
+  }
+}
+
+function authHeaders() {
+  const key = getApiKey();
+  return key ? { Authorization: `Bearer ${key}` } : {};
+}
+
+// Browsers can't set headers on a WebSocket, so the key goes in the query string.
+export function wsUrl(path, params = {}) {
+  const query = new URLSearchParams(params);
+  const key = getApiKey();
+  if (key) query.set('token', key);
+  const base = `${location.origin.replace('http', 'ws')}${path}`;
+  return query.toString() ? `${base}?${query}` : base;
+}
+
 export async function getJson(path) {
-  const res = await fetch(path);
-  if (!res.ok) throw new Error(`Request failed: ${res.status}`);
+  const res = await fetch(path, { headers: authHeaders() });
+  if (!res.ok) throw new ApiError(res.status);
   return res.json();
 }
 
 export async function postJson(path, body) {
   const res = await fetch(path, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
     body: JSON.stringify(body),
   });
-  if (!res.ok) throw new Error(`Request failed: ${res.status}`);
+  if (!res.ok) throw new ApiError(res.status);
   return res.json();
 }
-
@@ -0,0 +1,98 @@
+import './RiskBreakdown.css';
+
+const METRIC_LABELS = {
+  temperature: 'Temperature',
+  humidity: 'Humidity',
+  moisture: 'Moisture',
+  access: 'Access',
+  vibration: 'Vibration',
+};
+
+function fmtPoints(points) {
+  const rounded = Math.round(points * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded}`;
+}
+
+// Rows of the waterfall: each step starts where the previous one ended
+function waterfallRows(breakdown) {
+  const steps = [
+    ...breakdown.metrics.map((m) => ({
+      key: `metric:${m.metric}`,
+      label: METRIC_LABELS[m.metric] ?? m.metric,
+      detail: m.excluded
+        ? 'sensor faulty — left out'
+        : `risk ${Math.round(m.risk)} × ${Math.round(m.share * 100)}% weight`,
+      points: m.contribution,
+      kind: 'metric',
+      muted: m.excluded,
+    })),
+    ...breakdown.amplifiers.map((a) => ({
+      key: `amp:${a.rule}`,
+      label: a.label,
+      detail: a.rule,
+      points: a.points,
+      kind: 'amplifier',
+    })),
+  ];
+  if (breakdown.adjustment) {
+    steps.push({ key: 'adjustment', label: 'Rounding / 0–100 limit', detail: '', points: breakdown.adjustment, kind: 'adjustment' });
+  }
+
+  let running = 0;
+  return steps.map((step) => {
+    const from = running;
+    running += step.points;
+    return { ...step, from, to: running };
+  });
+}
+
+/**
+ * Waterfall of the assessment's `breakdown`: how much each metric's weighted
+ * risk and each amplifier added to (or took from) the score, plus whether the
+ * action gate let actions through.
+ */
+export function RiskBreakdown({ breakdown }) {
+  if (!breakdown) return <div className="tiny">Waiting for the first assessment…</div>;
+
+  const rows = waterfallRows(breakdown);
+  const top = Math.max(100, ...rows.map((r) => Math.max(r.from, r.to)));
+  const pct = (x) => `${(Math.max(0, x) / top) * 100}%`;
+  const { actionGate } = breakdown;
+
+  return (
+    <div className="riskBreakdown">
+      {rows.map((r) => {
+        const low = Math.min(r.from, r.to);
+        const width = Math.abs(r.to - r.from);
+        const dir = r.points < 0 ? 'down' : r.points > 0 ? 'up' : 'zero';
+        return (
+          <div className={`waterfallRow ${r.muted ? 'muted' : ''}`} key={r.key}>
+            <div className="waterfallLabel">
+              <div>{r.label}</div>
+              {r.detail ? <div className="tiny">{r.detail}</div> : null}
+            </div>
+            <div className="waterfallTrack">
+              <div className={`waterfallBar ${r.kind} ${dir}`} style={{ left: pct(low), width: pct(width) }} />
+            </div>
+            <div className={`waterfallPoints ${dir}`}>{fmtPoints(r.points)}</div>
+          </div>
+        );
+      })}
+      <div className="waterfallRow total">
+        <div className="waterfallLabel">Risk score</div>
+        <div className="waterfallTrack">
+          <div className="waterfallBar total" style={{ left: 0, width: pct(breakdown.riskScore) }} />
+          <div className="waterfallGate" style={{ left: pct(actionGate.minScore) }} title={`Action gate: ${actionGate.minScore}`} />
+        </div>
+        <div className="waterfallPoints">{breakdown.riskScore}</div>
+      </div>
+      <div className="tiny">
+        {actionGate.open
+          ? `Score is at or above ${actionGate.minScore}, so actions are recommended.`
+          : actionGate.held.length
+            ? `Score is below ${actionGate.minScore}: held back ${actionGate.held.map((a) => `${a.label} (${a.rule})`).join(', ')}.`
+            : `Actions are only recommended from a score of ${actionGate.minScore}.`}
+      </div>
+    </div>
+  );
+}
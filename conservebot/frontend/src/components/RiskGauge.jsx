@@ -7,16 +7,17 @@ function colorForRisk(riskScore) {
   return 'var(--danger)';
 }
 
-export function RiskGauge({ riskScore = 0, riskLevel = 'LOW' }) {
+// `stale` (a note like "Data is 40 seconds old.") greys the gauge out.
+export function RiskGauge({ riskScore = 0, riskLevel = 'LOW', stale = null }) {
   const r = 52;
   const c = 2 * Math.PI * r;
   const pct = Math.max(0, Math.min(100, riskScore)) / 100;
   const dash = c * pct;
   const gap = c - dash;
-  const stroke = colorForRisk(riskScore);
+  const stroke = stale ? 'var(--muted)' : colorForRisk(riskScore);
 
   return (
-    <div className="riskGauge">
+    <div className={stale ? 'riskGauge stale' : 'riskGauge'}>
       <svg width="140" height="140" viewBox="0 0 140 140" role="img" aria-label={`Risk score ${riskScore} out of 100`}>
         <circle cx="70" cy="70" r={r} className="riskGaugeTrack" />
         <circle
@@ -33,7 +34,7 @@ export function RiskGauge({ riskScore = 0, riskLevel = 'LOW' }) {
       <div className="riskGaugeText">
         <div className="riskGaugeScore">{riskScore}</div>
         <div className="riskGaugeLabel">Risk ({riskLevel})</div>
-        <div className="riskGaugeHint">0 = safe, 100 = urgent</div>
+        <div className="riskGaugeHint">{stale || '0 = safe, 100 = urgent'}</div>
       </div>
     </div>
   );
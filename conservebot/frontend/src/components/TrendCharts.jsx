@@ -0,0 +1,187 @@
+import './TrendCharts.css'
+import { useRef, useState } from 'react'
+import { Brush, CartesianGrid, Line, LineChart, ReferenceArea, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts'
+
+// One chart per metric; `limits` turns the standards into safe/warn value ranges.
+const METRICS = [
+  {
+    key: 'temperatureC',
+    label: 'Temperature',
+    unit: '°C',
+    color: '#7dd3fc',
+    limits: (s) => ({ safe: s.temperatureC.safe, warn: s.temperatureC.warn }),
+  },
+  {
+    key: 'humidityPct',
+    label: 'Humidity',
+    unit: '%',
+    color: '#34d399',
+    limits: (s) => ({ safe: s.humidityPct.safe, warn: s.humidityPct.warn }),
+  },
+  {
+    key: 'moisturePct',
+    label: 'Moisture',
+    unit: '%',
+    color: '#fdb022',
+    limits: (s) => ({ safe: [0, s.moisturePct.safeMax], warn: [0, s.moisturePct.warnMax] }),
+  },
+  {
+    key: 'vibration',
+    label: 'Vibration',
+    unit: '(0–1)',
+    color: '#f9a8d4',
+    limits: (s) => ({ safe: [0, s.vibration.safeMax], warn: [0, s.vibration.warnMax] }),
+  },
+  {
+    key: 'opensPerHour',
+    label: 'Access activity',
+    unit: 'opens/hr',
+    color: '#c4b5fd',
+    limits: (s) => ({ safe: [0, s.access.maxOpensPerHourSafe], warn: [0, s.access.maxOpensPerHourWarn] }),
+  },
+]
+
+const MARKER_STYLES = {
+  door: { color: '#a78bfa', dash: '2 3', label: 'Door opened' },
+  action: { color: '#60a5fa', dash: '5 3', label: 'Remediation' },
+  incident: { color: '#f04438', dash: undefined, label: 'Incident' },
+}
+
+const BRUSH_DEBOUNCE_MS = 400
+
+function fmtTick(t, spanMs) {
+  const d = new Date(t)
+  if (spanMs > 2 * 24 * 60 * 60_000) return d.toLocaleDateString([], { month: 'short', day: '2-digit' })
+  return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+}
+
+function fmtFull(t) {
+  return new Date(t).toLocaleString([], { month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+}
+
+function MetricChart({ metric, data, standards, markers, spanMs }) {
+  const limits = standards ? metric.limits(standards) : null
+  return (
+    <div className="trendChart">
+      <div className="trendChartTitle">
+        {metric.label} <span className="tiny">{metric.unit}</span>
+      </div>
+      <div className="trendChartBody">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data} syncId="trends" margin={{ top: 4, right: 12, bottom: 0, left: 0 }}>
+            <CartesianGrid stroke="rgba(255,255,255,0.08)" />
+            {limits ? (
+              <ReferenceArea y1={limits.warn[0]} y2={limits.warn[1]} fill="#fdb022" fillOpacity={0.1} ifOverflow="extendDomain" />
+            ) : null}
+            {limits ? (
+              <ReferenceArea y1={limits.safe[0]} y2={limits.safe[1]} fill="#32d583" fillOpacity={0.14} ifOverflow="extendDomain" />
+            ) : null}
+            <XAxis
+              dataKey="t"
+              type="number"
+              scale="time"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(t) => fmtTick(t, spanMs)}
+              stroke="rgba(255,255,255,0.55)"
+              fontSize={11}
+            />
+            <YAxis stroke="rgba(255,255,255,0.55)" fontSize={11} width={44} domain={['auto', 'auto']} />
+            <Tooltip
+              contentStyle={{ background: 'rgba(10,14,22,0.95)', border: '1px solid rgba(255,255,255,0.12)' }}
+              labelFormatter={(t) => fmtFull(t)}
+            />
+            {markers.map((m, idx) => (
+              <ReferenceLine
+                key={`${m.kind}-${m.timestamp}-${idx}`}
+                x={Date.parse(m.timestamp)}
+                stroke={MARKER_STYLES[m.kind].color}
+                strokeDasharray={MARKER_STYLES[m.kind].dash}
+                strokeOpacity={0.8}
+              />
+            ))}
+            <Line type="monotone" dataKey={metric.key} name={`${metric.label} ${metric.unit}`} stroke={metric.color} dot={false} strokeWidth={2} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Per-metric trend charts with the standards' safe (green) and warn (yellow)
+ * zones and markers for door openings, remediation and incidents.
+ *
+ * `overview` (the whole selected range) feeds the brush below the charts;
+ * dragging it calls `onZoom({ fromMs, toMs })` so the app can load finer
+ * history for that window into `data`. `onZoom(null)` goes back to the range.
+ */
+export function TrendCharts({ data, overview, standards, markers, zoomed, onZoom }) {
+  const [brushKey, setBrushKey] = useState(0)
+  const brushTimer = useRef(null)
+
+  const span = (points) => (points.length > 1 ? points[points.length - 1].t - points[0].t : 0)
+  const spanMs = span(data)
+
+  function onBrushChange({ startIndex, endIndex }) {
+    clearTimeout(brushTimer.current)
+    brushTimer.current = setTimeout(() => {
+      if (startIndex <= 0 && endIndex >= overview.length - 1) onZoom(null)
+      else onZoom({ fromMs: overview[startIndex].t, toMs: overview[endIndex].t })
+    }, BRUSH_DEBOUNCE_MS)
+  }
+
+  function resetZoom() {
+    clearTimeout(brushTimer.current)
+    setBrushKey((k) => k + 1)
+    onZoom(null)
+  }
+
+  return (
+    <div className="trendCharts">
+      <div className="trendLegend">
+        {Object.entries(MARKER_STYLES).map(([kind, style]) => (
+          <span key={kind} className="trendLegendItem">
+            <span className="trendLegendSwatch" style={{ borderColor: style.color, borderStyle: style.dash ? 'dashed' : 'solid' }} />
+            {style.label}
+          </span>
+        ))}
+        <span className="trendLegendItem">
+          <span className="trendLegendZone safe" /> Safe
+        </span>
+        <span className="trendLegendItem">
+          <span className="trendLegendZone warn" /> Warn
+        </span>
+        {zoomed ? (
+          <button className="smallButton" onClick={resetZoom}>
+            Reset zoom
+          </button>
+        ) : null}
+      </div>
+
+      {METRICS.map((metric) => (
+        <MetricChart key={metric.key} metric={metric} data={data} standards={standards} markers={markers} spanMs={spanMs} />
+      ))}
+
+      <div className="trendOverview">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={overview} margin={{ top: 4, right: 12, bottom: 0, left: 44 }}>
+            <XAxis dataKey="t" type="number" scale="time" domain={['dataMin', 'dataMax']} hide />
+            <Line type="monotone" dataKey="humidityPct" stroke="#34d399" dot={false} strokeWidth={1} isAnimationActive={false} />
+            {overview.length > 1 ? (
+              <Brush
+                key={brushKey}
+                dataKey="t"
+                height={26}
+                stroke="rgba(125,211,252,0.8)"
+                fill="rgba(0,0,0,0.25)"
+                travellerWidth={8}
+                tickFormatter={(t) => fmtTick(t, span(overview))}
+                onChange={onBrushChange}
+              />
+            ) : null}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  )
+}
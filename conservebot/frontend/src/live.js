@@ -0,0 +1,194 @@
+import { wsUrl } from './api';
+
+/**
+ * The dashboard's live connection to the backend's `/ws` stream (protocol 2).
+ *
+ * - reconnects with backoff after a drop, and right away when the browser
+ *   comes back online or the tab becomes visible again
+ * - resumes from the last sequence number, so short drops lose nothing;
+ *   when the backend can't replay the gap, `onResync({ resumed: false })` tells
+ *   the app to refetch over REST
+ * - pings the server and treats a silent connection as dead (a laptop that
+ *   slept keeps a socket that looks open)
+ * - falls back to polling (`onPoll`) when WebSockets never open, e.g. behind a
+ *   proxy that blocks them, and keeps trying to upgrade back
+ *
+ * `state` is 'connecting', 'live', 'reconnecting', 'polling' or 'offline'.
+ */
+
+const TOPICS = ['ticks', 'logs', 'incidents', 'config'];
+const BACKOFF_MS = [1000, 2000, 5000, 10000, 20000, 30000];
+const PING_EVERY_MS = 15000;
+const SILENT_AFTER_MS = 35000;
+const FAILURES_BEFORE_POLLING = 3;
+export const POLL_EVERY_MS = 5000;
+const RETRY_WHILE_POLLING_MS = 60000;
+
+export class LiveConnection {
+  constructor({ onEvent, onResync, onPoll, onState }) {
+    this.onEvent = onEvent;
+    this.onResync = onResync;
+    this.onPoll = onPoll;
+    this.onState = onState;
+
+    this.state = null;
+    this.ws = null;
+    this.streamId = null;
+    this.seq = 0;
+    this.attempt = 0; // reconnects since the last good connection
+    this.failures = 0; // connections in a row that never opened
+    this.subscribed = false; // at least once, so later subscribes are resyncs
+    this.lastMessageAt = 0;
+    this.retryTimer = null;
+    this.pingTimer = null;
+    this.pollTimer = null;
+    this.stopped = false;
+
+    this._wake = () => {
+      if (this.state !== 'live') this._reconnectNow();
+    };
+    this._offline = () => {
+      clearTimeout(this.retryTimer);
+      this._stopPolling();
+      this._drop();
+      this._setState('offline');
+    };
+    this._visible = () => {
+      if (document.visibilityState === 'visible') this._wake();
+    };
+  }
+
+  start() {
+    window.addEventListener('online', this._wake);
+    window.addEventListener('offline', this._offline);
+    document.addEventListener('visibilitychange', this._visible);
+    this._connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    window.removeEventListener('online', this._wake);
+    window.removeEventListener('offline', this._offline);
+    document.removeEventListener('visibilitychange', this._visible);
+    clearTimeout(this.retryTimer);
+    this._stopPolling();
+    this._drop();
+  }
+
+  _setState(state) {
+    if (state === this.state) return;
+    this.state = state;
+    this.onState(state);
+  }
+
+  _connect() {
+    if (this.stopped) return;
+    if (!navigator.onLine) {
+      this._setState('offline');
+      return;
+    }
+    if (this.state !== 'polling') this._setState(this.subscribed ? 'reconnecting' : 'connecting');
+
+    const ws = new WebSocket(wsUrl('/ws', { protocol: 2 }));
+    let opened = false;
+    this.ws = ws;
+    this.lastMessageAt = Date.now();
+
+    ws.onopen = () => {
+      opened = true;
+      this.failures = 0;
+      this.pingTimer = setInterval(() => this._ping(), PING_EVERY_MS);
+    };
+    ws.onmessage = (ev) => {
+      this.lastMessageAt = Date.now();
+      let msg;
+      try {
+        msg = JSON.parse(ev.data);
+      } catch {
+        return;
+      }
+      this._receive(msg);
+    };
+    ws.onclose = () => this._closed(opened);
+  }
+
+  _receive(msg) {
+    if (msg.type === 'welcome') {
+      const resume = this.streamId ? { streamId: this.streamId, seq: this.seq } : undefined;
+      this.ws.send(JSON.stringify({ type: 'subscribe', boxes: ['*'], topics: TOPICS, resume }));
+      return;
+    }
+    if (msg.type === 'subscribed') {
+      const { streamId, resumed, snapshot } = msg.data;
+      const initial = !this.subscribed;
+      this.streamId = streamId;
+      this.seq = msg.seq;
+      this.subscribed = true;
+      this.attempt = 0;
+      this._stopPolling();
+      this._setState('live');
+      this.onResync({ initial, resumed, snapshot });
+      return;
+    }
+    if (msg.type === 'pong' || msg.type === 'error') return;
+    if (msg.seq <= this.seq) return; // already seen
+    this.seq = msg.seq;
+    this.onEvent(msg);
+  }
+
+  _ping() {
+    if (Date.now() - this.lastMessageAt > SILENT_AFTER_MS) {
+      this._drop();
+      this._closed(true);
+      return;
+    }
+    this.ws?.send(JSON.stringify({ type: 'ping' }));
+  }
+
+  // Forget the current socket without waiting for its close handshake
+  _drop() {
+    clearInterval(this.pingTimer);
+    const ws = this.ws;
+    this.ws = null;
+    if (!ws) return;
+    ws.onopen = ws.onmessage = ws.onclose = null;
+    ws.close();
+  }
+
+  _closed(opened) {
+    clearInterval(this.pingTimer);
+    this.ws = null;
+    if (this.stopped || this.state === 'offline') return;
+    if (!opened) this.failures += 1;
+    if (this.failures >= FAILURES_BEFORE_POLLING) this._startPolling();
+
+    let delayMs;
+    if (this.state === 'polling') {
+      delayMs = RETRY_WHILE_POLLING_MS;
+    } else {
+      this._setState('reconnecting');
+      delayMs = BACKOFF_MS[Math.min(this.attempt, BACKOFF_MS.length - 1)] * (0.75 + Math.random() * 0.5);
+      this.attempt += 1;
+    }
+    this.retryTimer = setTimeout(() => this._connect(), delayMs);
+  }
+
+  _reconnectNow() {
+    clearTimeout(this.retryTimer);
+    this._drop();
+    this.attempt = 0;
+    this._connect();
+  }
+
+  _startPolling() {
+    if (this.pollTimer) return;
+    this._setState('polling');
+    this.onPoll();
+    this.pollTimer = setInterval(() => this.onPoll(), POLL_EVERY_MS);
+  }
+
+  _stopPolling() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+}